@@ -18,10 +18,17 @@ import ocsp from 'ocsp'
 import monkeyPatchTls from './lib/staging/monkeyPatchTls.js'
 import LetsEncryptServer from './lib/LetsEncryptServer.js'
 import Configuration from './lib/Configuration.js'
+import Authorisation from './lib/Authorisation.js'
+import Identity from './lib/Identity.js'
+import Rfc2136DnsProvider from './lib/dns-providers/Rfc2136DnsProvider.js'
 import Certificate from './lib/Certificate.js'
+import AcmeProblemError from './lib/AcmeProblemError.js'
+import CertificateRouter from './lib/CertificateRouter.js'
+import OnDemandPolicy from './lib/OnDemandPolicy.js'
 import Pluralise from './lib/util/Pluralise.js'
 import Throws from './lib/util/Throws.js'
 import HttpServer from './lib/HttpServer.js'
+import TlsAlpnChallengeResponder from './lib/TlsAlpnChallengeResponder.js'
 import log from './lib/util/log.js'
 
 // Custom errors thrown by the autoEncrypt function.
@@ -32,11 +39,23 @@ const throws = new Throws({
   [Symbol.for('SNIIgnoreUnsupportedDomainError')]:
     (serverName, domains) => {
       return `SNI: Not responding to request for unsupported domain ${serverName} (valid ${Pluralise.word('domain', domains)} ${Pluralise.isAre(domains)} ${domains}).`
-    }
+    },
+
+  [Symbol.for('SNIOnDemandProvisioningFailedError')]:
+    (serverName, error) => `SNI: Could not provision on-demand certificate for ${serverName}; refusing it for now. ${error}`,
+
+  [Symbol.for('AutoEncrypt.noCertificatesError')]:
+    () => 'Cannot access the Let’s Encrypt account as no domains are being managed.',
+
+  [Symbol.for('AutoEncrypt.mustBeCreatedViaCreateServerError')]:
+    () => 'Auto Encrypt instances are created for you by AutoEncrypt.https.createServer(). Please do not instantiate AutoEncrypt directly.'
 })
 
+
 /**
- * Auto Encrypt is a static class. Please do not instantiate.
+ * Each server created via AutoEncrypt.https.createServer(…) is managed by its own Auto Encrypt instance (with its
+ * own certificate, OCSP cache, and renewal timer), available as server.autoEncrypt. Please do not instantiate
+ * AutoEncrypt directly.
  *
  * Use: AutoEncrypt.https.createServer(…)
  *
@@ -44,12 +63,9 @@ const throws = new Throws({
  * @hideconstructor
  */
 export default class AutoEncrypt {
-  static letsEncryptServer = null
-  static defaultDomains    = null
-  static domains           = null
-  static settingsPath      = null
-  static listener          = null
-  static certificate       = null
+  // Auto Encrypt instances that have not been shut down yet.
+  static #instances = new Set()
+  static #isBeingInstantiatedViaCreateServer = false
 
   /**
    * Enumeration.
@@ -61,7 +77,91 @@ export default class AutoEncrypt {
   static serverType = LetsEncryptServer.type
 
   /**
-   * By aliasing the https property to the AutoEncrypt static class itself, we enable
+   * Enumeration.
+   *
+   * @type {Authorisation.challengeType}
+   * @readonly
+   * @static
+   */
+  static challengeType = Authorisation.challengeType
+
+  /**
+   * Enumeration.
+   *
+   * @type {Identity.certificateKeyType}
+   * @readonly
+   * @static
+   */
+  static certificateKeyType = Identity.certificateKeyType
+
+  /**
+   * Enumeration.
+   *
+   * @type {Identity.keyType}
+   * @readonly
+   * @static
+   */
+  static accountKeyType = Identity.keyType
+
+  /**
+   * Enumeration of reasons to pass to certificate.revoke() (e.g., server.autoEncrypt.certificates[0].revoke({
+   * reason: AutoEncrypt.revocationReason.KEY_COMPROMISE })).
+   *
+   * @type {Certificate.revocationReason}
+   * @readonly
+   * @static
+   */
+  static revocationReason = Certificate.revocationReason
+
+  /**
+   * Enumeration of the events that certificates emit when their renewal fails (e.g.,
+   * server.autoEncrypt.certificates[0].on(AutoEncrypt.certificateEvent.RENEWAL_FAILED_CLOSE_TO_EXPIRY,
+   * ({ error, attempt, retryDate, expiryDate }) => { … })). Failed renewals are retried with exponential backoff
+   * and the existing certificate is served in the meantime.
+   *
+   * @type {Object}
+   * @readonly
+   * @static
+   */
+  static certificateEvent = {
+    RENEWAL_FAILED: Certificate.RENEWAL_FAILED,
+    RENEWAL_FAILED_CLOSE_TO_EXPIRY: Certificate.RENEWAL_FAILED_CLOSE_TO_EXPIRY
+  }
+
+  /**
+   * Error classes for the problem documents that the ACME server returns (RFC 8555 § 6.7): AcmeProblemError and a
+   * subclass of it for every ACME problem type (e.g., DnsError, CaaError, RejectedIdentifierError, and
+   * RateLimitedError). Each error has the full problem document (problem), its type, status, detail, and identifier,
+   * and its per-identifier subproblems (as typed errors).
+   *
+   * @example server.autoEncrypt.certificates[0].on(AutoEncrypt.certificateEvent.RENEWAL_FAILED, ({ error }) => {
+   *   if (error instanceof AutoEncrypt.error.AcmeProblemError) {
+   *     error.subproblems.forEach(subproblem => console.log(subproblem.identifier.value, subproblem.acmeType))
+   *   }
+   * })
+   *
+   * @readonly
+   * @static
+   */
+  static error = AcmeProblemError.errorClasses
+
+  /**
+   * Built-in DNS provider adapters for use with the DNS-01 challenge.
+   *
+   * @example const server = AutoEncrypt.https.createServer({
+   *   domains: ['example.com'],
+   *   dnsProvider: new AutoEncrypt.dnsProvider.Rfc2136({ server: '192.0.2.53', zone: 'example.com' })
+   * })
+   *
+   * @readonly
+   * @static
+   */
+  static dnsProvider = {
+    Rfc2136: Rfc2136DnsProvider
+  }
+
+  /**
+   * By aliasing the https property to the AutoEncrypt class itself, we enable
    * people to add AutoEncrypt to their existing apps by requiring the module
    * and prefixing their https.createServer(…) line with AutoEncrypt:
    *
@@ -72,23 +172,81 @@ export default class AutoEncrypt {
    */
   static get https () { return AutoEncrypt }
 
-
-  static ocspCache = null
-
   /**
    * Automatically manages Let’s Encrypt certificate provisioning and renewal for Node.js
    * https servers using the HTTP-01 challenge on first hit of an HTTPS route via use of
    * the Server Name Indication (SNI) callback.
    *
+   * You can call this method as many times as you like in the same process. Each server
+   * gets its own Auto Encrypt instance (available as server.autoEncrypt) and all servers
+   * share the HTTP server on port 80.
+   *
    * @static
    * @param {Object}   [options]               Optional HTTPS options object with optional additional
    *                                           Auto Encrypt-specific configuration settings.
-   * @param {String[]} [options.domains]       Domain names to provision TLS certificates for. If missing, defaults to
-   *                                           the hostname of the current computer and its www prefixed subdomain.
+   * @param {Array<String|String[]>} [options.domains] Domain names to provision TLS certificates for. If missing,
+   *                                           defaults to the hostname of the current computer and its www prefixed
+   *                                           subdomain. A list of domains gets one certificate that covers them all.
+   *                                           To provision separate certificates, pass groups of domains instead
+   *                                           (e.g., [['example.com', 'www.example.com'], ['blog.example.com']]); any
+   *                                           domain not in a group gets its own certificate. Wildcard domains
+   *                                           (e.g., *.example.com) require a dnsProvider.
    * @param {Enum}     [options.serverType=AutoEncrypt.serverType.PRODUCTION] Let’s Encrypt server type to use.
    *                                                                  AutoEncrypt.serverType.PRODUCTION, ….STAGING,
-   *                                                                  or ….PEBBLE (see LetsEncryptServer.type).
+   *                                                                  ….PEBBLE, or ….CUSTOM (see LetsEncryptServer.type).
+   * @param {Object}   [options.customServer]  Another RFC 8555 (ACME) server to use instead of Let’s Encrypt, as
+   *                                           { name, directoryUrl } (e.g., { name: 'step-ca', directoryUrl:
+   *                                           'https://ca.internal/acme/acme/directory' }). The name is used as the
+   *                                           settings subfolder. Implies serverType ….CUSTOM. (If the server uses
+   *                                           a private root certificate, add it to Node’s trust store using the
+   *                                           NODE_EXTRA_CA_CERTS environment variable.)
    * @param {String}   [options.settingsPath=~/.small-tech.org/auto-encrypt/] Path to save certificates/keys to.
+   * @param {String}   [options.challengeType] Challenge type to use: AutoEncrypt.challengeType.HTTP_01, ….DNS_01, or
+   *                                           ….TLS_ALPN_01 (no HTTP server is started on port 80 when using the
+   *                                           latter). Defaults to ….DNS_01 if a dnsProvider is passed and ….HTTP_01
+   *                                           otherwise.
+   * @param {DnsProvider} [options.dnsProvider] DNS provider adapter that sets and removes DNS-01 challenge TXT
+   *                                           records (see AutoEncrypt.dnsProvider for built-in adapters).
+   * @param {Storage}  [options.storage]       Storage backend for accounts, identities, and certificates (see
+   *                                           typedefs/lib/Storage.js). Defaults to file system storage in settingsPath.
+   * @param {String|String[]} [options.certificateKeyType=AutoEncrypt.certificateKeyType.RSA_2048] Type of key to
+   *                                           generate for certificates: AutoEncrypt.certificateKeyType.RSA_2048, ….RSA_4096,
+   *                                           ….EC_256, or ….EC_384. (Existing certificates keep their key type until
+   *                                           they are renewed.) Pass an ECDSA and an RSA key type (e.g.,
+   *                                           [….EC_256, ….RSA_2048]) to serve each client the best certificate
+   *                                           it supports. The first key type is provisioned on first hit and the
+   *                                           second in the background.
+   * @param {String}   [options.accountKeyType=AutoEncrypt.accountKeyType.RSA_2048] Type of key to generate for the
+   *                                           Let’s Encrypt account: AutoEncrypt.accountKeyType.RSA_2048, ….RSA_4096,
+   *                                           ….EC_256, ….EC_384, or ….ED25519 (if your CA supports EdDSA). Requests
+   *                                           are signed with the algorithm that matches the account key (RS256, ES256,
+   *                                           ES384, or EdDSA). Existing accounts keep their key.
+   * @param {String[]} [options.contact]       Email addresses (e.g., ['admin@example.com']) for Let’s Encrypt to send
+   *                                           expiry and policy notices to. Sent when the account is created and
+   *                                           the existing account is updated if they change.
+   * @param {String}   [options.eabKid]        External account binding key ID for CAs that require new accounts to be
+   *                                           bound to an existing account with them (e.g., ZeroSSL or step-ca).
+   * @param {String}   [options.eabHmacKey]    External account binding HMAC key (base64url-encoded) from your CA.
+   * @param {Object}   [options.renewal]       When to renew certificates: either { daysBeforeExpiry } or
+   *                                           { fractionOfLifetime } (e.g., 2/3 to renew after two thirds of the
+   *                                           certificate’s lifetime), with an optional jitter in the same unit that
+   *                                           randomly moves renewal up to that much earlier (so that servers
+   *                                           deployed together don’t all renew at the same moment). Defaults to
+   *                                           { fractionOfLifetime: 2/3, jitter: 0.05 }. If the CA supports ACME
+   *                                           Renewal Information, its suggested renewal window is used instead.
+   * @param {Object}   [options.keyEncryption] Encrypt private keys at rest with either a passphrase ({ passphrase })
+   *                                           or a key-encryption key ({ key }, a Buffer of at least 32 bytes).
+   *                                           Existing plaintext keys are encrypted when they are next loaded.
+   * @param {Object}   [options.onDemand]      On-demand TLS settings. If set, certificates are provisioned on first hit
+   *                                           for server names that are not in domains if onDemand.isAllowed() approves.
+   * @param {Function} [options.onDemand.isAllowed] Async function that is passed a server name and fulfils with true
+   *                                           if a certificate may be provisioned for it.
+   * @param {Number}   [options.onDemand.maximumCertificatesPerHour=10] Maximum number of on-demand certificates to
+   *                                           provision per hour.
+   * @param {Number}   [options.onDemand.negativeCacheDuration=600000] Time (in ms) to keep refusing a server name
+   *                                           (without asking isAllowed() again) once it has been refused.
+   * @param {Number}   [options.onDemand.provisioningTimeout=120000] Time (in ms) to wait for an on-demand certificate
+   *                                           to be provisioned before refusing the server name.
    *
    * @returns {https.Server} The server instance returned by Node’s https.createServer() method.
    */
@@ -99,12 +257,247 @@ export default class AutoEncrypt {
       _options = {}
     }
 
+    AutoEncrypt.#isBeingInstantiatedViaCreateServer = true
+    const autoEncrypt = new AutoEncrypt(_options || {}, _listener || null)
+
+    return autoEncrypt.server
+  }
+
+  /**
+   * Shut down all Auto Encrypt instances. Do this before app exit. Performs necessary clean-up and removes
+   * any references that might cause the app to not exit. (To shut down a single server’s instance, call
+   * server.autoEncrypt.shutdown() or server.close().)
+   */
+  static shutdown () {
+    AutoEncrypt.#instances.forEach(instance => instance.shutdown())
+  }
+
+  //
+  // Instance.
+  //
+
+  letsEncryptServer = null
+  defaultDomains    = null
+  domains           = null
+  domainGroups      = null
+  settingsPath      = null
+  listener          = null
+  certificates      = null
+  ocspCache         = null
+  server            = null
+
+  // Has this instance’s server taken a reference to the shared HTTP server (on port 80)?
+  #isUsingHttpServer = false
+
+  #certificateRouter = new CertificateRouter()
+
+  // Settings (other than domains) used to create the configuration of each certificate.
+  #configurationSettings = null
+
+  // Domains added via on-demand TLS.
+  #onDemandDomains = new Set()
+
+  /**
+   * Starts managing TLS for the passed domain (or group of domains, which will share a certificate) without
+   * restarting the server. If the server is listening, the certificate is provisioned in the background
+   * (otherwise, it is provisioned on first hit, as usual).
+   *
+   * @param {String|String[]} domainOrGroup Domain or group of domains to add.
+   * @returns {Promise<Boolean>} Fulfils with true once the certificate is ready or with false if it was not
+   *                             provisioned in the background (because the server is not listening yet, a request
+   *                             is already provisioning it, or provisioning failed, in which case the reason is
+   *                             logged). Either way, provisioning is attempted on next hit if necessary.
+   */
+  async addDomain (domainOrGroup = throws.ifMissing()) {
+    const domainGroup = Array.isArray(domainOrGroup) ? domainOrGroup : [domainOrGroup]
+    const certificate = this.#manage(domainGroup)
+
+    if (!this.server.listening) {
+      return false
+    }
+
+    try {
+      return (await certificate.getSecureContext()) !== null
+    } catch (error) {
+      log(`   ❌    ❨auto-encrypt❩ Could not provision certificate for ${domainGroup.join(', ')}: ${error}`)
+      return false
+    }
+  }
+
+  /**
+   * Stops managing TLS for the passed domain without restarting the server. Requests for it are rejected from
+   * then on. Its certificate is retired: it stops being renewed and is dropped from memory. (Certificate files
+   * are left on disk so re-adding the domain later does not require a new certificate while the old one is still
+   * valid.) If other domains shared the certificate, they get a new certificate of their own (provisioned in the
+   * background if the server is listening, and on next hit otherwise) as renewing the old one would still order
+   * the removed domain, which you may no longer control.
+   *
+   * @param {String} domain Domain to remove.
+   * @returns {Boolean} True if the domain was being managed, false otherwise.
+   */
+  removeDomain (domain = throws.ifMissing()) {
+    const certificate = this.#certificateRouter.remove(domain)
+    if (certificate === null) {
+      return false
+    }
+
+    this.domainGroups = this.domainGroups
+      .map(domainGroup => domainGroup.filter(groupDomain => groupDomain.toLowerCase() !== domain.toLowerCase()))
+      .filter(domainGroup => domainGroup.length > 0)
+    this.#onDemandDomains.delete(domain.toLowerCase())
+
+    log(`   ➖    ❨auto-encrypt❩ No longer managing TLS for ${domain}.`)
+
+    certificate.stopCheckingForRenewal()
+    log(`   📃    ❨auto-encrypt❩ Retired certificate for ${certificate.configuration.domains.join(', ')}.`)
+
+    const remainingDomains = certificate.configuration.domains.filter(certificateDomain => certificateDomain.toLowerCase() !== domain.toLowerCase())
+    if (remainingDomains.length > 0) {
+      remainingDomains.forEach(remainingDomain => this.#certificateRouter.remove(remainingDomain))
+      const replacementCertificate = this.#addCertificateFor(remainingDomains)
+      log(`   ➕    ❨auto-encrypt❩ Managing TLS for ${remainingDomains.join(', ')} with a new certificate.`)
+
+      if (this.server.listening) {
+        replacementCertificate.getSecureContext().catch(error => {
+          log(`   ❌    ❨auto-encrypt❩ Could not provision certificate for ${remainingDomains.join(', ')}: ${error}`)
+        })
+      }
+    }
+
+    this.#updateDomains()
+    return true
+  }
+
+  /**
+   * Replaces the Let’s Encrypt account key with a newly generated key (of the accountKeyType option’s key type)
+   * using an RFC 8555 § 7.3.5 key change request, e.g., on a schedule or after a suspected leak. The new key is
+   * only saved (replacing account-identity.pem) once Let’s Encrypt has confirmed the change. (The account is
+   * shared by all certificates that use the same server type and settings path.)
+   *
+   * @returns {Promise} Fulfils once the account key has been replaced.
+   */
+  async rollOverAccountKey () {
+    await this.#withAccount(account => account.rollOverKey())
+  }
+
+  /**
+   * Changes the contacts (email addresses) of the Let’s Encrypt account. (The contact option also does this
+   * the next time a certificate is provisioned or renewed if the account’s contacts differ from it.)
+   *
+   * @param {Object}   changes
+   * @param {String[]} changes.contact Email addresses (optionally as mailto: URLs). Pass an empty array to remove
+   *                                   all contacts.
+   * @returns {Promise} Fulfils once the account has been updated.
+   */
+  async updateAccount ({ contact = throws.ifMissing() } = {}) {
+    await this.#withAccount(account => account.update({ contact }))
+  }
+
+  /**
+   * Deactivates the Let’s Encrypt account (e.g., when decommissioning a server). This cannot be undone. Existing
+   * certificates remain valid but can no longer be renewed using the account so the account details and account
+   * key are removed and, if a certificate is provisioned afterwards, a new account is created.
+   *
+   * @returns {Promise} Fulfils once the account has been deactivated.
+   */
+  async deactivateAccount () {
+    await this.#withAccount(account => account.deactivate())
+  }
+
+  /**
+   * The OCSP module does not have a means of clearing its cache check timers
+   * so we do it here. (Otherwise, the test suite would hang.)
+   */
+  clearOcspCacheTimers () {
+    if (this.ocspCache !== null) {
+      const cacheIds = Object.keys(this.ocspCache.cache)
+      cacheIds.forEach(cacheId => {
+        clearInterval(this.ocspCache.cache[cacheId].timer)
+      })
+    }
+  }
+
+  /**
+   * Shut this Auto Encrypt instance down. Performs necessary clean-up and removes any references
+   * that might cause the app to not exit. (Other instances are not affected.)
+   */
+  shutdown () {
+    this.clearOcspCacheTimers()
+    this.certificates.forEach(certificate => certificate.stopCheckingForRenewal())
+    AutoEncrypt.#instances.delete(this)
+  }
+
+  //
+  // Private.
+  //
+
+  // Runs the passed async function with the Let’s Encrypt account (see Certificate.withAccount()). The account
+  // is shared by all certificates so it doesn’t matter which one we use.
+  async #withAccount (task) {
+    throws.if(this.certificates.length === 0, Symbol.for('AutoEncrypt.noCertificatesError'))
+    await this.certificates[0].withAccount(task)
+  }
+
+  // Creates a certificate (with its own configuration) for the passed group of domains and routes requests for
+  // them to it.
+  #addCertificateFor (domainGroup) {
+    this.#certificateRouter.ensureCanAdd(domainGroup)
+    const configuration = new Configuration({ ...this.#configurationSettings, domains: domainGroup })
+    const certificate = new Certificate(configuration)
+    this.#certificateRouter.add(domainGroup, certificate)
+
+    // Load the certificate from storage (if it exists) in the background so that renewal checks start right away.
+    certificate.load().catch(error => {
+      log(`   ❌    ❨auto-encrypt❩ Could not load certificate for ${domainGroup.join(', ')} from storage: ${error}`)
+    })
+    return certificate
+  }
+
+  // Starts managing TLS for the passed group of domains and returns its certificate.
+  #manage (domainGroup) {
+    const certificate = this.#addCertificateFor(domainGroup)
+    this.domainGroups.push(domainGroup)
+    this.#updateDomains()
+
+    log(`   ➕    ❨auto-encrypt❩ Now managing TLS for ${domainGroup.join(', ')}.`)
+    return certificate
+  }
+
+  #updateDomains () {
+    this.domains = this.domainGroups.flat()
+    this.certificates = this.#certificateRouter.certificates
+  }
+
+  /**
+   * Creates an Auto Encrypt instance and the HTTPS server it manages.
+   *
+   * @private
+   * @param {Object}   options  HTTPS options object with optional additional Auto Encrypt-specific configuration settings.
+   * @param {Function} listener Request listener (or null).
+   */
+  constructor (options, listener) {
+    // Ensure instances are only created via createServer().
+    if (AutoEncrypt.#isBeingInstantiatedViaCreateServer === false) {
+      throws.error(Symbol.for('AutoEncrypt.mustBeCreatedViaCreateServerError'))
+    }
+    AutoEncrypt.#isBeingInstantiatedViaCreateServer = false
+
     const defaultStagingAndProductionDomains = [os.hostname(), `www.${os.hostname()}`]
     const defaultPebbleDomains               = ['localhost', 'pebble']
-    const options                            = _options || {}
-    const letsEncryptServer                  = new LetsEncryptServer(options.serverType || LetsEncryptServer.type.PRODUCTION)
-    const listener                           = _listener || null
+    const serverType                         = options.serverType || (options.customServer ? LetsEncryptServer.type.CUSTOM : LetsEncryptServer.type.PRODUCTION)
+    const letsEncryptServer                  = new LetsEncryptServer(serverType, options.customServer || null)
     const settingsPath                       = options.settingsPath || null
+    const challengeType                      = options.challengeType || null
+    const dnsProvider                        = options.dnsProvider || null
+    const storage                            = options.storage || null
+    const keyEncryption                      = options.keyEncryption || null
+    const certificateKeyType                 = options.certificateKeyType || null
+    const accountKeyType                     = options.accountKeyType || null
+    const contact                            = options.contact || null
+    const eabKid                             = options.eabKid || null
+    const eabHmacKey                         = options.eabHmacKey || null
+    const renewal                            = options.renewal || null
+    const onDemandPolicy                     = options.onDemand ? new OnDemandPolicy(options.onDemand) : null
 
     //
     // Ignore passed domains (if any) if we’re using pebble as we can only issue for localhost and pebble.
@@ -135,20 +528,44 @@ export default class AutoEncrypt {
 
     const domains = options.domains || defaultDomains
 
+    // A list of domains is a single certificate. Once groups are used, each group (and
+    // each domain outside a group) is a separate certificate.
+    const domainGroups = domains.some(Array.isArray)
+      ? domains.map(domainOrGroup => Array.isArray(domainOrGroup) ? domainOrGroup : [domainOrGroup])
+      : [domains]
+
     // Delete the Auto Encrypt-specific properties from the options object to not pollute the namespace.
     delete options.domains
     delete options.serverType
+    delete options.customServer
     delete options.settingsPath
-
-    const configuration = new Configuration({ settingsPath, domains, server: letsEncryptServer})
-    const certificate = new Certificate(configuration)
+    delete options.challengeType
+    delete options.dnsProvider
+    delete options.storage
+    delete options.keyEncryption
+    delete options.certificateKeyType
+    delete options.accountKeyType
+    delete options.contact
+    delete options.eabKid
+    delete options.eabHmacKey
+    delete options.renewal
+    delete options.onDemand
+
+    // Each certificate has its own configuration (and thus its own directory in the settings path)
+    // and is provisioned and renewed independently of the others.
+    this.#configurationSettings = { settingsPath, server: letsEncryptServer, challengeType, dnsProvider, storage, keyEncryption, certificateKeyType, accountKeyType, contact, eabKid, eabHmacKey, renewal }
+    const certificateRouter = this.#certificateRouter
+    const certificates = domainGroups.map(domainGroup => this.#addCertificateFor(domainGroup))
+
+    const usesTlsAlpnChallenge = certificates[0].configuration.challengeType === Authorisation.challengeType.TLS_ALPN_01
 
     this.letsEncryptServer = letsEncryptServer
     this.defaultDomains    = defaultDomains
-    this.domains           = domains
+    this.domains           = domainGroups.length === 1 ? domainGroups[0] : domainGroups.flat()
+    this.domainGroups      = domainGroups
     this.settingsPath      = settingsPath
     this.listener          = listener
-    this.certificate       = certificate
+    this.certificates      = certificates
 
     function sniError (symbolName, callback, emoji, ...args) {
       const error = Symbol.for(symbolName)
@@ -157,31 +574,84 @@ export default class AutoEncrypt {
     }
 
     options.SNICallback = async (serverName, callback) => {
-      if (domains.includes(serverName)) {
-        const secureContext = await certificate.getSecureContext()
+      // Wildcard domains (e.g., *.ar.al) match any single-label subdomain (e.g., www.ar.al).
+      let certificate = certificateRouter.certificateFor(serverName)
+
+      // With on-demand TLS, unknown server names get a certificate if the policy allows it.
+      if (certificate === null && onDemandPolicy !== null && await onDemandPolicy.allows(serverName)) {
+        // (Another handshake for the same server name may have added it while we waited for the decision.)
+        const onDemandDomain = serverName.toLowerCase()
+        certificate = certificateRouter.certificateFor(onDemandDomain)
+        if (certificate === null) {
+          certificate = this.#manage([onDemandDomain])
+          this.#onDemandDomains.add(onDemandDomain)
+        }
+      }
+
+      if (certificate !== null) {
+        // (On-demand certificates that cannot be provisioned in time, e.g., because the server name does not point
+        // here, are given up on below like those that fail.)
+        const isOnDemandDomain = this.#onDemandDomains.has(serverName.toLowerCase())
+        let secureContext = null
+        try {
+          secureContext = await (isOnDemandDomain
+            ? onDemandPolicy.withinProvisioningTimeout(serverName, certificate.getSecureContext())
+            : certificate.getSecureContext())
+        } catch (error) {
+          if (!isOnDemandDomain) {
+            // (We must always call the callback; otherwise, the handshake hangs.)
+            log(`   ❌    ❨auto-encrypt❩ Could not get a certificate for ${serverName}: ${error}`)
+            callback(error)
+            return
+          }
+          // Stop trying to get a certificate for an on-demand server name that we cannot get one for.
+          this.removeDomain(serverName)
+          onDemandPolicy.refuse(serverName)
+          sniError('SNIOnDemandProvisioningFailedError', callback, '❌', serverName, error)
+          return
+        }
         if (secureContext === null) {
           sniError('BusyProvisioningCertificateError', callback, '⏳')
           return
         }
         callback(null, secureContext)
       } else {
-        sniError('SNIIgnoreUnsupportedDomainError', callback, '🤨', serverName, domains)
+        sniError('SNIIgnoreUnsupportedDomainError', callback, '🤨', serverName, this.domains)
       }
     }
 
+    // When validating via TLS-ALPN-01, the HTTPS server answers the ACME server’s validation handshakes
+    // itself so it must be able to negotiate the acme-tls/1 protocol (and tell validation handshakes
+    // apart from regular ones, which are passed on to the SNI callback, above) and we do not need an
+    // HTTP server.
+    if (usesTlsAlpnChallenge) {
+      TlsAlpnChallengeResponder.addCallbacksTo(options)
+    }
+
     const server = this.addOcspStapling(https.createServer(options, listener))
+    this.server = server
 
     //
     // Monkey-patch the server.
     //
 
-    server.__autoEncrypt__self = this
+    const autoEncrypt = this
+    server.autoEncrypt = this
 
     // Monkey-patch the server’s listen method so that we can start up the HTTP
     // Server at the same time.
     server.__autoEncrypt__originalListen = server.listen
     server.listen = function(...args) {
-      // Start the HTTP server.
+      // With TLS-ALPN-01, port 80 stays closed so there’s no HTTP server to start.
+      if (usesTlsAlpnChallenge) {
+        return this.__autoEncrypt__originalListen.apply(this, args)
+      }
+
+      // Start the HTTP server (or, if another Auto Encrypt server has already started it, share it).
+      if (!autoEncrypt.#isUsingHttpServer) {
+        autoEncrypt.#isUsingHttpServer = true
+        HttpServer.retainSharedInstance()
+      }
       HttpServer.getSharedInstance().then(() => {
         // Start the HTTPS server.
         return this.__autoEncrypt__originalListen.apply(this, args)
@@ -194,45 +664,23 @@ export default class AutoEncrypt {
     server.__autoEncrypt__originalClose = server.close
     server.close = function (...args) {
       // Clean-up our own house.
-      this.__autoEncrypt__self.shutdown()
+      autoEncrypt.shutdown()
 
-      // Shut down the HTTP server.
-      HttpServer.destroySharedInstance().then(() => {
-        // Shut down the HTTPS server.
+      if (!autoEncrypt.#isUsingHttpServer) {
         return this.__autoEncrypt__originalClose.apply(this, args)
-      })
-    }
-
-    return server
-  }
-
+      }
 
-  /**
-   * The OCSP module does not have a means of clearing its cache check timers
-   * so we do it here. (Otherwise, the test suite would hang.)
-   */
-  static clearOcspCacheTimers () {
-    if (this.ocspCache !== null) {
-      const cacheIds = Object.keys(this.ocspCache.cache)
-      cacheIds.forEach(cacheId => {
-        clearInterval(this.ocspCache.cache[cacheId].timer)
+      // Shut down the HTTP server unless other Auto Encrypt servers are still using it.
+      autoEncrypt.#isUsingHttpServer = false
+      HttpServer.releaseSharedInstance().then(() => {
+        // Shut down the HTTPS server.
+        return this.__autoEncrypt__originalClose.apply(this, args)
       })
     }
-  }
 
-  /**
-   * Shut Auto Encrypt down. Do this before app exit. Performs necessary clean-up and removes
-   * any references that might cause the app to not exit.
-   */
-  static shutdown () {
-    this.clearOcspCacheTimers()
-    this.certificate.stopCheckingForRenewal()
+    AutoEncrypt.#instances.add(this)
   }
 
-  //
-  // Private.
-  //
-
   /**
    * Adds Online Certificate Status Protocol (OCSP) stapling (also known as TLS Certificate Status Request extension)
    * support to the passed server instance.
@@ -241,7 +689,7 @@ export default class AutoEncrypt {
    * @param {https.Server} server HTTPS server instance without OCSP Stapling support.
    * @returns {https.Server} HTTPS server instance with OCSP Stapling support.
    */
-  static addOcspStapling(server) {
+  addOcspStapling(server) {
     // OCSP stapling
     //
     // Many browsers will fetch OCSP from Let’s Encrypt when they load your site. This is a performance and privacy
@@ -292,18 +740,15 @@ export default class AutoEncrypt {
   }
 
   // Custom object description for console output (for debugging).
-  static [util.inspect.custom] () {
+  [util.inspect.custom] () {
     return `
-       # AutoEncrypt (static class)
+       # AutoEncrypt (instance)
 
         - Using Let’s Encrypt ${this.letsEncryptServer.name} server.
-        - Managing TLS for ${this.domains.toString().replace(',', ', ')}${this.domains === this.defaultDomains ? ' (default domains)' : ''}.
+        - Managing TLS for ${this.domains.join(', ')}${this.domains === this.defaultDomains ? ' (default domains)' : ''}.
+        - Using ${this.certificates.length} ${Pluralise.word('certificate', this.certificates)}.
         - Settings stored at ${this.settingsPath === null ? 'default settings path' : this.settingsPath}.
         - Listener ${typeof this.listener === 'function' ? 'is set' : 'not set'}.
     `
   }
-
-  constructor () {
-    throws.error(Symbol.for('StaticClassCannotBeInstantiatedError'))
-  }
 }
@@ -9,19 +9,34 @@
 // by this account after it is created using the JWT public key.
 // See RFC 8555 § 6.2, 7.3.
 //
+// The account key can be rolled over (replaced with a newly generated key)
+// via rollOverKey(), its contacts can be changed via update(), and it can be
+// deactivated via deactivate(). See RFC 8555 § 7.3.2, 7.3.5, 7.3.6.
+//
+// If contacts are configured, they are sent when the account is created and
+// the account is updated if they change.
+//
 // Copyright © 2020 Aral Balkan, Small Technology Foundation.
 // License: AGPLv3 or later.
 //
 ////////////////////////////////////////////////////////////////////////////////
 
-import fs from 'fs'
 import Throws from './util/Throws.js'
+import log from './util/log.js'
+import Identity from './Identity.js'
+import AcmeRequest from './AcmeRequest.js'
 import NewAccountRequest from './acme-requests/NewAccountRequest.js'
+import KeyChangeRequest from './acme-requests/KeyChangeRequest.js'
+import UpdateAccountRequest from './acme-requests/UpdateAccountRequest.js'
 
 const throws = new Throws({
-  // No custom errors are thrown by this class.
+  [Symbol.for('Account.invalidContactError')]:
+    contact => `Invalid contact: ${contact} (contacts must be email addresses, optionally as mailto: URLs)`
 })
 
+// (Let’s Encrypt only accepts a single address per mailto: URL so we don’t allow commas or query strings.)
+const EMAIL_ADDRESS = /^[^@\s,?]+@[^@\s,?]+\.[^@\s,?]+$/
+
 export default class Account {
   //
   // Async factory method.
@@ -34,6 +49,22 @@ export default class Account {
       return account
   }
 
+  /**
+   * Returns the passed email addresses as mailto: URLs (RFC 8555 § 7.3).
+   *
+   * @param {String[]} contact Email addresses (optionally already prefixed with mailto:).
+   * @returns {String[]}
+   */
+  static contactUrlsFor (contact = throws.ifMissing()) {
+    throws.if(!Array.isArray(contact), Symbol.for('Account.invalidContactError'), contact)
+    return contact.map(emailAddress => {
+      throws.if(typeof emailAddress !== 'string', Symbol.for('Account.invalidContactError'), emailAddress)
+      const address = emailAddress.replace(/^mailto:/i, '')
+      throws.if(!EMAIL_ADDRESS.test(address), Symbol.for('Account.invalidContactError'), emailAddress)
+      return `mailto:${address}`
+    })
+  }
+
   //
   // Private.
   //
@@ -49,19 +80,90 @@ export default class Account {
   }
 
   async init () {
-    const accountPath = this.configuration.accountPath
-    if (fs.existsSync(accountPath)) {
-      // Account data already exists, load it synchronously from disk.
-      this.data = JSON.parse(fs.readFileSync(accountPath, 'utf-8'))
-    } else {
+    const storage = this.configuration.storage
+    const accountStorageKey = this.configuration.accountStorageKey
+    let accountJson = await storage.get(accountStorageKey)
+    if (accountJson === null) {
       // Account data does not exist, get it (either an existing one
-      // or a new one, as necessary) and persist it.
-      this.data = await (new NewAccountRequest()).execute()
-      fs.writeFileSync(accountPath, JSON.stringify(this.data), 'utf-8')
+      // or a new one, as necessary) and persist it. Hold the lock while doing so
+      // so that only one process (e.g., cluster worker) talks to the CA and check
+      // again once we have it in case another process has already done so.
+      const release = await storage.lock(accountStorageKey)
+      try {
+        accountJson = await storage.get(accountStorageKey)
+        if (accountJson === null) {
+          this.data = await (new NewAccountRequest()).execute(this.configuration.contact || [], this.configuration.externalAccountBinding)
+          await storage.put(accountStorageKey, JSON.stringify(this.data))
+          return
+        }
+      } finally {
+        await release()
+      }
+    }
+
+    // Account data already exists, load it from storage.
+    this.data = JSON.parse(accountJson)
+
+    // Keep the account’s contacts in sync with the configured ones.
+    const contact = this.configuration.contact
+    if (contact !== null && JSON.stringify(contact) !== JSON.stringify(this.contact)) {
+      await this.update({ contact })
+    }
+  }
+
+  // Changes the account’s contacts (email addresses) and saves them.
+  async update ({ contact = throws.ifMissing() } = {}) {
+    const contactUrls = Account.contactUrlsFor(contact)
+    await this.whileHoldingAccountLock(async () => {
+      const account = await (new UpdateAccountRequest()).execute({ contact: contactUrls })
+      this.data.contact = account.contact || contactUrls
+      await this.configuration.storage.put(this.configuration.accountStorageKey, JSON.stringify(this.data))
+    })
+    log(`   📇    ❨auto-encrypt❩ Updated account contacts (${this.contact.join(', ') || 'none'}).`)
+  }
+
+  // Deactivates the account (e.g., when decommissioning a server). Deactivation cannot be undone so the account
+  // details and the account identity are removed from storage (a new account, with a new key, is created if a
+  // certificate is provisioned afterwards).
+  async deactivate () {
+    await this.whileHoldingAccountLock(async () => {
+      await (new UpdateAccountRequest()).execute({ status: 'deactivated' })
+      await this.configuration.storage.delete(this.configuration.accountStorageKey)
+      await this.configuration.storage.delete(this.configuration.accountIdentityStorageKey)
+    })
+    log(`   👋    ❨auto-encrypt❩ Deactivated account (${this.kid}).`)
+  }
+
+  // Runs the passed async function while holding the lock on the account details.
+  async whileHoldingAccountLock (criticalSection) {
+    const release = await this.configuration.storage.lock(this.configuration.accountStorageKey)
+    try {
+      await criticalSection()
+    } finally {
+      await release()
+    }
+  }
+
+  // Replaces the account key (the account identity that AcmeRequest signs with) with a newly generated key of
+  // the configured account key type. The new key is only saved once the CA has confirmed the change so, if the
+  // request fails, we carry on using the old key. Hold the lock on the account identity while doing so so that
+  // two processes cannot roll the key over at the same time.
+  async rollOverKey () {
+    const accountIdentity = AcmeRequest.accountIdentity
+    const release = await this.configuration.storage.lock(accountIdentity.storageKey)
+    try {
+      const newKey = Identity.generateKey(this.configuration.accountKeyType)
+      await (new KeyChangeRequest()).execute(newKey)
+      await accountIdentity.replaceKey(newKey)
+    } finally {
+      await release()
     }
+    log(`   🔑    ❨auto-encrypt❩ Rolled over account key (${this.kid}).`)
   }
 
   // TODO: throw error if Account has not been initialised instead of crashing in getter below.
-  get kid ()      { return this.data.kid                                     }
-  set kid (value) { throws.error(Symbol.for('ReadOnlyAccessorError'), 'kid') }
+  get kid ()          { return this.data.kid                                         }
+  get contact ()      { return this.data.contact || []                               }
+  set kid (value)     { throws.error(Symbol.for('ReadOnlyAccessorError'), 'kid')     }
+  set contact (value) { throws.error(Symbol.for('ReadOnlyAccessorError'), 'contact') }
 }
@@ -0,0 +1,155 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+// AcmeProblemError
+//
+// Thrown when the ACME server responds with a problem document (RFC 7807).
+// There is a subclass for every ACME problem type (e.g., a DnsError for
+// urn:ietf:params:acme:error:dns) so you can tell errors apart using
+// instanceof. Each error keeps the full problem document as well as its
+// identifier and subproblems (themselves typed errors) so that you can tell
+// exactly which domain failed and why.
+//
+// See RFC 8555 § 6.7 (Errors) and § 6.7.1 (Subproblems).
+//
+// Copyright © 2020 Aral Balkan, Small Technology Foundation.
+// License: AGPLv3 or later.
+//
+////////////////////////////////////////////////////////////////////////////////
+
+import Throws from './util/Throws.js'
+
+const throws = new Throws()
+
+const acmeProblemTypePrefix = 'urn:ietf:params:acme:error:'
+
+export default class AcmeProblemError extends Error {
+  // All problem errors (except rate limiting errors) have the same symbol that ACME request errors have always had.
+  symbol = Symbol.for('AcmeRequest.requestError')
+
+  /**
+   * Returns an error of the class for the type of the passed problem document (or an AcmeProblemError if the
+   * type is not an ACME problem type).
+   *
+   * @param {Object} problem The problem document returned by the ACME server.
+   * @returns {AcmeProblemError}
+   */
+  static forProblem (problem = throws.ifMissing()) {
+    const ErrorClass = errorClassForType[AcmeProblemError.acmeTypeFor(problem.type)] || AcmeProblemError
+    return new ErrorClass(problem)
+  }
+
+  /**
+   * Returns the ACME problem type without its URN prefix (e.g., 'dns' for urn:ietf:params:acme:error:dns) or null
+   * if the passed type is not an ACME problem type.
+   *
+   * @param {String} type
+   * @returns {String|null}
+   */
+  static acmeTypeFor (type) {
+    return typeof type === 'string' && type.startsWith(acmeProblemTypePrefix) ? type.slice(acmeProblemTypePrefix.length) : null
+  }
+
+  /**
+   * The error classes, keyed by class name.
+   *
+   * @readonly
+   * @static
+   */
+  static get errorClasses () {
+    return Object.fromEntries([AcmeProblemError, ...Object.values(errorClassForType)].map(ErrorClass => [ErrorClass.name, ErrorClass]))
+  }
+
+  /**
+   * @param {Object} problem   The problem document returned by the ACME server.
+   * @param {String} [message] Defaults to the status, type, and detail of the problem (and of its subproblems).
+   */
+  constructor (problem = throws.ifMissing(), message = null) {
+    const subproblems = (problem.subproblems || []).map(subproblem => AcmeProblemError.forProblem(subproblem))
+
+    super(message || `(${problem.status} ${problem.type} ${problem.detail})${subproblems.map(subproblem => ` [${subproblem.identifier === null ? '' : `${subproblem.identifier.value}: `}${subproblem.acmeType || subproblem.type} ${subproblem.detail}]`).join('')}`)
+    this.name = this.constructor.name
+
+    this.problem     = problem
+    this.type        = problem.type
+    this.acmeType    = AcmeProblemError.acmeTypeFor(problem.type)
+    this.status      = problem.status === undefined ? null : problem.status
+    this.detail      = problem.detail === undefined ? null : problem.detail
+    this.identifier  = problem.identifier || null
+    this.subproblems = subproblems
+  }
+}
+
+//
+// Error classes for the ACME problem types. (RFC 8555 § 6.7)
+//
+
+export class AccountDoesNotExistError      extends AcmeProblemError {}
+export class AlreadyRevokedError           extends AcmeProblemError {}
+export class BadCsrError                   extends AcmeProblemError {}
+export class BadNonceError                 extends AcmeProblemError {}
+export class BadPublicKeyError             extends AcmeProblemError {}
+export class BadRevocationReasonError      extends AcmeProblemError {}
+export class BadSignatureAlgorithmError    extends AcmeProblemError {}
+export class CaaError                      extends AcmeProblemError {}
+export class CompoundError                 extends AcmeProblemError {}
+export class ConnectionError               extends AcmeProblemError {}
+export class DnsError                      extends AcmeProblemError {}
+export class ExternalAccountRequiredError  extends AcmeProblemError {}
+export class IncorrectResponseError        extends AcmeProblemError {}
+export class InvalidContactError           extends AcmeProblemError {}
+export class MalformedError                extends AcmeProblemError {}
+export class OrderNotReadyError            extends AcmeProblemError {}
+export class RejectedIdentifierError       extends AcmeProblemError {}
+export class ServerInternalError           extends AcmeProblemError {}
+export class TlsError                      extends AcmeProblemError {}
+export class UnauthorizedError             extends AcmeProblemError {}
+export class UnsupportedContactError       extends AcmeProblemError {}
+export class UnsupportedIdentifierError    extends AcmeProblemError {}
+export class UserActionRequiredError       extends AcmeProblemError {}
+
+/**
+ * Thrown by ACME requests when the server is rate limiting us (a rateLimited problem or HTTP 429) or is
+ * unavailable for a while (HTTP 503 with a Retry-After header) and the wait is longer than the retry policy
+ * allows (see AcmeRequest.retryPolicy). See RFC 8555 § 6.6 (Rate Limits).
+ */
+export class RateLimitedError extends AcmeProblemError {
+  symbol = Symbol.for('AcmeRequest.rateLimitedError')
+
+  /**
+   * @param {Object} problem          The problem document returned by the ACME server.
+   * @param {moment} [retryDate=null] When the rate limit resets and the request may be tried again (or null if
+   *                                  the server didn’t say).
+   */
+  constructor (problem = throws.ifMissing(), retryDate = null) {
+    super(problem, `The ACME server is rate limiting requests${retryDate === null ? '' : ` until ${retryDate.toISOString()}`} (${problem.status} ${problem.type} ${problem.detail})`)
+    this.retryDate = retryDate
+  }
+}
+
+// The error class for each ACME problem type (without its URN prefix).
+const errorClassForType = {
+  accountDoesNotExist:     AccountDoesNotExistError,
+  alreadyRevoked:          AlreadyRevokedError,
+  badCSR:                  BadCsrError,
+  badNonce:                BadNonceError,
+  badPublicKey:            BadPublicKeyError,
+  badRevocationReason:     BadRevocationReasonError,
+  badSignatureAlgorithm:   BadSignatureAlgorithmError,
+  caa:                     CaaError,
+  compound:                CompoundError,
+  connection:              ConnectionError,
+  dns:                     DnsError,
+  externalAccountRequired: ExternalAccountRequiredError,
+  incorrectResponse:       IncorrectResponseError,
+  invalidContact:          InvalidContactError,
+  malformed:               MalformedError,
+  orderNotReady:           OrderNotReadyError,
+  rateLimited:             RateLimitedError,
+  rejectedIdentifier:      RejectedIdentifierError,
+  serverInternal:          ServerInternalError,
+  tls:                     TlsError,
+  unauthorized:            UnauthorizedError,
+  unsupportedContact:      UnsupportedContactError,
+  unsupportedIdentifier:   UnsupportedIdentifierError,
+  userActionRequired:      UserActionRequiredError
+}
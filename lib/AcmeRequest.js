@@ -7,11 +7,15 @@
  */
 
 import jose from 'jose'
+import moment from 'moment'
 import prepareRequest from 'bent'
 import types from '../typedefs/lib/AcmeRequest.js'
 import Nonce from './Nonce.js'
+import AcmeProblemError, { RateLimitedError } from './AcmeProblemError.js'
 import Throws from './util/Throws.js'
 import log from './util/log.js'
+import waitFor from './util/waitFor.js'
+import parseRetryAfter from './util/parseRetryAfter.js'
 
 const throws = new Throws({
   [Symbol.for('AcmeRequest.classNotInitialisedError')]:
@@ -20,7 +24,8 @@ const throws = new Throws({
   [Symbol.for('AcmeRequest.accountNotSetError')]:
     () => 'You cannot issue calls that require an account KeyId without first injecting a reference to the account',
 
-  [Symbol.for('AcmeRequest.requestError')]: error => `(${error.status} ${error.type} ${error.detail})`
+  [Symbol.for('AcmeRequest.unsupportedSignatureAlgorithmError')]:
+    (algorithm, supportedAlgorithms) => `The ACME server does not accept ${algorithm} signatures${supportedAlgorithms ? ` (it accepts ${supportedAlgorithms.join(', ')})` : ''}; please use an account key type that it supports`
 })
 
 /**
@@ -35,6 +40,22 @@ export default class AcmeRequest {
   static nonce = null
   static __account = null
 
+  /**
+   * How requests that the server is rate limiting (a rateLimited problem or HTTP 429) or is temporarily unable to
+   * handle (HTTP 503) are retried. If the server says how long to wait (Retry-After) and that is no longer than the
+   * maximum wait, we wait and try again (up to the maximum number of attempts). Otherwise, the request fails with a
+   * RateLimitedError that has the time after which it may be tried again so that the caller can schedule it. (HTTP
+   * 503 responses without a Retry-After header are retried after the default wait.)
+   *
+   * @readonly
+   * @static
+   */
+  static retryPolicy = {
+    maximumAttempts: 3,
+    maximumWait: 60 /* seconds */ * 1000 /* ms */,
+    defaultWait: 5 /* seconds */ * 1000 /* ms */
+  }
+
   static initialise (directory = throws.ifMissing(), accountIdentity = throws.ifMissing()) {
     this.directory = directory
     this.accountIdentity = accountIdentity
@@ -59,6 +80,10 @@ export default class AcmeRequest {
     }
   }
 
+  // Requests are signed with the account identity unless a subclass sets a different identity to sign with
+  // (e.g., the certificate identity when revoking a certificate; see RFC 8555 § 7.6).
+  signingIdentity = null
+
   /**
    * Executes a remote Let’s Encrypt command and either returns the result or throws.
    *
@@ -91,22 +116,29 @@ export default class AcmeRequest {
    * @param {types.PreparedRequest} preparedRequest         The prepared request, ready to be executed.
    * @param {Boolean}               parseResponseBodyAsJSON Should the request body be parsed as JSON (true) or should
    *                                                        the native response object be returned (false).
+   * @param {Number}                [attempt=1]             The attempt number (see AcmeRequest.retryPolicy).
    * @returns {types.ResponseObject}
    */
-  async _execute (preparedRequest = throws.ifMissing(), parseResponseBodyAsJSON = throws.ifMissing()) {
+  async _execute (preparedRequest = throws.ifMissing(), parseResponseBodyAsJSON = throws.ifMissing(), attempt = 1) {
     const { signedRequest, httpsRequest, httpsHeaders, originalRequestDetails } = preparedRequest
 
-    let response, errorHeaders, errorBody
+    let response, errorHeaders, errorBody, errorStatusCode
     try {
       response = await httpsRequest('', signedRequest, httpsHeaders)
     } catch (error) {
+      // Errors without a response (e.g., network errors or connection resets) are not from the ACME server
+      // so there’s nothing for us to handle; rethrow them as they are.
+      if (error.statusCode === undefined) {
+        throw error
+      }
       errorBody = error.responseBody
-      errorHeaders = error.responseHeaders
+      errorHeaders = error.responseHeaders || {}
+      errorStatusCode = error.statusCode
     }
 
     // The error body is a promise. Wait for it to resolve.
-    if (errorBody) {
-      const errorBodyBuffer = await errorBody
+    if (errorStatusCode !== undefined) {
+      const errorBodyBuffer = (await errorBody) || Buffer.alloc(0)
 
       // If the error body is JSON (i.e., as expected to be returned from Let’s Encrypt),
       // handle it. If not (for whatever reason), still handle the error gracefully.
@@ -140,7 +172,45 @@ export default class AcmeRequest {
         )
       }
 
-      throws.error(Symbol.for('AcmeRequest.requestError'), error)
+      // Honour rate limits and temporary unavailability (RFC 8555 § 6.6) as per the retry policy.
+      const isRateLimited = errorStatusCode === 429 || error.type === 'urn:ietf:params:acme:error:rateLimited'
+      const isUnavailable = errorStatusCode === 503
+      if (isRateLimited || isUnavailable) {
+        const retryAfter = parseRetryAfter(errorHeaders['retry-after'])
+        const wait = retryAfter === null && isUnavailable ? AcmeRequest.retryPolicy.defaultWait : retryAfter
+
+        if (wait !== null && wait <= AcmeRequest.retryPolicy.maximumWait && attempt < AcmeRequest.retryPolicy.maximumAttempts) {
+          log(`   ⏳    ❨auto-encrypt❩ Server is ${isRateLimited ? 'rate limiting requests' : 'unavailable'}. Retrying in ${Math.ceil(wait / 1000)} seconds (attempt ${attempt + 1} of ${AcmeRequest.retryPolicy.maximumAttempts}). (RFC 8555 § 6.6)`)
+          await waitFor(wait)
+
+          // Re-prepare the request with the nonce from the error response, if there is one (or a fresh one).
+          const originalRequestWithNewNonce = [...originalRequestDetails]
+          originalRequestWithNewNonce[originalRequestWithNewNonce.length-1] = errorHeaders['replay-nonce'] || null
+
+          return await this._execute(
+            await this.prepare(...originalRequestWithNewNonce),
+            parseResponseBodyAsJSON,
+            attempt + 1
+          )
+        }
+
+        if (isRateLimited || retryAfter !== null) {
+          throw new RateLimitedError(error, retryAfter === null ? null : moment().add(retryAfter, 'ms'))
+        }
+      }
+
+      // If the server doesn’t support the algorithm our account key signs with, it tells us which ones it
+      // does support (RFC 8555 § 6.2). We cannot switch algorithms without switching account keys so fail clearly.
+      if (error.type === 'urn:ietf:params:acme:error:badSignatureAlgorithm') {
+        throws.error(
+          Symbol.for('AcmeRequest.unsupportedSignatureAlgorithmError'),
+          (this.signingIdentity || AcmeRequest.accountIdentity).jwsAlgorithm,
+          error.algorithms
+        )
+      }
+
+      // Throw an error of the class for the problem type (e.g., a DnsError) that has the full problem document.
+      throw AcmeProblemError.forProblem(error)
     }
 
     // Always save the fresh nonce returned from API calls.
@@ -210,8 +280,11 @@ export default class AcmeRequest {
 
     url = url || AcmeRequest.directory[`${command}Url`]
 
+    const signingIdentity = this.signingIdentity || AcmeRequest.accountIdentity
+
     const protectedHeader = {
-      alg: 'RS256',
+      // The algorithm is derived from the key (e.g., RS256 for RSA keys, ES256 for P-256 keys).
+      alg: signingIdentity.jwsAlgorithm,
       nonce: nonce || await AcmeRequest.nonce.get(),
       url
     }
@@ -221,10 +294,10 @@ export default class AcmeRequest {
       protectedHeader.kid = AcmeRequest.account.kid
     } else {
       // If we’re not using the kid, we must use the public JWK (see RFC 8555 § 6.2 Request Authentication)
-      protectedHeader.jwk = AcmeRequest.accountIdentity.publicJWK
+      protectedHeader.jwk = signingIdentity.publicJWK
     }
 
-    const signedRequest = jose.JWS.sign.flattened(payload, AcmeRequest.accountIdentity.key, protectedHeader)
+    const signedRequest = jose.JWS.sign.flattened(payload, signingIdentity.key, protectedHeader)
 
     const httpsHeaders = {
       'Content-Type': 'application/jose+json',
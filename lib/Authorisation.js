@@ -4,34 +4,64 @@
 //
 // (Use the async static get() method to await a fully-resolved instance.)
 //
-// Holds a single authorisation object. Note that the only authorisation type
-// supported by this library is HTTP-01 and this is hardcoded in its
-// behaviour. See RFC 8555 § 7.5, 7.5.1.
+// Holds a single authorisation object and answers its challenge using the
+// challenge type set in the configuration: HTTP-01 (the default, answered by
+// the shared HTTP server), DNS-01 (answered via the configured DNS provider),
+// or TLS-ALPN-01 (answered by the HTTPS server’s SNI callback).
+// See RFC 8555 § 7.5, 7.5.1, 8.3, 8.4 and RFC 8737.
 //
 // Copyright © 2020 Aral Balkan, Small Technology Foundation.
 // License: AGPLv3 or later.
 //
 ////////////////////////////////////////////////////////////////////////////////
 
+import crypto from 'crypto'
 import EventEmitter from 'events'
 import log from './util/log.js'
+import Throws from './util/Throws.js'
+import AcmeProblemError from './AcmeProblemError.js'
 import AuthorisationRequest from './acme-requests/AuthorisationRequest.js'
 import ReadyForChallengeValidationRequest from './acme-requests/ReadyForChallengeValidationRequest.js'
 import HttpServer from './HttpServer.js'
+import TlsAlpnChallengeResponder from './TlsAlpnChallengeResponder.js'
 import waitFor from './util/waitFor.js'
+import parseRetryAfter from './util/parseRetryAfter.js'
+
+const throws = new Throws({
+  [Symbol.for('Authorisation.challengeTypeNotOfferedError')]:
+    (challengeType, domain) => `The ACME server did not offer a ${challengeType} challenge for ${domain}`,
+
+  [Symbol.for('Authorisation.validationTimeoutError')]:
+    (domain, timeout) => `Timed out waiting for the authorisation for ${domain} to be validated (after ${timeout / 1000} seconds)`
+})
 
 export default class Authorisation extends EventEmitter {
 
   // Async factory method. Use this to instantiate.
   // TODO: add check to ensure factory method is used.
-  static async getInstanceAsync (authorisationUrl, accountIdentity) {
-    const authorisation = new Authorisation(authorisationUrl, accountIdentity)
+  static async getInstanceAsync (authorisationUrl, accountIdentity, configuration = throws.ifMissing()) {
+    const authorisation = new Authorisation(authorisationUrl, accountIdentity, configuration)
     await authorisation.init()
     return authorisation
   }
 
   // Events
   static VALIDATED = 'validated'
+  static INVALID = 'invalid'
+
+  // How long we wait for an authorisation to be validated once we have told the ACME server that we are ready.
+  // (E.g., if the domain does not point here, we never see the ACME server’s HTTP-01 or TLS-ALPN-01 validation
+  // request so we never start polling. Without a deadline, the order – and every other certificate waiting for its
+  // turn to talk to the ACME server – would wait forever.)
+  static validationTimeout = 5 /* minutes */ * 60 /* seconds */ * 1000 /* ms */
+
+  // Supported challenge types (the values are the ACME challenge type names).
+  // See RFC 8555 § 8.3 (HTTP Challenge), § 8.4 (DNS Challenge), and RFC 8737 § 3 (TLS-ALPN Challenge).
+  static challengeType = {
+    HTTP_01: 'http-01',
+    DNS_01: 'dns-01',
+    TLS_ALPN_01: 'tls-alpn-01'
+  }
 
   //
   // Accessors.
@@ -40,6 +70,14 @@ export default class Authorisation extends EventEmitter {
   get domain ()    { return this._domain   }
   get challenge () { return this._challenge }
 
+  // The key authorisation for the challenge. See RFC 8555 § 8.1 (Key Authorizations).
+  get keyAuthorisation () { return `${this.challenge.token}.${this.accountIdentity.thumbprint}` }
+
+  // The TXT record name and value for the DNS-01 challenge. The value is the base64url-encoded
+  // SHA-256 digest of the key authorisation. See RFC 8555 § 8.4 (DNS Challenge).
+  get dnsRecordName ()  { return `_acme-challenge.${this.domain}` }
+  get dnsRecordValue () { return crypto.createHash('sha256').update(this.keyAuthorisation).digest('base64url') }
+
   set domain (value)    { throw new Error('domain is a read-only property')    }
   set challenge (value) { throw new Error('challenge is a read-only property') }
 
@@ -47,20 +85,17 @@ export default class Authorisation extends EventEmitter {
   // Private.
   //
 
-  constructor (authorisationUrl, accountIdentity) {
+  constructor (authorisationUrl, accountIdentity, configuration) {
     super()
     this.authorisationUrl = authorisationUrl
     this.accountIdentity = accountIdentity
+    this.configuration = configuration
   }
 
   async init () {
-    try {
-      this.data = await (new AuthorisationRequest()).execute(this.authorisationUrl)
-      this.authorisation = this.data.body
-    } catch (error) {
-      // TODO: Handle the error.
-      throw new Error(error)
-    }
+    // (Errors from ACME requests are not wrapped so that callers can tell them apart; e.g., rate limiting.)
+    this.data = await (new AuthorisationRequest()).execute(this.authorisationUrl)
+    this.authorisation = this.data.body
 
     // Save the identifier (this is the domain that we will be responding for).
     this._domain = this.authorisation.identifier.value
@@ -76,15 +111,81 @@ export default class Authorisation extends EventEmitter {
       return true
     }
 
-    // We’re only interested in the HTTP-01 challenge url and token so make it easy to get at these.
+    // We’re only interested in the challenge of the type we’re configured to use so make it easy to get at it.
     // See RFC 8555 § 7.5 (Identifier Authorization).
-    this.authorisation.challenges.forEach(challenge => {
-      if (challenge.type === 'http-01') {
-        // Add the domain to the challenge object.
-        this._challenge = challenge
-      }
+    //
+    // Authorisations for wildcard domains (e.g., *.ar.al) have the wildcard flag set and the identifier
+    // without the wildcard label (ar.al). They are only ever offered the DNS-01 challenge. (RFC 8555 § 7.1.4)
+    this.challengeType = this.authorisation.wildcard === true ? Authorisation.challengeType.DNS_01 : this.configuration.challengeType
+    this._challenge = this.authorisation.challenges.find(challenge => challenge.type === this.challengeType)
+
+    if (this._challenge === undefined) {
+      throws.error(Symbol.for('Authorisation.challengeTypeNotOfferedError'), this.challengeType, this.domain)
+    }
+
+    const validated = new Promise((resolve, reject) => {
+      this.once(Authorisation.VALIDATED, () => {
+        resolve()
+      })
+      this.once(Authorisation.INVALID, error => {
+        reject(error)
+      })
     })
+    // (Validation may fail before we await the promise below; we don’t want that to be an unhandled rejection.)
+    validated.catch(() => {})
+
+    // We clean up the challenge (remove the DNS-01 TXT record or stop answering TLS-ALPN-01 validation handshakes)
+    // however this ends: if the record is set but not served in time, if the ready request fails (e.g., because we
+    // are being rate limited), or once the authorisation is validated, invalid, or has timed out.
+    let validationTimeoutId = null
+    try {
+      switch (this.challengeType) {
+        case Authorisation.challengeType.DNS_01:
+          await this.prepareDns01Challenge()
+        break
+
+        case Authorisation.challengeType.TLS_ALPN_01:
+          this.prepareTlsAlpn01Challenge()
+        break
+
+        default:
+          await this.prepareHttp01Challenge()
+      }
+
+      // Now that we’re able to respond to the challenge, signal to Let’s Encrypt that it can hit the endpoint.
+      // See RFC 8555 § 7.5.1 (Responding to Challenges).
+      await (new ReadyForChallengeValidationRequest()).execute(this.challenge.url)
+
+      // We cannot see DNS queries from the ACME server so, unlike with HTTP-01, we start polling right away.
+      if (this.challengeType === Authorisation.challengeType.DNS_01) {
+        this.startPollingForValidationState()
+      }
 
+      // Give up if the authorisation is not validated in time (see validationTimeout).
+      validationTimeoutId = setTimeout(() => {
+        const error = throws.createError(Symbol.for('Authorisation.validationTimeoutError'), this.domain, Authorisation.validationTimeout)
+        log(`   ❌    ❨auto-encrypt❩ ${error.message}`)
+        this.emit(Authorisation.INVALID, error)
+      }, Authorisation.validationTimeout)
+
+      // Wait for the authorisation to be validated before returning. (If it is invalid, this throws an
+      // AcmeProblemError for the problem that caused it to fail.)
+      await validated
+    } finally {
+      clearTimeout(validationTimeoutId)
+      this.hasFinished = true
+
+      if (this.challengeType === Authorisation.challengeType.DNS_01) {
+        await this.cleanUpDns01Challenge()
+      }
+
+      if (this.challengeType === Authorisation.challengeType.TLS_ALPN_01) {
+        TlsAlpnChallengeResponder.removeResponder(this.domain)
+      }
+    }
+  }
+
+  async prepareHttp01Challenge () {
     // Add the responder for the challenge to the challenge server singleton instance.
     const httpServer = await HttpServer.getSharedInstance()
 
@@ -101,10 +202,9 @@ export default class Authorisation extends EventEmitter {
         // TODO: We should validate (as much as possible) that this is actually coming from Let’s
         // ===== Encrypt’s servers.
 
-        const keyAuthorisation = `${this.challenge.token}.${this.accountIdentity.thumbprint}`
         response.statusCode = 200
         response.setHeader('Content-Type', 'application/octet-stream') // as per RFC 8555 § 8.3 (HTTP Challenge)
-        response.end(keyAuthorisation)
+        response.end(this.keyAuthorisation)
 
         // "For challenges where the client can tell when the server
         // has validated the challenge (e.g., by seeing an HTTP or DNS request
@@ -119,23 +219,29 @@ export default class Authorisation extends EventEmitter {
         return false
       }
     })
+  }
 
-    // Now that we’re able to respond to the challenge, signal to Let’s Encrypt that it can hit the endpoint.
-    // See RFC 8555 § 7.5.1 (Responding to Challenges).
+  prepareTlsAlpn01Challenge () {
+    // The validation handshake will be answered from the HTTPS server’s SNI callback. As with HTTP-01,
+    // we start polling once we see the validation request. (RFC 8555 § 7.5.1, RFC 8737 § 3)
+    TlsAlpnChallengeResponder.addResponder(this.domain, this.keyAuthorisation, () => {
+      this.startPollingForValidationState()
+    })
+  }
+
+  async prepareDns01Challenge () {
+    log(`   📝    ❨auto-encrypt❩ Setting DNS-01 challenge TXT record for ${this.domain}…`)
+    await this.configuration.dnsProvider.setTxtRecord(this.dnsRecordName, this.dnsRecordValue)
+  }
+
+  async cleanUpDns01Challenge () {
+    // Failing to remove the record should not fail the order (or hide why validation failed).
     try {
-      await (new ReadyForChallengeValidationRequest()).execute(this.challenge.url)
+      await this.configuration.dnsProvider.removeTxtRecord(this.dnsRecordName, this.dnsRecordValue)
+      log(`   🚮    ❨auto-encrypt❩ Removed DNS-01 challenge TXT record for ${this.domain}.`)
     } catch (error) {
-      // TODO: Handle error.
-      throw new Error(error)
+      log(`   ⚠    ❨auto-encrypt❩ Could not remove DNS-01 challenge TXT record for ${this.domain}: ${error}`)
     }
-
-    // Wait for the authorisation to be validated before returning.
-    await new Promise((resolve, reject) => {
-      this.once(Authorisation.VALIDATED, () => {
-        resolve()
-      })
-      // TODO: Also listen for errors and reject the promise accordingly.
-    })
   }
 
   startPollingForValidationState () {
@@ -149,30 +255,53 @@ export default class Authorisation extends EventEmitter {
     log(`   🧐    ❨auto-encrypt❩ Starting to poll for authorisation state for domain ${this.domain}…`)
 
     // Note: while this is an async function, we are not awaiting the result
-    // ===== here. Our goal is to simply trigger the start of polling. We do
-    //       not care about the result.
+    // ===== here. Our goal is to simply trigger the start of polling. The
+    //       result (and any error) is emitted as a VALIDATED or INVALID event.
     this.pollForValidationState()
   }
 
   async pollForValidationState () {
+    // Stop polling once we are no longer waiting for the result (e.g., because we timed out).
+    if (this.hasFinished) {
+      return
+    }
 
     log(`   👋    ❨auto-encrypt❩ Polling for authorisation state for domain ${this.domain}…`)
 
-    const result = await (new AuthorisationRequest()).execute(this.authorisationUrl)
+    // If we cannot find out (e.g., we are being rate limited or the ACME server is down), the authorisation fails
+    // with that error. (Otherwise, nothing would ever settle the validation promise that we are awaiting in init().)
+    let result
+    try {
+      result = await (new AuthorisationRequest()).execute(this.authorisationUrl)
+    } catch (error) {
+      log(`   ❌    ❨auto-encrypt❩ Could not poll for authorisation state for domain ${this.domain}: ${error}`)
+      this.emit(Authorisation.INVALID, error)
+      return
+    }
 
     if (result.body.status === 'valid') {
       log(`   🎉    ❨auto-encrypt❩ Authorisation validated for domain ${this.domain}`)
       this.emit(Authorisation.VALIDATED)
       return
+    } else if (result.body.status === 'invalid') {
+      // The challenge has the problem that caused validation to fail (e.g., a DNS or CAA error). Make
+      // sure it says which identifier failed. (RFC 8555 § 7.1.4 and § 7.5.1)
+      const challenge = result.body.challenges.find(challenge => challenge.error !== undefined)
+      const problem = Object.assign(
+        { identifier: result.body.identifier },
+        challenge === undefined ? { status: -1, type: 'Unexpected error', detail: `Authorisation for ${this.domain} is invalid` } : challenge.error
+      )
+      const error = AcmeProblemError.forProblem(problem)
+
+      log(`   ❌    ❨auto-encrypt❩ Authorisation failed for domain ${this.domain}: ${error.message}`)
+      this.emit(Authorisation.INVALID, error)
+      return
     } else {
       // Check if there is a Retry-After header – there SHOULD be, according to RFC 8555 § 7.5.1
       // (Responding to Challenges) – and use that as the polling interval. If there isn’t, default
       // to polling every second.
-      const retryAfterHeader = result.headers['Retry-After']
-      let pollingDuration = 1000
-      if (retryAfterHeader) {
-        pollingDuration = parseInt(retryAfterHeader)
-      }
+      const retryAfter = parseRetryAfter(result.headers['retry-after'])
+      const pollingDuration = retryAfter === null ? 1000 : retryAfter
 
       log(`   ⌚    ❨auto-encrypt❩ Authorisation not valid yet for domain ${this.domain}. Waiting to check again in ${pollingDuration/1000} second${pollingDuration === 1000 ? '' : 's'}…`)
 
@@ -6,9 +6,9 @@
  * @license AGPLv3 or later.
  */
 
-import fs from 'fs'
 import tls from 'tls'
 import util from 'util'
+import EventEmitter from 'events'
 import moment from 'moment'
 import log from './util/log.js'
 import { Certificate as X509Certificate } from './x.509/rfc5280.js'
@@ -18,10 +18,17 @@ import Directory from './Directory.js'
 import Order from './Order.js'
 import CertificateIdentity from './identities/CertificateIdentity.js'
 import AcmeRequest from './AcmeRequest.js'
+import RevokeCertificateRequest from './acme-requests/RevokeCertificateRequest.js'
+import RenewalInfo from './RenewalInfo.js'
+import { RateLimitedError } from './AcmeProblemError.js'
 import Throws from './util/Throws.js'
 
 const throws = new Throws({
-  // No custom errors are thrown by this class.
+  [Symbol.for('Certificate.notProvisionedError')]:
+    () => 'Cannot revoke a certificate that has not been provisioned',
+
+  [Symbol.for('Certificate.unsupportedRevocationReasonError')]:
+    reason => `Unsupported revocation reason: ${reason} (supported reasons are ${Object.values(Certificate.revocationReason).join(', ')})`
 })
 
 /**
@@ -30,7 +37,52 @@ const throws = new Throws({
  * @alias module:lib/Certificate
  * @param {String[]} domains List of domains this certificate covers.
  */
-export default class Certificate {
+export default class Certificate extends EventEmitter {
+  // Events
+  // (Emitted with { error, attempt, retryDate, expiryDate } when a renewal attempt fails and, in addition, when it
+  // fails once the certificate is close to expiry.)
+  static RENEWAL_FAILED = 'renewalFailed'
+  static RENEWAL_FAILED_CLOSE_TO_EXPIRY = 'renewalFailedCloseToExpiry'
+
+  /**
+   * How failed renewals are retried: after the initial delay, doubling with every failed attempt up to the maximum
+   * delay (with jitter, each delay is randomly between half and all of that). Failures are escalated once less than
+   * the close to expiry fraction of the certificate’s lifetime remains.
+   *
+   * @readonly
+   * @static
+   */
+  static renewalRetry = {
+    initialDelay: 5 /* minutes */ * 60 /* seconds */ * 1000 /* ms */,
+    maximumDelay: 6 /* hours */ * 60 /* minutes */ * 60 /* seconds */ * 1000 /* ms */,
+    closeToExpiryFraction: 0.1
+  }
+
+  /**
+   * Returns the delay before retrying renewal after the passed number of failed attempts (see renewalRetry).
+   *
+   * @param {Number} attempt The number of failed renewal attempts so far (starting at 1).
+   * @returns {Number} The delay in milliseconds.
+   */
+  static renewalRetryDelayFor (attempt = throws.ifMissing()) {
+    const delay = Math.min(Certificate.renewalRetry.initialDelay * 2 ** (attempt - 1), Certificate.renewalRetry.maximumDelay)
+    return Math.round(delay / 2 + Math.random() * delay / 2)
+  }
+
+  /**
+   * Enumeration of the revocation reasons that Let’s Encrypt accepts (RFC 5280 § 5.3.1 reason codes).
+   *
+   * @readonly
+   * @static
+   */
+  static revocationReason = {
+    UNSPECIFIED: 0,
+    KEY_COMPROMISE: 1,
+    AFFILIATION_CHANGED: 3,
+    SUPERSEDED: 4,
+    CESSATION_OF_OPERATION: 5
+  }
+
   /**
    * Get a SecureContext that can be used in an SNICallback.
    *
@@ -38,6 +90,8 @@ export default class Certificate {
    * @returns {Promise<tls.SecureContext>} A promise for a SecureContext that can be used in creating https servers.
    */
   async getSecureContext () {
+    await this.load()
+
     if (!this.#secureContext) {
       if (this.#busyCreatingSecureContextForTheFirstTime) {
         return null
@@ -46,44 +100,140 @@ export default class Certificate {
       // We don’t have the secure context yet, create it.
       await this.createSecureContext()
     }
+
+    this.provisionAdditionalCertificateIfNecessary()
+
     return this.#secureContext
   }
 
   /**
    * Creates an instance of Certificate.
    *
+   * If the configuration has an additional certificate key type (e.g., an RSA certificate for older clients
+   * alongside an ECDSA one), the certificate also maintains an additional certificate of that key type for the
+   * same domains. The additional certificate is provisioned and renewed independently and served from the same
+   * secure context so that OpenSSL can pick the best certificate for each handshake.
+   *
    * @param {Configuration} configuration Configuration instance.
    */
   constructor (configuration = throws.ifMissing()) {
+    super()
     this.#configuration = configuration
-    this.attemptToRecoverFromFailedRenewalAttemptIfNecessary()
+    this.#storage = configuration.storage
     this.#domains = configuration.domains
 
-    // If the certificate already exists, load and cache it.
-    if (fs.existsSync(this.#configuration.certificatePath)) {
-      this.pem = fs.readFileSync(this.#configuration.certificatePath, 'utf-8')
-      this.identity = new CertificateIdentity(this.#configuration)
+    const additionalCertificateConfiguration = configuration.forAdditionalCertificate()
+    if (additionalCertificateConfiguration !== null) {
+      this.#additionalCertificate = new Certificate(additionalCertificateConfiguration)
+      this.#additionalCertificate.#primaryCertificate = this
+    }
+  }
 
-      log('   📃    ❨auto-encrypt❩ Certificate exists, loaded it (and the corresponding private key) from disk.')
-      this.startCheckingForRenewal(/* alsoCheckNow = */ true)
-    } else {
-      log('   📃    ❨auto-encrypt❩ Certificate does not exist; will be provisioned on first hit of the server.')
+  /**
+   * Loads the certificate (and the corresponding private key) from storage, if it exists, and starts
+   * checking for its renewal. Safe to call more than once (the certificate is only loaded once).
+   *
+   * @category async
+   * @returns {Promise} Fulfils once the certificate has been loaded (or found not to exist).
+   */
+  load () {
+    if (this.#loading === null) {
+      this.#loading = Promise.all([
+        this.loadFromStorage(),
+        this.#additionalCertificate === null ? null : this.#additionalCertificate.load()
+      ])
     }
+    return this.#loading
+  }
+
+  /**
+   * The additional certificate (of the configuration’s additional certificate key type) that is maintained
+   * for the same domains, or null if there isn’t one.
+   *
+   * @type {Certificate|null}
+   * @readonly
+   */
+  get additionalCertificate () { return this.#additionalCertificate }
+
+  /**
+   * Runs the passed async function with the Let’s Encrypt account that this certificate is provisioned with
+   * (which is shared by all certificates using the same server type and storage), once it is this certificate’s
+   * turn to talk to the ACME server (e.g., to roll over the account key or to update the account’s contacts).
+   *
+   * @category async
+   * @param {Function} task Async function that is passed the Account instance.
+   * @returns {Promise} Fulfils with the result of the task.
+   */
+  async withAccount (task = throws.ifMissing()) {
+    return await Certificate.#serialiseAcmeSession(async () => {
+      await this.startAcmeSession()
+      return await task(this.#account)
+    })
   }
 
   //
   // Private.
   //
 
+  /**
+   * Loads the certificate, if it exists, after recovering from any failed renewal attempt.
+   *
+   * @access private
+   * @category async
+   */
+  async loadFromStorage () {
+    await this.attemptToRecoverFromFailedRenewalAttemptIfNecessary()
+
+    const certificatePem = await this.#storage.get(this.#configuration.certificateStorageKey)
+    if (certificatePem !== null) {
+      this.pem = certificatePem
+      this.identity = await CertificateIdentity.getInstanceAsync(this.#configuration)
+
+      log('   📃    ❨auto-encrypt❩ Certificate exists, loaded it (and the corresponding private key) from storage.')
+
+      // Start checking for renewal (unless renewal checks were stopped while we were loading,
+      // e.g., because the server was shut down).
+      if (!this.#hasStoppedCheckingForRenewal) {
+        this.startCheckingForRenewal(/* alsoCheckNow = */ true)
+      }
+    } else {
+      log('   📃    ❨auto-encrypt❩ Certificate does not exist; will be provisioned on first hit of the server.')
+    }
+  }
+
+  // AcmeRequest’s directory, account identity, and account are process-wide so, when a process
+  // runs several Auto Encrypt instances, certificates take turns talking to the ACME server.
+  // (Authorisations that are not validated in time fail so that a session cannot hold up the
+  // others forever; see Authorisation.validationTimeout.)
+  static #acmeSessionQueue = Promise.resolve()
+
+  static #serialiseAcmeSession (session) {
+    const result = Certificate.#acmeSessionQueue.then(session)
+    Certificate.#acmeSessionQueue = result.catch(() => {})
+    return result
+  }
+
   #configuration = null
+  #storage = null
+  #loading = null
+  #hasStoppedCheckingForRenewal = false
   #account = null
   #accountIdentity = null
   #directory = null
   #secureContext = null
   #domains = null
   #renewalDate = null
-  #checkForRenewalIntervalId = null
+  #renewalTimeoutId = null
+  #checkingForRenewal = null
+  #failedRenewalAttempts = 0
+  #checkForReloadIntervalId = null
+  #checkForRenewalInfoTimeoutId = null
+  #renewalInfoCheckDate = null
+  #suggestedRenewalWindow = null
   #busyCreatingSecureContextForTheFirstTime = false
+  #additionalCertificate = null
+  #additionalCertificateProvisioning = null
+  #primaryCertificate = null
 
   #_pem = null
   #_identity = null
@@ -106,6 +256,7 @@ export default class Certificate {
   get issueDate        () { return this.#_issueDate        }
   get expiryDate       () { return this.#_expiryDate       }
   get renewalDate      () { return this.#renewalDate       }
+  get configuration    () { return this.#configuration     }
 
   set pem (certificatePem) {
     this.#_pem = certificatePem
@@ -155,6 +306,7 @@ export default class Certificate {
   set issueDate        (value) { throws.error(Symbol.for('ReadOnlyAccessorError'), 'issueDate', 'set via pem')        }
   set expiryDate       (value) { throws.error(Symbol.for('ReadOnlyAccessorError'), 'expiryDate', 'set via pem')       }
   set renewalDate      (value) { throws.error(Symbol.for('ReadOnlyAccessorError'), 'renewalDate', 'set internally')   }
+  set configuration    (value) { throws.error(Symbol.for('ReadOnlyAccessorError'), 'configuration', 'set via constructor') }
 
   /**
    * Check if certificate-identity.pem.old or certificate.pem.old files exist.
@@ -162,26 +314,30 @@ export default class Certificate {
    * renewed. So restore them and use them and hopefully the next renewal attempt will
    * succeed or at least buy the administrator of the server some time to fix the issue.
    */
-  attemptToRecoverFromFailedRenewalAttemptIfNecessary () {
-    const oldCertificateIdentityPath = `${this.#configuration.certificateIdentityPath}.old`
-    const oldCertificatePath = `${this.#configuration.certificatePath}.old`
-    const certificateIdentityPath = this.#configuration.certificateIdentityPath
-    const certificatePath = this.#configuration.certificatePath
+  async attemptToRecoverFromFailedRenewalAttemptIfNecessary () {
+    const storage = this.#storage
+    const certificateIdentityKey = this.#configuration.certificateIdentityStorageKey
+    const certificateKey = this.#configuration.certificateStorageKey
+    const oldCertificateIdentityKey = `${certificateIdentityKey}.old`
+    const oldCertificateKey = `${certificateKey}.old`
+
+    const oldCertificateIdentity = await storage.get(oldCertificateIdentityKey)
+    const oldCertificate = await storage.get(oldCertificateKey)
 
-    if (fs.existsSync(oldCertificateIdentityPath) && fs.existsSync(oldCertificatePath)) {
+    if (oldCertificateIdentity !== null && oldCertificate !== null) {
       log('   🚑    ❨auto-encrypt❩ Warning: Failed renewal attempt detected. Old certificate files found. Attempting to recover…')
       // Edge case: check if the process succeeded (perhaps the power went out right after the certificate was
       // written but before we had a chance to clean up the old files.)
-      if (fs.existsSync(certificateIdentityPath) && fs.existsSync(certificatePath)) {
+      if ((await storage.get(certificateIdentityKey)) !== null && (await storage.get(certificateKey)) !== null) {
         log('   🚑    ❨auto-encrypt❩ A new certificate was also found. Going to delete the old one and use that.')
-        fs.rmSync(oldCertificateIdentityPath)
-        fs.rmSync(oldCertificatePath)
       } else {
         // The renewal process must have failed. Delete any previous state and restore the old certificate.
         log('   🚑    ❨auto-encrypt❩ Cleaning up previous state and restoring old certificate…')
-        fs.renameSync(oldCertificateIdentityPath, certificateIdentityPath)
-        fs.renameSync(oldCertificatePath, certificatePath)
+        await storage.put(certificateIdentityKey, oldCertificateIdentity)
+        await storage.put(certificateKey, oldCertificate)
       }
+      await storage.delete(oldCertificateIdentityKey)
+      await storage.delete(oldCertificateKey)
       log('   🚑    ❨auto-encrypt❩ Recovery attempt complete.')
     }
   }
@@ -205,24 +361,30 @@ export default class Certificate {
       this.#busyCreatingSecureContextForTheFirstTime = true
     }
 
-    // If the certificate does not already exist, provision one.
+    // If the certificate does not already exist, provision one. (When renewing, renewCertificate() already
+    // holds the provisioning lock.)
     if (!this.pem || renewCertificate) {
+      const provision = async () => {
+        await Certificate.#serialiseAcmeSession(async () => {
+          await this.startAcmeSession()
+          await this.provisionCertificate()
+        })
+      }
 
-      // Initialise all necessary state.
-      this.#directory = await Directory.getInstanceAsync(this.#configuration)
-      this.#accountIdentity = new AccountIdentity(this.#configuration)
-      AcmeRequest.initialise(this.#directory, this.#accountIdentity)
-      this.#account = await Account.getInstanceAsync(this.#configuration)
-      AcmeRequest.account = this.#account
-
-      await this.provisionCertificate()
+      if (renewCertificate) {
+        await provision()
+      } else {
+        await this.whileHoldingProvisioningLock(async () => {
+          // Another process might have provisioned the certificate while we were waiting for the lock.
+          if (!(await this.adoptCertificateFromStorageIfProvisionedElsewhere())) {
+            await provision()
+          }
+        })
+      }
     }
 
     // Create and cache the secure context.
-    this.#secureContext = tls.createSecureContext({
-      key: this.key,
-      cert: this.pem
-    })
+    this.updateSecureContext()
 
     // No need to do an additional check for renewal here
     // as setting this to false when it is already false
@@ -231,6 +393,57 @@ export default class Certificate {
   }
 
 
+  /**
+   * Revokes the certificate and records the revocation in storage (see Configuration.revocationsStorageKey).
+   *
+   * The revocation request is signed with the account key unless signWithCertificateKey is true, in which case it
+   * is signed with the certificate’s own key (e.g., to prove that the key has been compromised). If reissue is
+   * true, a new certificate (with a new key) is provisioned right away and served in place of the revoked one.
+   *
+   * @category async
+   * @param {Object}  [options]
+   * @param {Number}  [options.reason=Certificate.revocationReason.UNSPECIFIED] Reason for the revocation.
+   * @param {Boolean} [options.signWithCertificateKey=false] Sign the request with the certificate key.
+   * @param {Boolean} [options.reissue=false]                Provision a new certificate right away.
+   * @returns {Promise} Fulfils once the certificate has been revoked (and reissued, if requested).
+   */
+  async revoke ({ reason = Certificate.revocationReason.UNSPECIFIED, signWithCertificateKey = false, reissue = false } = {}) {
+    await this.load()
+    throws.if(!this.isProvisioned, Symbol.for('Certificate.notProvisionedError'))
+    throws.if(!Object.values(Certificate.revocationReason).includes(reason), Symbol.for('Certificate.unsupportedRevocationReasonError'), reason)
+
+    const certificatePem = this.pem
+    const serialNumber = `${this.serialNumber}`
+
+    await Certificate.#serialiseAcmeSession(async () => {
+      await this.startAcmeSession()
+      await (new RevokeCertificateRequest()).execute(certificatePem, reason, signWithCertificateKey ? this.identity : null)
+    })
+
+    await this.recordRevocation(serialNumber, reason)
+
+    const reasonName = Object.keys(Certificate.revocationReason).find(name => Certificate.revocationReason[name] === reason)
+    log(`   🚫    ❨auto-encrypt❩ Revoked certificate ${serialNumber} for ${this.#domains} (reason: ${reasonName.toLowerCase().replace(/_/g, ' ')}).`)
+
+    if (reissue) {
+      await this.renewCertificate()
+    }
+  }
+
+  /**
+   * Initialises the state necessary to talk to the ACME server (directory, account identity, and account).
+   *
+   * @access private
+   * @category async
+   */
+  async startAcmeSession () {
+    this.#directory = await Directory.getInstanceAsync(this.#configuration)
+    this.#accountIdentity = await AccountIdentity.getInstanceAsync(this.#configuration)
+    AcmeRequest.initialise(this.#directory, this.#accountIdentity)
+    this.#account = await Account.getInstanceAsync(this.#configuration)
+    AcmeRequest.account = this.#account
+  }
+
   /**
    * Provisions a new Let’s Encrypt TLS certificate, persists it, and starts checking for
    * renewals on it every day, starting with the next day.
@@ -242,19 +455,43 @@ export default class Certificate {
   async provisionCertificate () {
     log(`   🤖    ❨auto-encrypt❩ Provisioning Let’s Encrypt certificates for ${this.#domains}.`)
 
-    // Create a new order.
-    const order = await Order.getInstanceAsync(this.#configuration, this.#accountIdentity)
+    // Create a new order. When renewing, tell CAs that support ARI which certificate the new one replaces so that
+    // they can link them (e.g., to know which certificates are being replaced ahead of a mass revocation).
+    const order = await Order.getInstanceAsync(this.#configuration, this.#accountIdentity, this.replacedCertificateIdentifier())
 
     // Get the certificate details from the order.
     this.pem = order.certificate
     this.identity = order.certificateIdentity
 
-    // Start checking for renewal updates, every day, starting tomorrow.
-    this.startCheckingForRenewal(/* alsoCheckNow = */ false)
+    // Start checking for renewal updates, every day, starting tomorrow (unless the certificate was retired while
+    // we were provisioning it, e.g., because an on-demand server name timed out).
+    if (!this.#hasStoppedCheckingForRenewal) {
+      this.startCheckingForRenewal(/* alsoCheckNow = */ false)
+    }
 
     log(`   🎉    ❨auto-encrypt❩ Successfully provisioned Let’s Encrypt certificate for ${this.#domains}.`)
   }
 
+  /**
+   * Returns the ARI certificate identifier of the certificate we are renewing for the replaces field of the new
+   * order, or null if we are not renewing a certificate or the CA does not support ARI. (draft-ietf-acme-ari § 5)
+   *
+   * @access private
+   * @returns {String|null}
+   */
+  replacedCertificateIdentifier () {
+    if (!this.pem || this.#directory.renewalInfoUrl === undefined) {
+      return null
+    }
+    try {
+      return RenewalInfo.certificateIdentifierFor(this.pem)
+    } catch (error) {
+      // (E.g., the certificate has no authority key identifier.)
+      log(`   ⚠    ❨auto-encrypt❩ Cannot tell the CA which certificate is being replaced: ${error}`)
+      return null
+    }
+  }
+
   /**
    * Starts the certificate renewal process by requesting the creation of a fresh secure context.
    *
@@ -268,39 +505,282 @@ export default class Certificate {
     // Backup the existing certificate and certificate identity (*.pem → *.pem.old). Then create a new
     // Order and, if it’s successful, update the certificate and certificate identity and recreate and
     // cache the secureContext so that the server will start using the new certificate right away.
-    // If it’s not successful, restore the old files.
+    // If it’s not successful, restore the old files, keep serving the existing certificate, and try again later
+    // (see scheduleRenewalRetry()).
     //
     log(`   🤖    ❨auto-encrypt❩ Renewing Let’s Encrypt certificate for ${this.#domains}.`)
 
-    this.stopCheckingForRenewal()
+    this.clearRenewalTimers()
+
+    try {
+      await this.whileHoldingProvisioningLock(async () => {
+        // Another process might have renewed the certificate while we were waiting for the lock.
+        if (await this.adoptCertificateFromStorageIfProvisionedElsewhere()) {
+          return
+        }
+        await this.renewCertificateWhileHoldingProvisioningLock()
+      })
+    } catch (error) {
+      this.scheduleRenewalRetry(error)
+      throw error
+    }
+
+    this.#failedRenewalAttempts = 0
+  }
 
+  /**
+   * Schedules another renewal attempt after a failed one, backing off exponentially (see Certificate.renewalRetry)
+   * or until the CA’s rate limit resets (see RateLimitedError), and emits Certificate.RENEWAL_FAILED (and Certificate.RENEWAL_FAILED_CLOSE_TO_EXPIRY once the certificate is close
+   * to expiry). The existing certificate keeps being served in the meantime.
+   *
+   * @access private
+   * @category sync
+   * @param {Error} error The error the renewal attempt failed with.
+   */
+  scheduleRenewalRetry (error) {
+    this.#failedRenewalAttempts++
+
+    const attempt = this.#failedRenewalAttempts
+    let delay = Certificate.renewalRetryDelayFor(attempt)
+
+    // If the CA is rate limiting us, there’s no point in trying again before the rate limit resets.
+    if (error instanceof RateLimitedError && error.retryDate !== null) {
+      const maximumTimeout = 2 ** 31 - 1 /* ms */
+      delay = Math.min(Math.max(delay, error.retryDate.valueOf() - Date.now()), maximumTimeout)
+    }
+    const retryDate = moment().add(delay, 'ms')
+    const expiryDate = this.expiryDate
+    const details = { error, attempt, retryDate, expiryDate }
+
+    log(`   ❌    ❨auto-encrypt❩ Could not renew certificate for ${this.#domains} (attempt ${attempt}): ${error}`)
+    log(`   🔁    ❨auto-encrypt❩ Still serving the current certificate (expires ${expiryDate.fromNow()}). Will try to renew it again at ${retryDate.toISOString()}.`)
+    this.emit(Certificate.RENEWAL_FAILED, details)
+
+    const lifetime = expiryDate.valueOf() - this.issueDate.valueOf()
+    if (expiryDate.valueOf() - Date.now() < lifetime * Certificate.renewalRetry.closeToExpiryFraction) {
+      log(`   🚨    ❨auto-encrypt❩ Certificate for ${this.#domains} expires ${expiryDate.fromNow()} and could not be renewed. Please check the errors above.`)
+      this.emit(Certificate.RENEWAL_FAILED_CLOSE_TO_EXPIRY, details)
+    }
+
+    // (renewCertificate() cleared the timers. Don’t restart them if we’ve stopped checking for renewal.)
+    if (!this.#hasStoppedCheckingForRenewal) {
+      this.#renewalTimeoutId = setTimeout(this.checkForRenewal.bind(this), delay)
+      this.startCheckingForChangesInStorage()
+    }
+  }
+
+  /**
+   * Renews the certificate. Must only be called while holding the provisioning lock.
+   *
+   * @access private
+   * @category async
+   */
+  async renewCertificateWhileHoldingProvisioningLock () {
     //
-    // In case old files were left behind, remove them first and then rename the current files.
-    // (If the directory doesn’t exist, will silently do nothing.)
+    // Move the current certificate and certificate identity to their .old keys (overwriting any
+    // old ones that were left behind).
     //
-    const certificateIdentityPath = this.#configuration.certificateIdentityPath
-    const oldCertificateIdentityPath = `${certificateIdentityPath}.old`
-    const certificatePath = this.#configuration.certificatePath
-    const oldCertificatePath = `${certificatePath}.old`
+    const storage = this.#storage
+    const certificateIdentityKey = this.#configuration.certificateIdentityStorageKey
+    const oldCertificateIdentityKey = `${certificateIdentityKey}.old`
+    const certificateKey = this.#configuration.certificateStorageKey
+    const oldCertificateKey = `${certificateKey}.old`
 
-    fs.renameSync(certificateIdentityPath, oldCertificateIdentityPath)
-    fs.renameSync(certificatePath, oldCertificatePath)
+    // (The certificate is deleted before, and written after, its private key so that anyone reloading a
+    // certificate from storage never finds it without its key.)
+    await storage.put(oldCertificateIdentityKey, await storage.get(certificateIdentityKey))
+    await storage.put(oldCertificateKey, await storage.get(certificateKey))
+    await storage.delete(certificateKey)
+    await storage.delete(certificateIdentityKey)
 
     // Create a fresh secure context, renewing the certificate in the process.
     // Once the secure context has been created, it will automatically be used
     // for any new connection attempts in the future.
-    await this.createSecureContext(/* renewCertificate = */ true)
+    try {
+      await this.createSecureContext(/* renewCertificate = */ true)
+    } catch (error) {
+      // Restore the old certificate and certificate identity right away (instead of on the next start) so that
+      // anyone reloading the certificate from storage keeps finding it. We are still serving it.
+      await storage.put(certificateIdentityKey, await storage.get(oldCertificateIdentityKey))
+      await storage.put(certificateKey, await storage.get(oldCertificateKey))
+      await storage.delete(oldCertificateIdentityKey)
+      await storage.delete(oldCertificateKey)
+      log(`   🚑    ❨auto-encrypt❩ Restored the previous certificate for ${this.#domains} after failed renewal.`)
+      throw error
+    }
 
     // Delete the backup of the old certificate.
-    fs.rmSync(oldCertificateIdentityPath)
-    fs.rmSync(oldCertificatePath)
+    await storage.delete(oldCertificateIdentityKey)
+    await storage.delete(oldCertificateKey)
   }
 
 
   /**
-   * Checks if the certificate needs to be renewed (if it is within 30 days of its expiry date) and, if so,
-   * renews it. While the method is async, the result is not awaited on usage. Instead, it is a fire-and-forget
-   * method that’s called via a daily interval.
+   * Adds the revocation of the certificate with the passed serial number to the record of revoked certificates.
+   *
+   * @access private
+   * @category async
+   * @param {String} serialNumber
+   * @param {Number} reason
+   */
+  async recordRevocation (serialNumber, reason) {
+    const revocationsStorageKey = this.#configuration.revocationsStorageKey
+    const release = await this.#storage.lock(revocationsStorageKey)
+    try {
+      const revocations = JSON.parse((await this.#storage.get(revocationsStorageKey)) || '[]')
+      revocations.push({ serialNumber, reason, revokedAt: new Date().toISOString() })
+      await this.#storage.put(revocationsStorageKey, JSON.stringify(revocations, null, 2))
+    } finally {
+      await release()
+    }
+  }
+
+  /**
+   * Runs the passed async function while holding the storage lock for provisioning this certificate so that
+   * only one process (e.g., cluster worker) orders or renews a given certificate at a time.
+   *
+   * @access private
+   * @category async
+   * @param {Function} criticalSection Async function to run while holding the lock.
+   */
+  async whileHoldingProvisioningLock (criticalSection) {
+    const release = await this.#storage.lock(this.#configuration.certificateStorageKey)
+    try {
+      await criticalSection()
+    } finally {
+      await release()
+    }
+  }
+
+  /**
+   * If another process has provisioned or renewed the certificate in storage (i.e., it is different to ours
+   * and not due for renewal), starts using it instead of talking to the CA ourselves.
+   *
+   * @access private
+   * @category async
+   * @returns {Promise<Boolean>} Fulfils with true if the certificate in storage was adopted.
+   */
+  async adoptCertificateFromStorageIfProvisionedElsewhere () {
+    const certificatePem = await this.#storage.get(this.#configuration.certificateStorageKey)
+    if (certificatePem === null || certificatePem === this.pem) {
+      return false
+    }
+
+    const details = this.parseDetails(certificatePem)
+    const renewalDate = this.renewalDateFor(moment(details.issuedAt), moment(details.expiresAt), /* withJitter = */ false)
+    if (moment().isSameOrAfter(renewalDate)) {
+      return false
+    }
+
+    log(`   📃    ❨auto-encrypt❩ Certificate for ${this.#domains} was provisioned by another process; using it.`)
+    await this.useCertificateFromStorage(certificatePem)
+
+    this.clearRenewalTimers()
+    this.startCheckingForRenewal(/* alsoCheckNow = */ false)
+    return true
+  }
+
+  /**
+   * Reloads the certificate (and the corresponding private key) if the certificate in storage has been changed
+   * by someone else (e.g., renewed by a sibling process or replaced by an operator) and starts serving it.
+   * Called periodically while checking for renewal.
+   *
+   * @access private
+   * @category async
+   * @returns {Promise<Boolean>} Fulfils with true if the certificate was reloaded.
+   */
+  async reloadIfChangedInStorage () {
+    const certificatePem = await this.#storage.get(this.#configuration.certificateStorageKey)
+
+    // Nothing to reload if there is no certificate in storage (e.g., while it is being renewed) or if it’s ours.
+    if (!this.isProvisioned || certificatePem === null || certificatePem === this.pem) {
+      return false
+    }
+
+    const previousSerialNumber = this.serialNumber
+    try {
+      await this.useCertificateFromStorage(certificatePem)
+    } catch (error) {
+      // E.g., the private key is being replaced and doesn’t match the certificate yet. We’ll try again next time.
+      log(`   ❌    ❨auto-encrypt❩ Could not reload changed certificate for ${this.#domains} from storage: ${error}`)
+      return false
+    }
+    this.resetRenewalDate()
+    this.#failedRenewalAttempts = 0
+
+    log(`   🔄    ❨auto-encrypt❩ Reloaded changed certificate for ${this.#domains} from storage (serial number ${previousSerialNumber} → ${this.serialNumber}).`)
+    return true
+  }
+
+  /**
+   * Starts serving the passed certificate from storage with the private key from storage.
+   *
+   * @access private
+   * @category async
+   * @param {String} certificatePem
+   */
+  async useCertificateFromStorage (certificatePem) {
+    const identity = await CertificateIdentity.getInstanceAsync(this.#configuration)
+
+    // Make sure the private key matches the certificate before using them (creating a secure context throws if it doesn’t).
+    tls.createSecureContext({ key: identity.privatePEM, cert: certificatePem })
+
+    this.identity = identity
+    this.pem = certificatePem
+    this.updateSecureContext()
+  }
+
+  /**
+   * Creates and caches the secure context with the key and certificate of this certificate and its additional
+   * certificate (if it is provisioned). Additional certificates update the secure context of their primary
+   * certificate instead.
+   *
+   * @access private
+   */
+  updateSecureContext () {
+    if (this.#primaryCertificate !== null) {
+      this.#primaryCertificate.updateSecureContext()
+      return
+    }
+
+    // The secure context is only created once the primary certificate is provisioned.
+    if (!this.isProvisioned) {
+      return
+    }
+
+    const certificates = [this, this.#additionalCertificate].filter(certificate => certificate !== null && certificate.isProvisioned)
+    this.#secureContext = tls.createSecureContext({
+      key: certificates.map(certificate => certificate.key),
+      cert: certificates.map(certificate => certificate.pem)
+    })
+  }
+
+  /**
+   * Provisions the additional certificate in the background if it hasn’t been provisioned yet (so that the first
+   * hit on the server only waits for the primary certificate).
+   *
+   * @access private
+   */
+  provisionAdditionalCertificateIfNecessary () {
+    const additionalCertificate = this.#additionalCertificate
+    if (additionalCertificate === null || additionalCertificate.isProvisioned || this.#additionalCertificateProvisioning !== null) {
+      return
+    }
+
+    this.#additionalCertificateProvisioning = additionalCertificate.createSecureContext().catch(error => {
+      log(`   ❌    ❨auto-encrypt❩ Could not provision additional ${additionalCertificate.configuration.certificateKeyType} certificate for ${this.#domains}: ${error}`)
+    }).finally(() => {
+      // Try again on a later hit if it failed.
+      this.#additionalCertificateProvisioning = null
+    })
+  }
+
+  /**
+   * Checks if the certificate needs to be renewed and, if so, renews it. The renewal date is updated from the
+   * ACME Renewal Information (ARI) that the CA provides, if it supports it, before checking. While the method is
+   * async, the result is not awaited on usage. Instead, it is a fire-and-forget method that’s called by the renewal
+   * timer (and when the CA asks us to check the renewal information again). If the certificate isn’t due for
+   * renewal, the renewal timer is rescheduled (as the renewal date might have changed).
    *
    * @access private
    * @category async
@@ -308,25 +788,167 @@ export default class Certificate {
    *                    has been renewed.
    */
   async checkForRenewal () {
+    // The renewal timer and the renewal information timer might fire at the same time; only check once.
+    if (this.#checkingForRenewal === null) {
+      this.#checkingForRenewal = this.#checkForRenewal().finally(() => {
+        this.#checkingForRenewal = null
+      })
+    }
+    return this.#checkingForRenewal
+  }
+
+  async #checkForRenewal () {
     log( '   🧐    ❨auto-encrypt❩ Checking if we need to renew the certificate… ')
+
+    if (this.#renewalInfoCheckDate === null || moment().isSameOrAfter(this.#renewalInfoCheckDate)) {
+      await this.updateRenewalDateFromRenewalInfo()
+    }
+
     const currentDate = moment()
     if (currentDate.isSameOrAfter(this.#renewalDate)) {
       //
       // Certificate needs renewal.
       //
-      log(`   🌱    ❨auto-encrypt❩ Certificate expires in 30 days or less. Renewing certificate…`)
+      log(`   🌱    ❨auto-encrypt❩ Certificate is due for renewal (renewal date: ${this.#renewalDate.toISOString()}). Renewing certificate…`)
       // Note: this is not a blocking process. We transparently start using the new certificate
       // when it is ready.
-      await this.renewCertificate()
+      try {
+        await this.renewCertificate()
+      } catch (error) {
+        // (The failure has been logged and a retry scheduled.)
+        return
+      }
       log(`   🌱    ❨auto-encrypt❩ Successfully renewed Let’s Encrypt certificate.`)
     } else {
-      log('   👍    ❨auto-encrypt❩ Certificate has more than 30 days before it expires. Will check again tomorrow.')
+      log(`   👍    ❨auto-encrypt❩ Certificate is not due for renewal until ${this.#renewalDate.toISOString()}.`)
+      this.scheduleRenewal()
     }
   }
 
+  /**
+   * Sets the renewal date to a random time in the renewal window suggested by the CA (draft-ietf-acme-ari) and
+   * schedules the next check for renewal information for when the CA asks us to check again (Retry-After). If the
+   * CA doesn’t support ARI (or the request fails), the renewal date is left unchanged (see renewalDateFor()).
+   *
+   * @access private
+   * @category async
+   */
+  async updateRenewalDateFromRenewalInfo () {
+    let renewalInfo
+    try {
+      // (We only need the directory when talking to the CA so it might not have been fetched yet.)
+      if (this.#directory === null) {
+        this.#directory = await Directory.getInstanceAsync(this.#configuration)
+      }
+      if (this.#directory.renewalInfoUrl === undefined) {
+        // The CA doesn’t support ARI; keep the configured renewal date.
+        return
+      }
+      renewalInfo = await RenewalInfo.getInstanceAsync(this.#directory.renewalInfoUrl, this.pem)
+    } catch (error) {
+      // Keep the current renewal date (the configured one or one within the last window the CA suggested)
+      // and try again on the next check.
+      log(`   ❌    ❨auto-encrypt❩ Could not get renewal information for ${this.#domains} (keeping renewal date ${this.#renewalDate.toISOString()}): ${error}`)
+      return
+    }
+
+    // Only pick a new random renewal date if the CA has changed the suggested window (picking a new one
+    // on every check would skew renewals towards the start of the window).
+    const suggestedWindow = renewalInfo.suggestedWindow
+    const previousSuggestedWindow = this.#suggestedRenewalWindow
+    if (
+      previousSuggestedWindow === null
+      || !previousSuggestedWindow.start.isSame(suggestedWindow.start)
+      || !previousSuggestedWindow.end.isSame(suggestedWindow.end)
+    ) {
+      this.#suggestedRenewalWindow = suggestedWindow
+      this.#renewalDate = renewalInfo.randomTimeInSuggestedWindow()
+      log(`   📅    ❨auto-encrypt❩ CA suggests renewing certificate for ${this.#domains} between ${suggestedWindow.start.toISOString()} and ${suggestedWindow.end.toISOString()}; will renew at ${this.#renewalDate.toISOString()}.${renewalInfo.explanationUrl === null ? '' : ` (See ${renewalInfo.explanationUrl})`}`)
+    }
+
+    this.#renewalInfoCheckDate = moment().add(renewalInfo.retryAfter, 'ms')
+
+    // Don’t restart the timer if we stopped checking for renewal while we were waiting for the CA.
+    if (!this.#hasStoppedCheckingForRenewal) {
+      clearTimeout(this.#checkForRenewalInfoTimeoutId)
+      this.#checkForRenewalInfoTimeoutId = setTimeout(this.checkForRenewal.bind(this), renewalInfo.retryAfter)
+    }
+  }
 
   /**
-   * Starts checking for certificate renewals every 24 hours.
+   * Returns the renewal date for a certificate with the passed issue and expiry dates, as configured by the renewal
+   * setting (see Configuration.renewal). With daysBeforeExpiry, the renewal date is never after the configured
+   * number of days before expiry. If the certificate’s lifetime is too short for that, it is renewed halfway through
+   * its lifetime instead.
+   *
+   * @access private
+   * @category sync
+   * @param {moment}  issueDate
+   * @param {moment}  expiryDate
+   * @param {Boolean} [withJitter=true] If true, the renewal date is randomly moved earlier by up to the configured
+   *                                    jitter (so that servers deployed together don’t renew at the same moment).
+   * @returns {moment}
+   */
+  renewalDateFor (issueDate, expiryDate, withJitter = true) {
+    const renewal = this.#configuration.renewal
+    const lifetime = expiryDate.valueOf() - issueDate.valueOf()
+    const oneDay = 24 /* hours */ * 60 /* minutes */ * 60 /* seconds */ * 1000 /* ms */
+    const randomFraction = withJitter ? Math.random() : 0
+
+    if (renewal.fractionOfLifetime !== undefined) {
+      return moment(issueDate.valueOf() + (renewal.fractionOfLifetime - randomFraction * renewal.jitter) * lifetime)
+    }
+
+    const configuredRenewalTime = expiryDate.valueOf() - renewal.daysBeforeExpiry * oneDay
+    const halfwayTime = issueDate.valueOf() + lifetime / 2
+    if (configuredRenewalTime <= halfwayTime) {
+      return moment(halfwayTime)
+    }
+
+    // The jitter only ever moves renewal earlier (never past the configured number of days before expiry) and
+    // never before halfway through the lifetime.
+    const jitterTime = Math.min(randomFraction * renewal.jitter * oneDay, configuredRenewalTime - halfwayTime)
+    return moment(configuredRenewalTime - jitterTime)
+  }
+
+  /**
+   * Resets the renewal date to the configured one (see renewalDateFor(); this is the renewal date used if the CA
+   * doesn’t support renewal information) and forgets any renewal information so that it is requested again on the
+   * next check.
+   *
+   * @access private
+   * @category sync
+   */
+  resetRenewalDate () {
+    this.#renewalDate = this.renewalDateFor(this.issueDate, this.expiryDate)
+    this.#renewalInfoCheckDate = null
+    this.#suggestedRenewalWindow = null
+  }
+
+  /**
+   * (Re)schedules the renewal timer to check for renewal at the renewal date. (Timers cannot be longer than about
+   * 24.8 days so, if the renewal date is further away, the timer is rescheduled when it fires.)
+   *
+   * @access private
+   * @category sync
+   */
+  scheduleRenewal () {
+    clearTimeout(this.#renewalTimeoutId)
+    if (this.#hasStoppedCheckingForRenewal) {
+      return
+    }
+
+    const maximumTimeout = 2 ** 31 - 1 /* ms */
+    const timeUntilRenewal = Math.max(this.#renewalDate.valueOf() - Date.now(), 0)
+
+    this.#renewalTimeoutId = timeUntilRenewal > maximumTimeout
+      ? setTimeout(this.scheduleRenewal.bind(this), maximumTimeout)
+      : setTimeout(this.checkForRenewal.bind(this), timeUntilRenewal)
+  }
+
+  /**
+   * Starts the timer that renews the certificate at its renewal date (and checks for renewal information from the
+   * CA, if it supports it, in the meantime).
    *
    * @param {boolean} [alsoCheckNow=false] If true, will also immediately check for renewal when the function is
    *                                       called (use this when loading a previously-provisioned and persisted
@@ -335,31 +957,65 @@ export default class Certificate {
    * @access private
    */
   startCheckingForRenewal (alsoCheckNow = false) {
-    //
-    // Check for certificate renewal now and then once every day from there on.
-    //
-    this.#renewalDate = this.expiryDate.clone().subtract(30, 'days')
+    this.#hasStoppedCheckingForRenewal = false
+    this.resetRenewalDate()
+    this.scheduleRenewal()
 
-    // Also check for renewal immediately if asked to.
     if (alsoCheckNow) {
+      // Also check for renewal (and get the renewal information) immediately if asked to.
       this.checkForRenewal()
+    } else {
+      // Otherwise, get the renewal information later (a freshly-provisioned certificate isn’t going to need
+      // renewing any time soon).
+      this.#checkForRenewalInfoTimeoutId = setTimeout(this.checkForRenewal.bind(this), RenewalInfo.defaultRetryAfter)
     }
 
-    // And also once a day from thereon for as long as the server is running.
-    const onceADay = 24 /* hours */ * 60 /* minutes */ * 60 /* seconds */ * 1000 /* ms */
-    this.#checkForRenewalIntervalId = setInterval(this.checkForRenewal.bind(this), onceADay)
+    // Also reload the certificate if someone else changes it in storage.
+    this.startCheckingForChangesInStorage()
 
-    log('   ⏰    ❨auto-encrypt❩ Set up timer to check for certificate renewal once a day.')
+    log(`   ⏰    ❨auto-encrypt❩ Scheduled renewal of certificate for ${this.#domains} at ${this.#renewalDate.toISOString()} and set up timer to check for changes in storage once a minute.`)
   }
 
   /**
-   * Stops the timer that checks for renewal daily. Use this during housekeeping before destroying this object.
+   * Starts reloading the certificate once a minute if someone else changes it in storage (see
+   * reloadIfChangedInStorage()).
+   *
+   * @category sync
+   * @access private
+   */
+  startCheckingForChangesInStorage () {
+    clearInterval(this.#checkForReloadIntervalId)
+    const onceAMinute = 60 /* seconds */ * 1000 /* ms */
+    this.#checkForReloadIntervalId = setInterval(this.reloadIfChangedInStorage.bind(this), onceAMinute)
+  }
+
+  /**
+   * Stops the renewal timers (also for the additional certificate, if there is one). Use
+   * this during housekeeping before destroying this object.
    *
    * @category sync
    * @access private
    */
   stopCheckingForRenewal () {
-    clearInterval(this.#checkForRenewalIntervalId)
+    this.clearRenewalTimers()
+    this.#hasStoppedCheckingForRenewal = true
+
+    if (this.#additionalCertificate !== null) {
+      this.#additionalCertificate.stopCheckingForRenewal()
+    }
+  }
+
+  /**
+   * Clears the timers that check for renewal, for renewal information, and for changes in storage (e.g., while
+   * renewing).
+   *
+   * @category sync
+   * @access private
+   */
+  clearRenewalTimers () {
+    clearTimeout(this.#renewalTimeoutId)
+    clearInterval(this.#checkForReloadIntervalId)
+    clearTimeout(this.#checkForRenewalInfoTimeoutId)
   }
 
   parseDetails (certificatePem) {
@@ -390,8 +1046,8 @@ export default class Certificate {
     this.#renewalDate = momentDate
   }
 
-  get __checkForRenewalIntervalId () {
-    return this.#checkForRenewalIntervalId
+  get __renewalTimeoutId () {
+    return this.#renewalTimeoutId
   }
 
   /**
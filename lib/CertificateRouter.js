@@ -0,0 +1,124 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+// CertificateRouter
+//
+// Maps server names (e.g., from the SNI callback) to the certificates that
+// cover them so that a single HTTPS server can serve several independently
+// provisioned and renewed certificates.
+//
+// Exact domains take precedence over wildcard domains (so, if you have
+// certificates for both *.example.com and www.example.com, requests for
+// www.example.com get the latter).
+//
+// Copyright © 2020 Aral Balkan, Small Technology Foundation.
+// License: AGPLv3 or later.
+//
+////////////////////////////////////////////////////////////////////////////////
+
+import Hostname from './util/Hostname.js'
+import Throws from './util/Throws.js'
+
+const throws = new Throws({
+  [Symbol.for('CertificateRouter.duplicateDomainError')]:
+    domain => `Domain ${domain} is already covered by another certificate (each domain may only appear in one certificate)`
+})
+
+export default class CertificateRouter {
+  // Lower-cased domain → certificate.
+  #exactRoutes = new Map()
+  #wildcardRoutes = new Map()
+
+  // Certificates in the order they were added.
+  #certificates = []
+
+  /**
+   * Routes requests for the passed domains to the passed certificate.
+   *
+   * @param {String[]}    domains     Domains covered by the certificate.
+   * @param {Certificate} certificate Certificate to route requests for the domains to.
+   */
+  add (domains = throws.ifMissing(), certificate = throws.ifMissing()) {
+    this.ensureCanAdd(domains)
+    domains.forEach(domain => {
+      const routes = Hostname.isWildcard(domain) ? this.#wildcardRoutes : this.#exactRoutes
+      routes.set(domain.toLowerCase(), certificate)
+    })
+    this.#certificates.push(certificate)
+  }
+
+  /**
+   * Stops routing requests for the passed domain. If no other domains are routed to its certificate,
+   * the certificate is also removed from the list of certificates.
+   *
+   * @param {String} domain Domain (not server name) to stop routing.
+   * @returns {Certificate|null} The certificate the domain was routed to, or null if it wasn’t routed.
+   */
+  remove (domain = throws.ifMissing()) {
+    domain = domain.toLowerCase()
+    const routes = Hostname.isWildcard(domain) ? this.#wildcardRoutes : this.#exactRoutes
+    const certificate = routes.get(domain)
+    if (certificate === undefined) {
+      return null
+    }
+    routes.delete(domain)
+
+    const isStillRouted = [...this.#exactRoutes.values(), ...this.#wildcardRoutes.values()].includes(certificate)
+    if (!isStillRouted) {
+      this.#certificates = this.#certificates.filter(routedCertificate => routedCertificate !== certificate)
+    }
+    return certificate
+  }
+
+  /**
+   * Throws if any of the passed domains is already routed to a certificate (or appears more than once).
+   * (Call this before creating a certificate for the domains so that nothing is created needlessly.)
+   *
+   * @param {String[]} domains
+   */
+  ensureCanAdd (domains = throws.ifMissing()) {
+    domains.forEach((domain, index) => {
+      const isRepeated = domains.findIndex(otherDomain => otherDomain.toLowerCase() === domain.toLowerCase()) !== index
+      throws.if(this.has(domain) || isRepeated, Symbol.for('CertificateRouter.duplicateDomainError'), domain)
+    })
+  }
+
+  /**
+   * Is the passed domain (not server name) already routed to a certificate?
+   *
+   * @param {String} domain
+   * @returns {Boolean}
+   */
+  has (domain) {
+    domain = domain.toLowerCase()
+    return this.#exactRoutes.has(domain) || this.#wildcardRoutes.has(domain)
+  }
+
+  /**
+   * Returns the certificate that covers the passed server name, or null if there isn’t one.
+   *
+   * @param {String} serverName Server name from the SNI callback.
+   * @returns {Certificate|null}
+   */
+  certificateFor (serverName) {
+    const exactMatch = this.#exactRoutes.get(serverName.toLowerCase())
+    if (exactMatch !== undefined) {
+      return exactMatch
+    }
+    for (const [wildcardDomain, certificate] of this.#wildcardRoutes) {
+      if (Hostname.matches(serverName, wildcardDomain)) {
+        return certificate
+      }
+    }
+    return null
+  }
+
+  /**
+   * Certificates being routed to, in the order they were added.
+   *
+   * @type {Certificate[]}
+   * @readonly
+   */
+  get certificates () {
+    return this.#certificates.slice()
+  }
+}
@@ -14,11 +14,52 @@ import util from 'util'
 import crypto from 'crypto'
 import log from './util/log.js'
 import Throws from './util/Throws.js'
+import Hostname from './util/Hostname.js'
+import Authorisation from './Authorisation.js'
+import Identity from './Identity.js'
+import Account from './Account.js'
+import FileSystemStorage from './storage/FileSystemStorage.js'
 
 // Custom errors thrown by this class.
 const throws = new Throws({
   [Symbol.for('Configuration.domainsArrayIsNotAnArrayOfStringsError')]:
-    () => 'Domains array must be an array of strings'
+    () => 'Domains array must be an array of strings',
+
+  [Symbol.for('Configuration.unsupportedChallengeTypeError')]:
+    challengeType => `Unsupported challenge type: ${challengeType} (supported types are ${Object.values(Authorisation.challengeType).join(', ')})`,
+
+  [Symbol.for('Configuration.invalidStorageError')]:
+    () => 'Storage must have get(), put(), delete(), list(), and lock() methods',
+
+  [Symbol.for('Configuration.unsupportedCertificateKeyTypeError')]:
+    keyType => `Unsupported certificate key type: ${keyType} (supported types are ${Object.values(Identity.certificateKeyType).join(', ')})`,
+
+  [Symbol.for('Configuration.unsupportedAccountKeyTypeError')]:
+    keyType => `Unsupported account key type: ${keyType} (supported types are ${Object.values(Identity.keyType).join(', ')})`,
+
+  [Symbol.for('Configuration.invalidCertificateKeyTypesError')]:
+    keyTypes => `Invalid certificate key types: ${keyTypes.join(', ')} (to have both, please pass one ECDSA and one RSA key type)`,
+
+  [Symbol.for('Configuration.invalidExternalAccountBindingError')]:
+    () => 'External account binding requires both an eabKid (a non-empty string) and an eabHmacKey (a base64url-encoded string), as provided by your CA',
+
+  [Symbol.for('Configuration.invalidRenewalError')]:
+    () => 'Renewal must be either { daysBeforeExpiry } (more than zero days) or { fractionOfLifetime } (between zero and one), with an optional jitter in the same unit that is less than the fraction of lifetime',
+
+  [Symbol.for('Configuration.invalidKeyEncryptionError')]:
+    () => 'Key encryption must be either { passphrase } with a non-empty string or { key } with a Buffer of at least 32 bytes',
+
+  [Symbol.for('Configuration.settingsOwnedByAnotherUserError')]:
+    paths => `Refusing to use settings owned by another user (please check their ownership): ${paths.join(', ')}`,
+
+  [Symbol.for('Configuration.dnsProviderRequiredError')]:
+    () => 'The DNS-01 challenge requires a DNS provider with setTxtRecord() and removeTxtRecord() methods',
+
+  [Symbol.for('Configuration.invalidWildcardDomainError')]:
+    domain => `Invalid wildcard domain ${domain} (the wildcard must be the complete leftmost label, e.g., *.example.com)`,
+
+  [Symbol.for('Configuration.wildcardDomainRequiresDnsProviderError')]:
+    domain => `Wildcard domain ${domain} can only be validated using the DNS-01 challenge; please pass a DNS provider`
 })
 
 function isAnArrayOfStrings (object) {
@@ -26,17 +67,62 @@ function isAnArrayOfStrings (object) {
   return Array.isArray(object) && containsOnlyStrings(object)
 }
 
+function isADnsProvider (object) {
+  return object != null && typeof object.setTxtRecord === 'function' && typeof object.removeTxtRecord === 'function'
+}
+
+// Settings directories contain private keys so only their owner may access them.
 function ensureDirSync (directory) {
   if (!fs.existsSync(directory)) {
-    fs.mkdirSync(directory, { recursive: true })
+    fs.mkdirSync(directory, { recursive: true, mode: 0o700 })
   }
 }
 
+// Paths we’ve already warned about being accessible by others (so we only warn once per path).
+const pathsWithPermissionWarnings = new Set()
+
+function isAKeyEncryption (object) {
+  // Exactly one of passphrase or key must be set.
+  if (object == null || (object.passphrase === undefined) === (object.key === undefined)) return false
+  return object.passphrase !== undefined
+    ? typeof object.passphrase === 'string' && object.passphrase.length > 0
+    : Buffer.isBuffer(object.key) && object.key.length >= 32
+}
+
+function isAnExternalAccountBinding (eabKid, eabHmacKey) {
+  return typeof eabKid === 'string' && eabKid.length > 0
+    && typeof eabHmacKey === 'string' && /^[A-Za-z0-9_-]+={0,2}$/.test(eabHmacKey)
+}
+
+function isARenewal (object) {
+  // Exactly one of daysBeforeExpiry or fractionOfLifetime must be set.
+  if (object == null || (object.daysBeforeExpiry === undefined) === (object.fractionOfLifetime === undefined)) return false
+  const isANonNegativeNumber = value => typeof value === 'number' && Number.isFinite(value) && value >= 0
+  const jitter = object.jitter === undefined ? 0 : object.jitter
+  if (!isANonNegativeNumber(jitter)) return false
+  return object.daysBeforeExpiry !== undefined
+    ? isANonNegativeNumber(object.daysBeforeExpiry) && object.daysBeforeExpiry > 0
+    : isANonNegativeNumber(object.fractionOfLifetime) && object.fractionOfLifetime < 1 && jitter < object.fractionOfLifetime
+}
+
+function isAStorage (object) {
+  return object != null && ['get', 'put', 'delete', 'list', 'lock'].every(method => typeof object[method] === 'function')
+}
+
 /**
  * @alias module:lib/Configuration
  * @hideconstructor
  */
 export default class Configuration {
+  /**
+   * The default renewal setting: after two thirds of the certificate’s lifetime (i.e., 30 days before expiry for
+   * 90-day Let’s Encrypt certificates) and up to five percent of its lifetime (4.5 days) earlier so that servers
+   * that were deployed together don’t all renew at the same moment.
+   *
+   * @type {Object}
+   */
+  static defaultRenewal = Object.freeze({ fractionOfLifetime: 2/3, jitter: 0.05 })
+
   #server = null
   #domains = null
   #settingsPath = null
@@ -45,6 +131,22 @@ export default class Configuration {
   #certificatePath = null
   #certificateDirectoryPath = null
   #certificateIdentityPath = null
+  #challengeType = null
+  #dnsProvider = null
+  #storage = null
+  #keyEncryption = null
+  #contact = null
+  #externalAccountBinding = null
+  #renewal = null
+  #certificateKeyType = null
+  #additionalCertificateKeyType = null
+  #accountKeyType = null
+  #settings = null
+  #accountStorageKey = null
+  #accountIdentityStorageKey = null
+  #certificateStorageKey = null
+  #certificateIdentityStorageKey = null
+  #revocationsStorageKey = null
 
   /**
    * Initialise the configuration. Must be called before accessing settings. May be called more than once.
@@ -53,6 +155,31 @@ export default class Configuration {
    * @param {String[]}          settings.domains           List of domains Auto Encrypt will manage TLS certs for.
    * @param {LetsEncryptServer} settings.server            Let’s Encrypt Server to use.
    * @param {String}            settings.settingsPath      Root settings path to use. Will use default path if null.
+   * @param {String}            [settings.challengeType]   Challenge type to validate authorisations with (see
+   *                                                       Authorisation.challengeType). Defaults to DNS-01 if a
+   *                                                       DNS provider is passed and HTTP-01 otherwise.
+   * @param {DnsProvider}       [settings.dnsProvider]     DNS provider adapter (required for DNS-01).
+   * @param {Storage}           [settings.storage]         Storage backend for accounts, identities, and certificates.
+   *                                                       Defaults to file system storage in the root settings path.
+   * @param {Object}            [settings.keyEncryption]   Encrypt private keys at rest with either a passphrase
+   *                                                       ({ passphrase: String }) or a key-encryption key
+   *                                                       ({ key: Buffer }, at least 32 bytes). Unencrypted if missing.
+   * @param {String|String[]}   [settings.certificateKeyType] Type of key to generate for certificates (see
+   *                                                       Identity.keyType). Defaults to rsa2048. Pass one ECDSA
+   *                                                       and one RSA key type to maintain a certificate for each.
+   * @param {String}            [settings.accountKeyType]  Type of key to generate for the account (see
+   *                                                       Identity.keyType). Defaults to rsa2048.
+   * @param {String[]}          [settings.contact]         Email addresses for the account (optionally as mailto:
+   *                                                       URLs). If missing, the account’s contacts are left as-is.
+   * @param {String}            [settings.eabKid]          External account binding key ID (from the CA).
+   * @param {String}            [settings.eabHmacKey]      External account binding HMAC key (base64url-encoded, from
+   *                                                       the CA). Required if eabKid is set.
+   * @param {Object}            [settings.renewal]         When to renew certificates: either { daysBeforeExpiry } or
+   *                                                       { fractionOfLifetime } (the fraction of the certificate’s
+   *                                                       lifetime after which it is renewed), with an optional
+   *                                                       jitter in the same unit that randomly moves renewal up to
+   *                                                       that much earlier. Defaults to
+   *                                                       Configuration.defaultRenewal.
    */
   constructor (settings = throws.ifMissing()) {
 
@@ -67,19 +194,103 @@ export default class Configuration {
 
     this.#server = settings.server
     this.#domains = settings.domains
+    this.#dnsProvider = settings.dnsProvider || null
+    this.#challengeType = settings.challengeType || (
+      this.#dnsProvider === null ? Authorisation.challengeType.HTTP_01 : Authorisation.challengeType.DNS_01
+    )
+
+    throws.if(
+      !Object.values(Authorisation.challengeType).includes(this.#challengeType),
+      Symbol.for('Configuration.unsupportedChallengeTypeError'), this.#challengeType
+    )
+
+    throws.if(
+      this.#challengeType === Authorisation.challengeType.DNS_01 && !isADnsProvider(this.#dnsProvider),
+      Symbol.for('Configuration.dnsProviderRequiredError')
+    )
+
+    const certificateKeyTypes = [].concat(settings.certificateKeyType || Identity.keyType.RSA_2048)
+    certificateKeyTypes.forEach(keyType => {
+      throws.if(
+        !Object.values(Identity.certificateKeyType).includes(keyType),
+        Symbol.for('Configuration.unsupportedCertificateKeyTypeError'), keyType
+      )
+    })
+
+    // OpenSSL picks the certificate to serve per handshake by key type so we can only have one of each.
+    const isRsa = keyType => keyType.startsWith('rsa')
+    throws.if(
+      certificateKeyTypes.length > 2 || (certificateKeyTypes.length === 2 && isRsa(certificateKeyTypes[0]) === isRsa(certificateKeyTypes[1])),
+      Symbol.for('Configuration.invalidCertificateKeyTypesError'), certificateKeyTypes
+    )
+
+    this.#certificateKeyType = certificateKeyTypes[0]
+    this.#additionalCertificateKeyType = certificateKeyTypes[1] || null
+
+    this.#accountKeyType = settings.accountKeyType || Identity.keyType.RSA_2048
+    throws.if(
+      !Object.values(Identity.keyType).includes(this.#accountKeyType),
+      Symbol.for('Configuration.unsupportedAccountKeyTypeError'), this.#accountKeyType
+    )
+    this.#settings = settings
+
+    // Wildcard domains are always validated using the DNS-01 challenge, regardless of the challenge
+    // type used for the other domains (RFC 8555 § 7.1.3).
+    this.#domains.filter(domain => domain.includes('*')).forEach(wildcardDomain => {
+      throws.if(!Hostname.isValidWildcard(wildcardDomain), Symbol.for('Configuration.invalidWildcardDomainError'), wildcardDomain)
+      throws.if(!isADnsProvider(this.#dnsProvider), Symbol.for('Configuration.wildcardDomainRequiresDnsProviderError'), wildcardDomain)
+    })
+
+    // Use the default root path unless we’ve been passed a custom one. Each server type
+    // (pebble, staging, production) has its own settings path under the root path.
+    const rootSettingsPath = settings.settingsPath === null
+      ? path.join(os.homedir(), '.small-tech.org', 'auto-encrypt')
+      : settings.settingsPath
+
+    this.#settingsPath = path.join(rootSettingsPath, this.#server.name)
+
+    // Everything we persist goes through the storage backend. Storage keys are the
+    // file paths relative to the root settings path, using forward slashes.
+    const usesDefaultStorage = settings.storage == null
+    this.#storage = usesDefaultStorage ? new FileSystemStorage(rootSettingsPath) : settings.storage
+    throws.if(!isAStorage(this.#storage), Symbol.for('Configuration.invalidStorageError'))
+
+    if (settings.contact != null) {
+      this.#contact = Account.contactUrlsFor(settings.contact)
+    }
+
+    if (settings.eabKid != null || settings.eabHmacKey != null) {
+      throws.if(!isAnExternalAccountBinding(settings.eabKid, settings.eabHmacKey), Symbol.for('Configuration.invalidExternalAccountBindingError'))
+      this.#externalAccountBinding = { kid: settings.eabKid, hmacKey: settings.eabHmacKey }
+    }
 
-    const defaultPathFor = serverName => path.join(os.homedir(), '.small-tech.org', 'auto-encrypt', serverName)
+    const renewal = settings.renewal == null ? Configuration.defaultRenewal : settings.renewal
+    throws.if(!isARenewal(renewal), Symbol.for('Configuration.invalidRenewalError'))
+    this.#renewal = Object.assign({ jitter: 0 }, renewal)
 
-    if (settings.settingsPath === null) {
-      // Use the correct default path based on staging state.
-      this.#settingsPath = defaultPathFor(this.#server.name)
-    } else {
-      // Create the path to use based on the custom root path we’ve been passed.
-      this.#settingsPath = path.join(settings.settingsPath, this.#server.name)
+    if (settings.keyEncryption != null) {
+      throws.if(!isAKeyEncryption(settings.keyEncryption), Symbol.for('Configuration.invalidKeyEncryptionError'))
+      this.#keyEncryption = settings.keyEncryption
     }
 
-    // And ensure that the settings path exists in the file system.
-    ensureDirSync(this.#settingsPath)
+    // When using the default file system storage, ensure that the settings path exists in the file system
+    // and check that nobody else could have read or tampered with its contents. (This is checked once per
+    // settings path per process.)
+    if (usesDefaultStorage) {
+      ensureDirSync(this.#settingsPath)
+
+      const permissions = this.#storage.checkPermissionsOnceSync()
+      throws.if(
+        permissions.ownedByAnotherUser.length > 0,
+        Symbol.for('Configuration.settingsOwnedByAnotherUserError'), permissions.ownedByAnotherUser
+      )
+      permissions.accessibleByOthers.filter(insecurePath => !pathsWithPermissionWarnings.has(insecurePath)).forEach(insecurePath => {
+        pathsWithPermissionWarnings.add(insecurePath)
+        log(`   ⚠️    ❨auto-encrypt❩ ${insecurePath} is accessible by other users; please restrict its permissions (e.g., chmod go-rwx).`)
+      })
+    }
+
+    const storageKeyFor = (...pathComponents) => [this.#server.name, ...pathComponents].join('/')
 
     //
     // Create account paths.
@@ -87,6 +298,8 @@ export default class Configuration {
 
     this.#accountPath = path.join(this.#settingsPath, 'account.json')
     this.#accountIdentityPath = path.join(this.#settingsPath, 'account-identity.pem')
+    this.#accountStorageKey = storageKeyFor('account.json')
+    this.#accountIdentityStorageKey = storageKeyFor('account-identity.pem')
 
     //
     // Create certificate paths.
@@ -94,7 +307,11 @@ export default class Configuration {
 
     // The naming of the certificate directory aims to strike a balance between readability and uniqueness.
     // For details, see https://source.small-tech.org/site.js/lib/auto-encrypt/issues/3
+    //
+    // Wildcard labels are written as _wildcard_ (e.g., *.ar.al → _wildcard_.ar.al) to keep asterisks out of
+    // the file system. (Underscores are not valid in hostnames so this cannot clash with a real domain.)
     const certificateDirectoryName = (domains => {
+      domains = domains.map(domain => domain.replace(/^\*\./, '_wildcard_.'))
       if (domains.length === 1) {
         return domains[0] // e.g., ar.al
       } else if (domains.length >= 2 && domains.length <= 4) {
@@ -111,11 +328,20 @@ export default class Configuration {
 
     this.#certificateDirectoryPath = path.join(this.#settingsPath, certificateDirectoryName)
 
-    // And ensure that the certificate directory path exists in the file system.
-    ensureDirSync(this.#certificateDirectoryPath)
+    // And that the certificate directory path does too.
+    if (usesDefaultStorage) {
+      ensureDirSync(this.#certificateDirectoryPath)
+    }
+
+    // The additional certificate (see forAdditionalCertificate()) is stored alongside the certificate with its
+    // key type in its file names (e.g., certificate-rsa2048.pem).
+    const fileNameSuffix = settings.isForAdditionalCertificate ? `-${this.#certificateKeyType}` : ''
 
-    this.#certificatePath = path.join(this.#certificateDirectoryPath, 'certificate.pem')
-    this.#certificateIdentityPath = path.join(this.#certificateDirectoryPath, 'certificate-identity.pem')
+    this.#certificatePath = path.join(this.#certificateDirectoryPath, `certificate${fileNameSuffix}.pem`)
+    this.#certificateIdentityPath = path.join(this.#certificateDirectoryPath, `certificate-identity${fileNameSuffix}.pem`)
+    this.#certificateStorageKey = storageKeyFor(certificateDirectoryName, `certificate${fileNameSuffix}.pem`)
+    this.#certificateIdentityStorageKey = storageKeyFor(certificateDirectoryName, `certificate-identity${fileNameSuffix}.pem`)
+    this.#revocationsStorageKey = storageKeyFor(certificateDirectoryName, `revocations${fileNameSuffix}.json`)
 
     log('   ⚙️    ❨auto-encrypt❩ Configuration initialised.')
   }
@@ -197,6 +423,102 @@ export default class Configuration {
    */
   get certificateIdentityPath () { return this.#certificateIdentityPath }
 
+  /**
+   * The challenge type used to validate authorisations (see Authorisation.challengeType).
+   *
+   * @type {String}
+   * @readonly
+   */
+  get challengeType () { return this.#challengeType }
+
+  /**
+   * The DNS provider adapter used to set and remove DNS-01 challenge TXT records (or null if there isn’t one).
+   *
+   * @type {DnsProvider}
+   * @readonly
+   */
+  get dnsProvider () { return this.#dnsProvider }
+
+  /**
+   * The storage backend that accounts, identities, and certificates are persisted to.
+   *
+   * @type {Storage}
+   * @readonly
+   */
+  get storage () { return this.#storage }
+
+  /**
+   * The type of key generated for certificates (see Identity.keyType).
+   *
+   * @type {String}
+   * @readonly
+   */
+  get certificateKeyType () { return this.#certificateKeyType }
+
+  /**
+   * The type of key for the additional certificate maintained for the same domains (or null if there isn’t one).
+   *
+   * @type {String}
+   * @readonly
+   */
+  get additionalCertificateKeyType () { return this.#additionalCertificateKeyType }
+
+  /**
+   * The type of key generated for the account (see Identity.keyType). Existing account keys are used regardless of
+   * their type.
+   *
+   * @type {String}
+   * @readonly
+   */
+  get accountKeyType () { return this.#accountKeyType }
+
+  /**
+   * The key encryption settings ({ passphrase } or { key }) that private keys are encrypted at rest with (or null if
+   * private keys are stored unencrypted).
+   *
+   * @type {Object}
+   * @readonly
+   */
+  get keyEncryption () { return this.#keyEncryption }
+
+  /**
+   * The account’s contacts as mailto: URLs (or null if they were not configured).
+   *
+   * @type {String[]}
+   * @readonly
+   */
+  get contact () { return this.#contact }
+
+  /**
+   * The external account binding ({ kid, hmacKey }) to create the account with (or null if there isn’t one).
+   *
+   * @type {Object}
+   * @readonly
+   */
+  get externalAccountBinding () { return this.#externalAccountBinding }
+
+  /**
+   * When certificates are renewed ({ daysBeforeExpiry, jitter } or { fractionOfLifetime, jitter }).
+   *
+   * @type {Object}
+   * @readonly
+   */
+  get renewal () { return this.#renewal }
+
+  /**
+   * Storage keys for the account details, account identity, certificate, certificate identity, and the record of
+   * revoked certificates. (When using the default file system storage, these are the paths of the corresponding files
+   * relative to the root settings path.)
+   *
+   * @type {String}
+   * @readonly
+   */
+  get accountStorageKey             () { return this.#accountStorageKey             }
+  get accountIdentityStorageKey     () { return this.#accountIdentityStorageKey     }
+  get certificateStorageKey         () { return this.#certificateStorageKey         }
+  get certificateIdentityStorageKey () { return this.#certificateIdentityStorageKey }
+  get revocationsStorageKey         () { return this.#revocationsStorageKey         }
+
   //
   // Enforce read-only access.
   //
@@ -209,6 +531,38 @@ export default class Configuration {
   set certificatePath          (state) { this.throwReadOnlyAccessorError('certificatePath')          }
   set certificateDirectoryPath (state) { this.throwReadOnlyAccessorError('certificateDirectoryPath') }
   set certificateIdentityPath  (state) { this.throwReadOnlyAccessorError('certificateIdentityPath')  }
+  set challengeType            (state) { this.throwReadOnlyAccessorError('challengeType')            }
+  set dnsProvider              (state) { this.throwReadOnlyAccessorError('dnsProvider')              }
+  set storage                  (state) { this.throwReadOnlyAccessorError('storage')                  }
+  set keyEncryption            (state) { this.throwReadOnlyAccessorError('keyEncryption')            }
+  set contact                  (state) { this.throwReadOnlyAccessorError('contact')                  }
+  set externalAccountBinding   (state) { this.throwReadOnlyAccessorError('externalAccountBinding')   }
+  set renewal                  (state) { this.throwReadOnlyAccessorError('renewal')                  }
+  set certificateKeyType       (state) { this.throwReadOnlyAccessorError('certificateKeyType')       }
+  set accountKeyType           (state) { this.throwReadOnlyAccessorError('accountKeyType')           }
+
+  set accountStorageKey             (state) { this.throwReadOnlyAccessorError('accountStorageKey')             }
+  set accountIdentityStorageKey     (state) { this.throwReadOnlyAccessorError('accountIdentityStorageKey')     }
+  set certificateStorageKey         (state) { this.throwReadOnlyAccessorError('certificateStorageKey')         }
+  set certificateIdentityStorageKey (state) { this.throwReadOnlyAccessorError('certificateIdentityStorageKey') }
+  set revocationsStorageKey         (state) { this.throwReadOnlyAccessorError('revocationsStorageKey')         }
+  set additionalCertificateKeyType  (state) { this.throwReadOnlyAccessorError('additionalCertificateKeyType')  }
+
+  /**
+   * Returns the configuration for the additional certificate (of the additional certificate key type) that is
+   * maintained for the same domains (or null if there isn’t one).
+   *
+   * @returns {Configuration|null}
+   */
+  forAdditionalCertificate () {
+    if (this.#additionalCertificateKeyType === null) {
+      return null
+    }
+    return new Configuration(Object.assign({}, this.#settings, {
+      certificateKeyType: this.#additionalCertificateKeyType,
+      isForAdditionalCertificate: true
+    }))
+  }
 
   throwReadOnlyAccessorError (setterName) {
     throws.error(Symbol.for('ReadOnlyAccessorError'), setterName, 'All configuration accessors are read-only.')
@@ -233,6 +587,14 @@ export default class Configuration {
       .certificateDirectoryPath: Path to certificate directory           ${this.certificateDirectoryPath}
       .certificatePath         : Path to certificate file                ${this.certificatePath}
       .certificateIdentityPath : Path to private key for certificate     ${this.certificateIdentityPath}
+      .challengeType           : Challenge type for authorisations       ${this.challengeType}
+      .certificateKeyType      : Type of key for certificates            ${[this.certificateKeyType, this.additionalCertificateKeyType].filter(keyType => keyType !== null).join(', ')}
+      .accountKeyType          : Type of key for the account             ${this.accountKeyType}
+      .contact                 : Account contacts                        ${this.contact === null ? 'not configured' : this.contact.join(', ') || 'none'}
+      .externalAccountBinding  : External account binding key ID         ${this.externalAccountBinding === null ? 'none' : this.externalAccountBinding.kid}
+      .renewal                 : When to renew certificates              ${this.renewal.daysBeforeExpiry !== undefined ? `${this.renewal.daysBeforeExpiry} days before expiry (jitter: ${this.renewal.jitter} days)` : `after ${+(this.renewal.fractionOfLifetime * 100).toFixed(2)}% of lifetime (jitter: ${+(this.renewal.jitter * 100).toFixed(2)}%)`}
+      .storage                 : Storage backend                         ${this.storage.constructor.name}
+      .keyEncryption           : Private key encryption at rest          ${this.keyEncryption === null ? 'none' : this.keyEncryption.passphrase !== undefined ? 'passphrase' : 'key-encryption key'}
     `
   }
 }
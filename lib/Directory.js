@@ -16,7 +16,10 @@ import prepareRequest from 'bent'
 import log from './util/log.js'
 import Throws from './util/Throws.js'
 
-const throws = new Throws()
+const throws = new Throws({
+  [Symbol.for('Directory.externalAccountBindingRequiredError')]:
+    endpoint => `The ACME server at ${endpoint} requires external account binding; please set the eabKid and eabHmacKey options to the values provided by your CA`
+})
 
 export default class Directory {
   directory         = null
@@ -32,6 +35,14 @@ export default class Directory {
     Directory.isBeingInstantiatedViaAsyncFactoryMethod = true
     const directory = new Directory(configuration)
     await directory.getUrls()
+
+    // Fail early (instead of with an error from the newAccount request) if the server requires
+    // external account binding and we don’t have one (RFC 8555 § 7.1.1).
+    throws.if(
+      directory.externalAccountRequired && configuration.externalAccountBinding === null,
+      Symbol.for('Directory.externalAccountBindingRequiredError'), configuration.server.endpoint
+    )
+
     return directory
   }
 
@@ -48,6 +59,12 @@ export default class Directory {
   get termsOfServiceUrl() { return this.directory.meta.termsOfService }
   get websiteUrl()        { return this.directory.meta.website        }
 
+  // Renewal information URL (draft-ietf-acme-ari). Undefined if the server doesn’t support ARI.
+  get renewalInfoUrl()    { return this.directory.renewalInfo }
+
+  // Does the server require new accounts to be bound to an external account? (RFC 8555 § 7.3.4)
+  get externalAccountRequired () { return (this.directory.meta || {}).externalAccountRequired === true }
+
   //
   // Private.
   //
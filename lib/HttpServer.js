@@ -37,6 +37,13 @@ export default class HttpServer {
   static instance = null
   static isBeingInstantiatedViaSingletonFactoryMethod = false
 
+  // Promise that fulfils once the shared instance is listening. (So that concurrent
+  // callers do not attempt to start more than one server on port 80.)
+  static initialisation = null
+
+  // Number of Auto Encrypt servers currently using the shared instance.
+  static referenceCount = 0
+
   // Is the HTTP server acting as a Let’s Encrypt challenge server?
   #isChallengeServer = false
 
@@ -44,22 +51,41 @@ export default class HttpServer {
     if (HttpServer.instance === null) {
       HttpServer.isBeingInstantiatedViaSingletonFactoryMethod = true
       HttpServer.instance = new HttpServer()
-      await HttpServer.instance.init()
+      HttpServer.initialisation = HttpServer.instance.init()
     }
+    await HttpServer.initialisation
     return HttpServer.instance
   }
 
   static async destroySharedInstance () {
+    HttpServer.referenceCount = 0
     if (HttpServer.instance === null) {
       log('   🚮    ❨auto-encrypt❩ HTTP Server was never setup. Nothing to destroy.')
       return
     }
     log('   🚮    ❨auto-encrypt❩ Destroying HTTP Server…')
+    await HttpServer.initialisation
     await HttpServer.instance.destroy()
     HttpServer.instance = null
+    HttpServer.initialisation = null
     log('   🚮    ❨auto-encrypt❩ HTTP Server is destroyed.')
   }
 
+  // Registers a user of the shared instance (e.g., an Auto Encrypt server that is about to start listening).
+  static retainSharedInstance () {
+    HttpServer.referenceCount++
+  }
+
+  // Unregisters a user of the shared instance and destroys the shared instance once nothing is using it.
+  static async releaseSharedInstance () {
+    HttpServer.referenceCount = Math.max(0, HttpServer.referenceCount - 1)
+    if (HttpServer.referenceCount === 0) {
+      await HttpServer.destroySharedInstance()
+    } else {
+      log('   🚮    ❨auto-encrypt❩ HTTP Server is still in use by other servers; not destroying it.')
+    }
+  }
+
   addResponder (responder) {
     this.responders.push(responder)
   }
@@ -1,4 +1,16 @@
 import util from 'util'
+import Throws from './util/Throws.js'
+
+const throws = new Throws({
+  [Symbol.for('LetsEncryptServer.invalidCustomServerNameError')]:
+    name => `Invalid custom ACME server name: ${name} (the name is used as the settings subfolder so it must consist of letters, digits, dots, hyphens, and underscores, start with a letter or digit, and not be the name of a built-in server)`,
+
+  [Symbol.for('LetsEncryptServer.invalidCustomServerDirectoryUrlError')]:
+    directoryUrl => `Invalid custom ACME server directory URL: ${directoryUrl} (must be an https or http URL)`
+})
+
+const BUILT_IN_NAMES = [ 'production', 'staging', 'pebble', 'mock' ]
+const CUSTOM_SERVER_NAME = /^[a-z0-9][a-z0-9._-]*$/i
 
 export default class LetsEncryptServer {
   /**
@@ -8,6 +20,7 @@ export default class LetsEncryptServer {
    * @property STAGING Use the staging server.
    * @property PEBBLE Use a local pebble testing server.
    * @property MOCK Use local mock server.
+   * @property CUSTOM Use another RFC 8555 (ACME) server (e.g., another CA or your own internal ACME server).
    * @readonly
    * @static
    */
@@ -15,21 +28,43 @@ export default class LetsEncryptServer {
     PRODUCTION: 0,
     STAGING: 1,
     PEBBLE: 2,
-    MOCK: 3
+    MOCK: 3,
+    CUSTOM: 4
   }
 
   /**
    *Creates an instance of LetsEncryptServer.
    * @param {LetsEncryptServer.type} type
+   * @param {Object} [customServer]              (Required for the CUSTOM type.)
+   * @param {String} customServer.name          Name of the server (used as the settings subfolder, like
+   *                                             production or staging for the built-in servers).
+   * @param {String} customServer.directoryUrl  URL of the server’s ACME directory.
    * @memberof LetsEncryptServer
    */
-  constructor (type) {
+  constructor (type, customServer = null) {
     this.#type = type
+
+    if (type === LetsEncryptServer.type.CUSTOM) {
+      throws.ifUndefinedOrNull(customServer, 'customServer')
+
+      const { name, directoryUrl } = customServer
+      throws.if(
+        typeof name !== 'string' || !CUSTOM_SERVER_NAME.test(name) || BUILT_IN_NAMES.includes(name.toLowerCase()),
+        Symbol.for('LetsEncryptServer.invalidCustomServerNameError'), name
+      )
+
+      let protocol = null
+      try { protocol = new URL(directoryUrl).protocol } catch (error) { /* Not a URL. */ }
+      throws.if(!['https:', 'http:'].includes(protocol), Symbol.for('LetsEncryptServer.invalidCustomServerDirectoryUrlError'), directoryUrl)
+
+      this.#customName = name
+      this.#customEndpoint = directoryUrl
+    }
   }
 
-  get type     () { return this.#type                  }
-  get name     () { return this.#names[this.#type]     }
-  get endpoint () { return this.#endpoints[this.#type] }
+  get type     () { return this.#type }
+  get name     () { return this.#type === LetsEncryptServer.type.CUSTOM ? this.#customName : this.#names[this.#type] }
+  get endpoint () { return this.#type === LetsEncryptServer.type.CUSTOM ? this.#customEndpoint : this.#endpoints[this.#type] }
 
   // Custom object description for console output (for debugging).
   [util.inspect.custom] () {
@@ -44,8 +79,10 @@ export default class LetsEncryptServer {
   // Private.
   //
   #type = null
+  #customName = null
+  #customEndpoint = null
 
-  #names = [ 'production', 'staging', 'pebble', 'mock' ]
+  #names = BUILT_IN_NAMES
 
   #endpoints = [
     'https://acme-v02.api.letsencrypt.org/directory',
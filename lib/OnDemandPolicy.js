@@ -0,0 +1,216 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+// OnDemandPolicy
+//
+// Decides whether a certificate may be provisioned on the fly for a server
+// name that Auto Encrypt was not configured with (on-demand TLS).
+//
+// Anyone can send us any server name via SNI so, before asking the
+// user-supplied isAllowed() hook, we weed out names that are not valid
+// hostnames and names we recently refused (negative cache). Approvals are
+// rate limited so that, even if the hook approves too eagerly, hostile server
+// names cannot burn through Let’s Encrypt’s rate limits (once the limit is
+// reached, the hook is not asked until an approval is more than an hour old).
+// Provisioning for approved names is given a deadline so that a name that
+// cannot be validated is refused instead of being waited on.
+//
+// Copyright © 2020 Aral Balkan, Small Technology Foundation.
+// License: AGPLv3 or later.
+//
+////////////////////////////////////////////////////////////////////////////////
+
+import log from './util/log.js'
+import Throws from './util/Throws.js'
+
+const throws = new Throws({
+  [Symbol.for('OnDemandPolicy.isAllowedMustBeAFunctionError')]:
+    () => 'On-demand TLS requires an isAllowed(serverName) function that fulfils with true if a certificate may be provisioned for the server name',
+
+  [Symbol.for('OnDemandPolicy.provisioningTimeoutError')]:
+    (serverName, timeout) => `Timed out provisioning a certificate for ${serverName} (after ${timeout / 1000} seconds)`
+})
+
+const ONE_HOUR = 60 * 60 * 1000
+const TEN_MINUTES = 10 * 60 * 1000
+const TWO_MINUTES = 2 * 60 * 1000
+
+// Upper bound on the number of refused server names we remember (so that the negative cache itself cannot
+// be used to exhaust memory). When full, the oldest entries are forgotten first.
+const MAXIMUM_NEGATIVE_CACHE_SIZE = 10000
+
+// Letters, digits, and hyphens (not at either end of a label), at least two labels, and no trailing dot.
+// (IP addresses are not valid server names for SNI; see RFC 6066 § 3.)
+const HOSTNAME_LABEL = /^(?!-)[a-z0-9-]{1,63}(?<!-)$/
+const IPV4_ADDRESS = /^\d+\.\d+\.\d+\.\d+$/
+
+export default class OnDemandPolicy {
+  #isAllowed = null
+  #maximumCertificatesPerHour = null
+  #negativeCacheDuration = null
+  #provisioningTimeout = null
+
+  // Lower-cased server name → time (in ms since epoch) that the refusal expires.
+  #negativeCache = new Map()
+
+  // Times (in ms since epoch) of approvals within the last hour.
+  #approvalTimes = []
+
+  // Lower-cased server name → promise for the decision (so concurrent handshakes for the same
+  // server name only call the hook once).
+  #pendingDecisions = new Map()
+
+  /**
+   * Creates an on-demand TLS policy.
+   *
+   * @param {Object}   settings
+   * @param {Function} settings.isAllowed                     Async function that is passed a server name and fulfils
+   *                                                          with true if a certificate may be provisioned for it.
+   * @param {Number}   [settings.maximumCertificatesPerHour=10] Maximum number of server names to approve per hour.
+   * @param {Number}   [settings.negativeCacheDuration=600000]  Time (in ms) to keep refusing a server name for once it
+   *                                                          has been refused without asking isAllowed() again.
+   * @param {Number}   [settings.provisioningTimeout=120000]    Time (in ms) to wait for the certificate of an approved
+   *                                                          server name to be provisioned before giving up on it.
+   */
+  constructor (settings = throws.ifMissing()) {
+    throws.if(typeof settings.isAllowed !== 'function', Symbol.for('OnDemandPolicy.isAllowedMustBeAFunctionError'))
+
+    this.#isAllowed = settings.isAllowed
+    this.#maximumCertificatesPerHour = settings.maximumCertificatesPerHour || 10
+    this.#negativeCacheDuration = settings.negativeCacheDuration || TEN_MINUTES
+    this.#provisioningTimeout = settings.provisioningTimeout || TWO_MINUTES
+  }
+
+  /**
+   * Decides whether a certificate may be provisioned for the passed server name.
+   *
+   * @category async
+   * @param {String} serverName Server name from the SNI callback.
+   * @returns {Promise<Boolean>} Fulfils with true if a certificate may be provisioned for the server name.
+   */
+  async allows (serverName) {
+    serverName = serverName.toLowerCase()
+
+    if (!OnDemandPolicy.isValidServerName(serverName)) {
+      log(`   🚫    ❨auto-encrypt❩ On-demand TLS: ${serverName} is not a valid server name; refusing.`)
+      return false
+    }
+
+    const refusalExpiryTime = this.#negativeCache.get(serverName)
+    if (refusalExpiryTime !== undefined) {
+      if (refusalExpiryTime > Date.now()) {
+        return false
+      }
+      this.#negativeCache.delete(serverName)
+    }
+
+    // Don’t ask the hook about names we couldn’t approve anyway (e.g., while hostile server names are being sent).
+    if (!this.#pendingDecisions.has(serverName) && this.isRateLimited()) {
+      return false
+    }
+
+    if (!this.#pendingDecisions.has(serverName)) {
+      const decision = this.decide(serverName).finally(() => {
+        this.#pendingDecisions.delete(serverName)
+      })
+      this.#pendingDecisions.set(serverName, decision)
+    }
+    return await this.#pendingDecisions.get(serverName)
+  }
+
+  /**
+   * Refuses the passed server name for the negative cache duration (e.g., because provisioning its
+   * certificate failed).
+   *
+   * @param {String} serverName
+   */
+  refuse (serverName) {
+    serverName = serverName.toLowerCase()
+
+    // Re-insert so that the most recently refused names are forgotten last.
+    this.#negativeCache.delete(serverName)
+    this.#negativeCache.set(serverName, Date.now() + this.#negativeCacheDuration)
+
+    if (this.#negativeCache.size > MAXIMUM_NEGATIVE_CACHE_SIZE) {
+      this.#negativeCache.delete(this.#negativeCache.keys().next().value)
+    }
+  }
+
+  /**
+   * Fulfils or rejects as the passed promise for the secure context of an approved server name does unless that
+   * takes longer than the provisioning timeout, in which case it rejects with an
+   * OnDemandPolicy.provisioningTimeoutError (so that the caller can refuse the server name and clean up).
+   *
+   * @category async
+   * @param {String}  serverName
+   * @param {Promise} provisioning Promise for the secure context of the server name’s certificate.
+   * @returns {Promise<tls.SecureContext|null>}
+   */
+  async withinProvisioningTimeout (serverName, provisioning) {
+    let timeoutId = null
+    const timeout = new Promise((resolve, reject) => {
+      timeoutId = setTimeout(() => {
+        reject(throws.createError(Symbol.for('OnDemandPolicy.provisioningTimeoutError'), serverName, this.#provisioningTimeout))
+      }, this.#provisioningTimeout)
+    })
+    try {
+      return await Promise.race([provisioning, timeout])
+    } finally {
+      clearTimeout(timeoutId)
+    }
+  }
+
+  /**
+   * Have we approved the maximum number of server names in the last hour?
+   *
+   * @returns {Boolean}
+   */
+  isRateLimited () {
+    const now = Date.now()
+    this.#approvalTimes = this.#approvalTimes.filter(approvalTime => approvalTime > now - ONE_HOUR)
+    return this.#approvalTimes.length >= this.#maximumCertificatesPerHour
+  }
+
+  /**
+   * Is the passed string a valid (non-IP address) hostname?
+   *
+   * @param {String} serverName
+   * @returns {Boolean}
+   */
+  static isValidServerName (serverName) {
+    if (serverName.length > 253 || IPV4_ADDRESS.test(serverName)) {
+      return false
+    }
+    const labels = serverName.toLowerCase().split('.')
+    return labels.length >= 2 && labels.every(label => HOSTNAME_LABEL.test(label))
+  }
+
+  //
+  // Private.
+  //
+
+  async decide (serverName) {
+    let isAllowed = false
+    try {
+      isAllowed = (await this.#isAllowed(serverName)) === true
+    } catch (error) {
+      log(`   ❌    ❨auto-encrypt❩ On-demand TLS: isAllowed() failed for ${serverName}; refusing. ${error}`)
+    }
+
+    if (!isAllowed) {
+      log(`   🚫    ❨auto-encrypt❩ On-demand TLS: ${serverName} is not allowed; refusing.`)
+      this.refuse(serverName)
+      return false
+    }
+
+    // Rate limit approvals. (We don’t add rate-limited names to the negative cache as they are allowed. Other names
+    // may have been approved while we were waiting for the hook so we check again.)
+    if (this.isRateLimited()) {
+      log(`   ⏳    ❨auto-encrypt❩ On-demand TLS: rate limit of ${this.#maximumCertificatesPerHour} certificates per hour reached; not provisioning ${serverName} for now.`)
+      return false
+    }
+    this.#approvalTimes.push(Date.now())
+
+    log(`   👍    ❨auto-encrypt❩ On-demand TLS: ${serverName} is allowed.`)
+    return true
+  }
+}
@@ -12,7 +12,6 @@
 //
 ////////////////////////////////////////////////////////////////////////////////
 
-import fsPromises from 'fs/promises'
 import Authorisation from './Authorisation.js'
 import HttpServer from './HttpServer.js'
 import CertificateIdentity from './identities/CertificateIdentity.js'
@@ -41,9 +40,9 @@ export default class Order {
   //
   static isBeingInstantiatedViaFactoryMethod = false
 
-  static async getInstanceAsync (configuration = throws.ifMissing(), accountIdentity = throws.ifMissing()) {
+  static async getInstanceAsync (configuration = throws.ifMissing(), accountIdentity = throws.ifMissing(), replaces = null) {
     Order.isBeingInstantiatedViaFactoryMethod = true
-    const instance = Order.instance = new Order(configuration, accountIdentity)
+    const instance = Order.instance = new Order(configuration, accountIdentity, replaces)
     await Order.instance.init()
     return instance
   }
@@ -88,8 +87,10 @@ export default class Order {
    * Creates an instance of Order.
    *
    * @param {Configuration} configuration (Required) Configuration instance.
+   * @param {AccountIdentity} accountIdentity (Required) Account identity.
+   * @param {String} [replaces=null] ARI certificate identifier of the certificate that the order replaces (if any).
    */
-  constructor (configuration = throws.ifMissing(), accountIdentity = throws.ifMissing()) {
+  constructor (configuration = throws.ifMissing(), accountIdentity = throws.ifMissing(), replaces = null) {
     // Ensure singleton access.
     if (Order.isBeingInstantiatedViaFactoryMethod === false) {
       throw new Error('Order constructor is private. Please instantiate using :await Order.getInstanceAsync().')
@@ -98,17 +99,24 @@ export default class Order {
     this.configuration   = configuration
     this.domains         = configuration.domains
     this.accountIdentity = accountIdentity
+    this.replaces        = replaces
 
     Order.isBeingInstantiatedViaFactoryMethod = false
   }
 
 
   async init () {
+    // (Errors from ACME requests are not wrapped so that callers can tell them apart; e.g., rate limiting.)
     try {
-      this.data = await ((new NewOrderRequest()).execute(this.configuration))
+      this.data = await ((new NewOrderRequest()).execute(this.configuration, this.replaces))
     } catch (error) {
-      // TODO: Handle error.
-      throw new Error(error)
+      // If the CA won’t let this order replace the certificate (e.g., because another order already has),
+      // order the certificate without linking it to the one it replaces. (draft-ietf-acme-ari § 5)
+      if (this.replaces === null || error.acmeType !== 'alreadyReplaced') {
+        throw error
+      }
+      log(`   ⚠    ❨auto-encrypt❩ Certificate ${this.replaces} has already been replaced; ordering without replaces.`)
+      this.data = await ((new NewOrderRequest()).execute(this.configuration))
     }
 
     this.#authorisations = []
@@ -126,7 +134,7 @@ export default class Order {
       async authorisationUrl => {
         // An authorisation only returns when it is validated.
         // TODO: handle errors.
-        const authorisation = await Authorisation.getInstanceAsync(authorisationUrl, this.accountIdentity)
+        const authorisation = await Authorisation.getInstanceAsync(authorisationUrl, this.accountIdentity, this.configuration)
 
         numberOfAuthorisationsValidated++
 
@@ -145,13 +153,15 @@ export default class Order {
 
     // We no longer need the HTTP server in Challenge Server mode (as place in by the authorisations).
     // When we turn Challenge Server off, it will start redirecting any HTTP calls its receives to HTTPS.
-    const httpServer = await HttpServer.getSharedInstance()
-    httpServer.challengeServer = false
+    if (this.configuration.challengeType === Authorisation.challengeType.HTTP_01) {
+      const httpServer = await HttpServer.getSharedInstance()
+      httpServer.challengeServer = false
+    }
 
     log(`   💃    ❨auto-encrypt❩ Finalising order…`)
 
     // Generate and save certificate’s identity (private key).
-    this.#certificateIdentity = new CertificateIdentity(this.configuration)
+    this.#certificateIdentity = await CertificateIdentity.getInstanceAsync(this.configuration)
 
     // Generate a Certificate Signing Request in the unique format that ACME expects.
     const csr = await acmeCsr(this.domains, this.certificateIdentity.key)
@@ -165,35 +175,26 @@ export default class Order {
         break;
       }
 
-      try {
-        if (numAttempts === 1) {
-          // Finalise using CSR.
-          this.data = await (new FinaliseOrderRequest()).execute(this.finaliseUrl, csr)
-        } else {
-          // Check for order status.
-          this.data = await (new CheckOrderStatusRequest()).execute(this.#headers.location)
-        }
-      } catch (error) {
-        // TODO: Handle error.
-        throw new Error(error)
+      if (numAttempts === 1) {
+        // Finalise using CSR.
+        this.data = await (new FinaliseOrderRequest()).execute(this.finaliseUrl, csr)
+      } else {
+        // Check for order status.
+        this.data = await (new CheckOrderStatusRequest()).execute(this.#headers.location)
       }
 
       if (this.status === 'valid') {
         log('   🎁    ❨auto-encrypt❩ Order is valid.')
 
         // Download and cache the certificate.
-        try {
-          const certificateResponse = await ((new CertificateRequest)).execute(this.certificateUrl)
-          this.#certificate = certificateResponse.body
-        } catch (error) {
-          throw new Error(error)
-        }
+        const certificateResponse = await ((new CertificateRequest)).execute(this.certificateUrl)
+        this.#certificate = certificateResponse.body
 
         log('   💅    ❨auto-encrypt❩ Got the certificate.')
 
         // Save the certificate.
         try {
-          await fsPromises.writeFile(this.configuration.certificatePath, this.certificate, 'utf-8')
+          await this.configuration.storage.put(this.configuration.certificateStorageKey, this.certificate)
         } catch (error) {
           throw new Error(error)
         }
@@ -0,0 +1,164 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+// RenewalInfo
+//
+// ACME Renewal Information (ARI): the window in which the CA suggests that a
+// certificate should be renewed. The CA moves the window forward if it needs
+// the certificate to be replaced early (e.g., ahead of a mass revocation).
+//
+// Renewal information is requested (without authentication) from the
+// renewalInfo URL in the directory for a certificate identified by its
+// authority key identifier and serial number.
+//
+// See draft-ietf-acme-ari (ACME Renewal Information Extension).
+//
+// Copyright © 2020 Aral Balkan, Small Technology Foundation.
+// License: AGPLv3 or later.
+//
+////////////////////////////////////////////////////////////////////////////////
+
+import util from 'util'
+import moment from 'moment'
+import prepareRequest from 'bent'
+import { Certificate as X509Certificate } from './x.509/rfc5280.js'
+import Throws from './util/Throws.js'
+import parseRetryAfter from './util/parseRetryAfter.js'
+
+const throws = new Throws({
+  [Symbol.for('RenewalInfo.noAuthorityKeyIdentifierError')]:
+    () => 'Cannot request renewal information for a certificate without an authority key identifier',
+
+  [Symbol.for('RenewalInfo.invalidSuggestedWindowError')]:
+    suggestedWindow => `The ACME server returned an invalid suggested renewal window (${JSON.stringify(suggestedWindow)})`
+})
+
+export default class RenewalInfo {
+  // How long to wait before asking again if the server doesn’t send a Retry-After header and the
+  // bounds we keep the Retry-After period within.
+  static defaultRetryAfter = 6 /* hours */ * 60 /* minutes */ * 60 /* seconds */ * 1000 /* ms */
+  static minimumRetryAfter = 60 /* seconds */ * 1000 /* ms */
+  static maximumRetryAfter = 24 /* hours */ * 60 /* minutes */ * 60 /* seconds */ * 1000 /* ms */
+
+  suggestedWindow = null
+  retryAfter      = null
+  explanationUrl  = null
+
+  //
+  // Factory method access (async).
+  //
+  static isBeingInstantiatedViaAsyncFactoryMethod = false
+
+  /**
+   * Requests the renewal information for the passed certificate.
+   *
+   * @param {String} renewalInfoUrl The renewalInfo URL from the directory.
+   * @param {String} certificatePem The certificate (the first certificate in the PEM is used).
+   * @returns {Promise<RenewalInfo>}
+   */
+  static async getInstanceAsync (renewalInfoUrl = throws.ifMissing(), certificatePem = throws.ifMissing()) {
+    const certificateIdentifier = RenewalInfo.certificateIdentifierFor(certificatePem)
+    const renewalInfoRequest = prepareRequest('GET', 200)
+    const response = await renewalInfoRequest(`${renewalInfoUrl.replace(/\/$/, '')}/${certificateIdentifier}`)
+    const body = await response.json()
+
+    RenewalInfo.isBeingInstantiatedViaAsyncFactoryMethod = true
+    return new RenewalInfo(body, response.headers['retry-after'])
+  }
+
+  /**
+   * Returns the ARI certificate identifier: the base64url-encoded key identifier from the certificate’s
+   * authority key identifier extension and the base64url-encoded DER of its serial number, separated by a dot.
+   *
+   * @param {String} certificatePem
+   * @returns {String}
+   */
+  static certificateIdentifierFor (certificatePem = throws.ifMissing()) {
+    const certificate = (X509Certificate.decode(certificatePem, 'pem', {label: 'CERTIFICATE'})).tbsCertificate
+
+    const authorityKeyIdentifier = (certificate.extensions || []).find(extension => {
+      return extension.extnID === 'authorityKeyIdentifier'
+    })
+    throws.if(
+      authorityKeyIdentifier === undefined || !authorityKeyIdentifier.extnValue.keyIdentifier,
+      Symbol.for('RenewalInfo.noAuthorityKeyIdentifierError')
+    )
+
+    // The DER encoding of the serial number is the two’s complement big-endian representation, so positive
+    // numbers whose most significant bit is set get a leading zero byte.
+    let serialNumberHex = certificate.serialNumber.toString(16)
+    if (serialNumberHex.length % 2 === 1) { serialNumberHex = `0${serialNumberHex}` }
+    if (parseInt(serialNumberHex.slice(0, 2), 16) >= 0x80) { serialNumberHex = `00${serialNumberHex}` }
+
+    const keyIdentifier = authorityKeyIdentifier.extnValue.keyIdentifier.toString('base64url')
+    const serialNumber = Buffer.from(serialNumberHex, 'hex').toString('base64url')
+
+    return `${keyIdentifier}.${serialNumber}`
+  }
+
+  /**
+   * Returns the number of milliseconds to wait for, given the value of a Retry-After header (either a number
+   * of seconds or an HTTP date), kept within the minimum and maximum Retry-After bounds.
+   *
+   * @param {String} [retryAfterHeader]
+   * @returns {Number}
+   */
+  static retryAfterFor (retryAfterHeader) {
+    const parsedRetryAfter = parseRetryAfter(retryAfterHeader)
+    const retryAfter = parsedRetryAfter === null ? RenewalInfo.defaultRetryAfter : parsedRetryAfter
+    return Math.min(Math.max(retryAfter, RenewalInfo.minimumRetryAfter), RenewalInfo.maximumRetryAfter)
+  }
+
+  //
+  // Accessors.
+  //
+
+  get suggestedWindowStart () { return this.suggestedWindow.start }
+  get suggestedWindowEnd   () { return this.suggestedWindow.end   }
+
+  /**
+   * Returns a uniformly random time in the suggested window (so that renewals are spread out).
+   *
+   * @returns {moment}
+   */
+  randomTimeInSuggestedWindow () {
+    const start = this.suggestedWindow.start.valueOf()
+    const end = this.suggestedWindow.end.valueOf()
+    return moment(start + Math.floor(Math.random() * (end - start)))
+  }
+
+  //
+  // Private.
+  //
+
+  constructor (body = throws.ifMissing(), retryAfterHeader) {
+    // Ensure async factory method instantiation.
+    if (RenewalInfo.isBeingInstantiatedViaAsyncFactoryMethod === false) {
+      throws.error(Symbol.for('MustBeInstantiatedViaAsyncFactoryMethodError'), 'RenewalInfo')
+    }
+    RenewalInfo.isBeingInstantiatedViaAsyncFactoryMethod = false
+
+    const suggestedWindow = body.suggestedWindow || {}
+    const start = moment(suggestedWindow.start, moment.ISO_8601)
+    const end = moment(suggestedWindow.end, moment.ISO_8601)
+    throws.if(
+      !start.isValid() || !end.isValid() || end.isBefore(start),
+      Symbol.for('RenewalInfo.invalidSuggestedWindowError'), body.suggestedWindow
+    )
+
+    this.suggestedWindow = { start, end }
+    this.retryAfter = RenewalInfo.retryAfterFor(retryAfterHeader)
+    this.explanationUrl = body.explanationURL || null
+  }
+
+  // Custom object description for console output (for debugging).
+  [util.inspect.custom] () {
+    return `
+      # RenewalInfo
+
+      - Suggested window start: ${this.suggestedWindowStart.toISOString()}
+      - Suggested window end  : ${this.suggestedWindowEnd.toISOString()}
+      - Retry after (ms)      : ${this.retryAfter}
+      - Explanation URL       : ${this.explanationUrl || 'none'}
+    `
+  }
+}
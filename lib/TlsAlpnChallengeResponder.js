@@ -0,0 +1,165 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+// TlsAlpnChallengeResponder
+//
+// (Static class; please do not instantiate.)
+//
+// Keeps track of the TLS-ALPN-01 validation certificates for pending
+// authorisations so that the HTTPS server’s SNI callback can answer the
+// ACME server’s validation handshakes (which use the acme-tls/1 ALPN protocol)
+// on port 443 without needing an HTTP server on port 80. Only handshakes that
+// negotiate acme-tls/1 get the validation certificate. (Requires TLS 1.3 for
+// validation handshakes and HTTPS server support for the ALPNCallback option:
+// Node 20.4+.)
+//
+// See RFC 8737 (ACME TLS ALPN Challenge Extension).
+//
+// Copyright © 2020 Aral Balkan, Small Technology Foundation.
+// License: AGPLv3 or later.
+//
+////////////////////////////////////////////////////////////////////////////////
+
+import tls from 'tls'
+import acmeTlsAlpnCertificate from './acmeTlsAlpnCertificate.js'
+import log from './util/log.js'
+import Throws from './util/Throws.js'
+
+const throws = new Throws()
+
+export default class TlsAlpnChallengeResponder {
+  // The ALPN protocol the ACME server negotiates for validation handshakes. (RFC 8737 § 6.2)
+  static ACME_TLS_ALPN_PROTOCOL = 'acme-tls/1'
+
+  static #responders = new Map()
+
+  // What we know about the handshake on each TLS socket (see selectAlpnProtocol() and secureContextFor()).
+  static #handshakes = new WeakMap()
+
+  /**
+   * Adds ALPN and SNI callbacks to the passed HTTPS server options so that validation handshakes negotiate
+   * acme-tls/1 and get the validation certificate while everyone else negotiates the usual protocols (the ones in
+   * options.ALPNProtocols, or http/1.1) and is passed on to the existing SNI callback (options.SNICallback). (Node
+   * does not allow both options so the ALPN protocol list is replaced by the callback.)
+   *
+   * Must be called after options.SNICallback has been set.
+   *
+   * @param {Object} options HTTPS server options.
+   */
+  static addCallbacksTo (options) {
+    const responder = this
+    const protocols = (options.ALPNProtocols || ['http/1.1']).filter(protocol => protocol !== this.ACME_TLS_ALPN_PROTOCOL)
+    const sniCallback = options.SNICallback
+
+    delete options.ALPNProtocols
+
+    // (Node calls both callbacks with the TLS socket of the handshake as this.)
+    options.ALPNCallback = function ({ servername, protocols: clientProtocols }) {
+      return responder.selectAlpnProtocol(this, servername, clientProtocols, protocols)
+    }
+
+    options.SNICallback = function (serverName, callback) {
+      const validationSecureContext = responder.secureContextFor(this, serverName)
+      if (validationSecureContext !== null) {
+        callback(null, validationSecureContext)
+        return
+      }
+      sniCallback(serverName, callback)
+    }
+  }
+
+  /**
+   * Selects the ALPN protocol for a handshake. Only handshakes that offer acme-tls/1 for a server name with a
+   * pending challenge are validation handshakes. (Regular clients never offer acme-tls/1.) Otherwise, the first of
+   * our protocols that the client offers is selected (if there isn’t one, the handshake is rejected).
+   *
+   * With TLS 1.3, Node calls the ALPN callback before the SNI callback so we remember the decision on the socket for
+   * secureContextFor(). With TLS 1.2, Node calls the SNI callback first so the certificate has already been chosen
+   * by the time we know that this is a validation handshake. We refuse to negotiate acme-tls/1 then (and the
+   * handshake fails) instead of answering with the regular certificate. (ACME servers that support TLS 1.3, like
+   * Let’s Encrypt, use it for validation.)
+   *
+   * @param {tls.TLSSocket} socket          Socket of the handshake.
+   * @param {String}        serverName      Server name from the client hello (if any).
+   * @param {String[]}      clientProtocols Protocols offered by the client.
+   * @param {String[]}      protocols       Our protocols, in order of preference.
+   * @returns {String|undefined}
+   */
+  static selectAlpnProtocol (socket, serverName, clientProtocols, protocols) {
+    const handshake = this.#handshakeOn(socket)
+
+    const isValidationHandshake = typeof serverName === 'string'
+      && clientProtocols.includes(this.ACME_TLS_ALPN_PROTOCOL)
+      && this.#responders.has(serverName.toLowerCase())
+
+    if (isValidationHandshake && handshake.hasCertificate) {
+      log(`   ❌    ❨auto-encrypt❩ Cannot answer TLS-ALPN-01 validation request for ${serverName} as it does not use TLS 1.3.`)
+      return undefined
+    }
+
+    handshake.validationServerName = isValidationHandshake ? serverName.toLowerCase() : null
+
+    return isValidationHandshake ? this.ACME_TLS_ALPN_PROTOCOL : protocols.find(protocol => clientProtocols.includes(protocol))
+  }
+
+  /**
+   * Starts answering validation handshakes for the passed domain.
+   *
+   * @param {String}   domain              Domain being validated.
+   * @param {String}   keyAuthorisation    Key authorisation for the challenge (RFC 8555 § 8.1).
+   * @param {Function} onValidationRequest Called whenever a validation handshake for the domain is answered.
+   */
+  static addResponder (domain = throws.ifMissing(), keyAuthorisation = throws.ifMissing(), onValidationRequest = () => {}) {
+    const { key, cert } = acmeTlsAlpnCertificate(domain, keyAuthorisation)
+    this.#responders.set(domain.toLowerCase(), {
+      secureContext: tls.createSecureContext({ key, cert }),
+      onValidationRequest
+    })
+    log(`   🔐    ❨auto-encrypt❩ Answering TLS-ALPN-01 challenges for ${domain}.`)
+  }
+
+  /**
+   * Stops answering validation handshakes for the passed domain.
+   *
+   * @param {String} domain
+   */
+  static removeResponder (domain = throws.ifMissing()) {
+    this.#responders.delete(domain.toLowerCase())
+  }
+
+  /**
+   * Returns the secure context with the validation certificate for the passed server name if this is a validation
+   * handshake (acme-tls/1 was negotiated for it on this socket by the ALPN callback) for a pending TLS-ALPN-01
+   * challenge, or null if it isn’t (so regular visitors get the regular certificate while a challenge is pending).
+   *
+   * @param {tls.TLSSocket} socket     Socket of the handshake.
+   * @param {String}        serverName Server name from the SNI callback.
+   * @returns {tls.SecureContext|null}
+   */
+  static secureContextFor (socket, serverName) {
+    const handshake = this.#handshakeOn(socket)
+    const isValidationHandshake = handshake.validationServerName === serverName.toLowerCase()
+    handshake.hasCertificate = true
+    handshake.validationServerName = null
+
+    const responder = this.#responders.get(serverName.toLowerCase())
+    if (!isValidationHandshake || responder === undefined) {
+      return null
+    }
+    log(`   👍    ❨auto-encrypt❩ Responding to TLS-ALPN-01 validation request for ${serverName}`)
+    responder.onValidationRequest()
+    return responder.secureContext
+  }
+
+  static #handshakeOn (socket) {
+    let handshake = this.#handshakes.get(socket)
+    if (handshake === undefined) {
+      handshake = { validationServerName: null, hasCertificate: false }
+      this.#handshakes.set(socket, handshake)
+    }
+    return handshake
+  }
+
+  constructor () {
+    throws.error(Symbol.for('StaticClassCannotBeInstantiatedError'), 'TlsAlpnChallengeResponder')
+  }
+}
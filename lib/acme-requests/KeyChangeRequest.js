@@ -0,0 +1,48 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+// KeyChangeRequest
+//
+// Asks the ACME server to replace the account key with a new one (key
+// rollover). The payload is a JWS of the account URL and the old public key
+// signed with the new key (so the server knows that we have both keys) and the
+// outer request is signed with the old key, as usual.
+//
+// See RFC 8555 § 7.3.5 (Account Key Rollover).
+//
+// Copyright © 2020 Aral Balkan, Small Technology Foundation.
+// License: AGPLv3 or later.
+//
+////////////////////////////////////////////////////////////////////////////////
+
+import jose from 'jose'
+import AcmeRequest from '../AcmeRequest.js'
+import Identity from '../Identity.js'
+import Throws from '../util/Throws.js'
+
+const throws = new Throws()
+
+export default class KeyChangeRequest extends AcmeRequest {
+  async execute (newKey = throws.ifMissing()) {
+    const payload = this.keyChangeJws(newKey)
+    // The CA has switched to the new key as soon as it responds with 200 OK. The response body is of no use to us
+    // (and may be empty, e.g., Pebble’s is) so we don’t try to parse it.
+    await super.execute('keyChange', payload, /* useKid = */ true, /* successCodes = */ [200], /* url = */ null, /* parseResponseBodyAsJSON = */ false)
+  }
+
+  // The inner JWS (RFC 8555 § 7.3.5). Its protected header has the new public key (as the JWK) and the same URL
+  // as the outer request but no nonce.
+  keyChangeJws (newKey = throws.ifMissing()) {
+    const payload = {
+      account: AcmeRequest.account.kid,
+      oldKey: AcmeRequest.accountIdentity.publicJWK
+    }
+
+    const protectedHeader = {
+      alg: Identity.jwsAlgorithmFor(newKey),
+      jwk: newKey.toJWK(),
+      url: AcmeRequest.directory.keyChangeUrl
+    }
+
+    return jose.JWS.sign.flattened(payload, newKey, protectedHeader)
+  }
+}
@@ -5,6 +5,11 @@
 // Requests a new account (or existing account if one already exists) and saves
 // the returned kid for future use.
 //
+// If an external account binding is passed (for CAs that require accounts to
+// be bound to an account in a non-ACME system, e.g., ZeroSSL or step-ca), it
+// is included as a JWS of the account’s public key signed with the binding’s
+// HMAC key (RFC 8555 § 7.3.4).
+//
 // See RFC 8555 § 7.3 (Account Management).
 //
 // Copyright © 2020 Aral Balkan, Small Technology Foundation.
@@ -12,12 +17,22 @@
 //
 ////////////////////////////////////////////////////////////////////////////////
 
+import jose from 'jose'
 import AcmeRequest from '../AcmeRequest.js'
 
 export default class NewAccountRequest extends AcmeRequest {
-  async execute () {
-    // Set the only required element.
+  // Contacts are mailto: URLs (see Account.contactUrlsFor()). The external account binding is
+  // { kid, hmacKey } (see Configuration.externalAccountBinding).
+  async execute (contact = [], externalAccountBinding = null) {
+    // Set the only required element (and the contacts, if any, so that Let’s Encrypt can send us
+    // expiry and policy notices).
     const payload = { termsOfServiceAgreed: true }
+    if (contact.length > 0) {
+      payload.contact = contact
+    }
+    if (externalAccountBinding !== null) {
+      payload.externalAccountBinding = this.externalAccountBindingJws(externalAccountBinding)
+    }
 
     // Note: a 201 (Created) is returned if the account is new, a 200 (Success) is returned
     // ===== if an existing account is found. (RFC 8555 § 7.3 & 7.3.1).
@@ -26,7 +41,19 @@ export default class NewAccountRequest extends AcmeRequest {
     // This is what we will be using in the kid field in the future
     // **in place of** the JWK.
     const kid = response.headers['location']
-    const account = { kid }
+    const account = { kid, contact }
     return account
   }
+
+  // The inner JWS (RFC 8555 § 7.3.4): the account’s public key signed with the HMAC key, with the binding’s key
+  // ID and the newAccount URL in its protected header.
+  externalAccountBindingJws ({ kid, hmacKey }) {
+    const protectedHeader = {
+      alg: 'HS256',
+      kid,
+      url: AcmeRequest.directory.newAccountUrl
+    }
+    const key = jose.JWK.asKey({ kty: 'oct', k: hmacKey.replace(/=+$/, '') })
+    return jose.JWS.sign.flattened(AcmeRequest.accountIdentity.publicJWK, key, protectedHeader)
+  }
 }
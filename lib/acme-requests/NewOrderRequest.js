@@ -6,6 +6,7 @@
 // Let’s Encrypt TLS certificates.
 //
 // See RFC 8555 § 7.1.3 (Order Objects), 7.4 (Applying for Certificate Issuance)
+// and draft-ietf-acme-ari § 5 (Extensions to the Order Object).
 //
 // Copyright © 2020 Aral Balkan, Small Technology Foundation.
 // License: AGPLv3 or later.
@@ -17,10 +18,22 @@ import Throws from '../util/Throws.js'
 const throws = new Throws()
 
 export default class NewOrderRequest extends AcmeRequest {
-  async execute (configuration = throws.ifMissing()) {
+  /**
+   * @param {Configuration} configuration
+   * @param {String}        [replaces=null] The ARI certificate identifier of the certificate that the order replaces
+   *                                        when renewing (see RenewalInfo.certificateIdentifierFor()). Only pass this
+   *                                        if the CA supports ARI. (draft-ietf-acme-ari § 5)
+   */
+  async execute (configuration = throws.ifMissing(), replaces = null) {
+    // Wildcard domains (e.g., *.ar.al) are also dns identifiers; the wildcard is part of the value.
+    // See RFC 8555 § 7.1.3 (Order Objects).
     const identifiers = configuration.domains.map(domain => { return { type: 'dns', value: domain} })
     const payload = { identifiers }
 
+    if (replaces !== null) {
+      payload.replaces = replaces
+    }
+
     const response = await super.execute('newOrder', payload, /* useKid = */ true, /* successCodes = */ [201])
     return response
   }
@@ -0,0 +1,43 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+// RevokeCertificateRequest
+//
+// Asks the ACME server to revoke a certificate. The request is signed either
+// with the account key (using the kid) or with the certificate’s own key (using
+// its public JWK), which proves possession of the key even if the account is
+// not available (e.g., when reporting a key compromise).
+//
+// See RFC 8555 § 7.6 (Certificate Revocation).
+//
+// Copyright © 2020 Aral Balkan, Small Technology Foundation.
+// License: AGPLv3 or later.
+//
+////////////////////////////////////////////////////////////////////////////////
+
+import crypto from 'crypto'
+import AcmeRequest from '../AcmeRequest.js'
+import Throws from '../util/Throws.js'
+
+const throws = new Throws()
+
+export default class RevokeCertificateRequest extends AcmeRequest {
+  /**
+   * @param {String}      certificatePem             The certificate (the first certificate in the PEM is revoked).
+   * @param {Number}      reason                     The RFC 5280 § 5.3.1 revocation reason code.
+   * @param {Identity}    [certificateIdentity=null] If passed, the request is signed with this certificate identity
+   *                                                 instead of the account identity.
+   */
+  async execute (certificatePem = throws.ifMissing(), reason = throws.ifMissing(), certificateIdentity = null) {
+    const payload = {
+      // The base64url-encoded DER of the certificate.
+      certificate: new crypto.X509Certificate(certificatePem).raw.toString('base64url'),
+      reason
+    }
+
+    this.signingIdentity = certificateIdentity
+    const useKid = certificateIdentity === null
+
+    // The response has an empty body.
+    await super.execute('revokeCert', payload, useKid, /* successCodes = */ [200], /* url = */ null, /* parseResponseBodyAsJSON = */ false)
+  }
+}
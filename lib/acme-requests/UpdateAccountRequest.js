@@ -0,0 +1,30 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+// UpdateAccountRequest
+//
+// Updates the account (e.g., its contacts) or deactivates it by posting the
+// changed fields to the account URL.
+//
+// See RFC 8555 § 7.3.2 (Account Update) and § 7.3.6 (Account Deactivation).
+//
+// Copyright © 2020 Aral Balkan, Small Technology Foundation.
+// License: AGPLv3 or later.
+//
+////////////////////////////////////////////////////////////////////////////////
+
+import AcmeRequest from '../AcmeRequest.js'
+import Throws from '../util/Throws.js'
+
+const throws = new Throws()
+
+export default class UpdateAccountRequest extends AcmeRequest {
+  /**
+   * @param {Object} payload The fields to change (e.g., { contact: ['mailto:…'] } or { status: 'deactivated' }).
+   * @returns {Object} The updated account object.
+   */
+  async execute (payload = throws.ifMissing()) {
+    // The account URL is the kid.
+    const response = await super.execute('account', payload, /* useKid = */ true, /* successCodes = */ [200], /* url = */ AcmeRequest.account.kid)
+    return response.body
+  }
+}
@@ -8,41 +8,48 @@
 //
 // See RFC 8555 § 7.4 (Applying for Certificate Issuance).
 //
+// node-forge can only sign with RSA keys so, while we use it to encode the
+// request, we sign it using Node’s crypto module (which also supports ECDSA).
+//
 // Copyright © 2020 Aral Balkan, Small Technology Foundation.
 // License: AGPLv3 or later.
 //
 ////////////////////////////////////////////////////////////////////////////////
+import crypto from 'crypto'
 import forge from 'node-forge'
 const DNS = 2 // The ANS.1 type for DNS name.
 
+const { asn1, pki } = forge
+
+// Signature algorithms (with their hash algorithms) by key type and curve. RSA signatures have
+// NULL parameters while ECDSA signatures have none (RFC 4055 § 5 and RFC 5758 § 3.2).
+const signatureAlgorithms = {
+  'RSA':   { oid: '1.2.840.113549.1.1.11', hash: 'sha256', hasNullParameters: true  }, // sha256WithRSAEncryption
+  'P-256': { oid: '1.2.840.10045.4.3.2',   hash: 'sha256', hasNullParameters: false }, // ecdsa-with-SHA256
+  'P-384': { oid: '1.2.840.10045.4.3.3',   hash: 'sha384', hasNullParameters: false }  // ecdsa-with-SHA384
+}
+
 // Returns a valid ACME-formatted (RFC 8555) CSR.
 
 /**
- * Return an ACME-formatted (RFC 8555) CSR given a list of domains and a Jose JWK.rsaKey.
+ * Return an ACME-formatted (RFC 8555) CSR given a list of domains and a Jose JWK.RSAKey or JWK.ECKey.
  *
- * @param {String[]}   domains
- * @param {JWK.rsaKey} key
+ * @param {String[]}              domains
+ * @param {JWK.RSAKey|JWK.ECKey} key
  * @returns {String} An ACME-formatted CSR in PEM format.
  */
 export default function (domains, key) { return pemToAcmeCsr(csrAsPem(domains, key)) }
 
 /**
- * Create a CSR given a list of domains and a Jose JWK.rsaKey.
+ * Create a CSR given a list of domains and a Jose JWK.RSAKey or JWK.ECKey.
  *
- * @param {String[]}   domains
- * @param {JWK.rsaKey} key
+ * @param {String[]}              domains
+ * @param {JWK.RSAKey|JWK.ECKey} key
  * @returns {String} A CSR in PEM format.
  */
 function csrAsPem (domains, key) {
   var csr = forge.pki.createCertificationRequest()
 
-  const keys = {
-    public: forge.pki.publicKeyFromPem(key.toPEM(/* private = */ false)),
-    private: forge.pki.privateKeyFromPem(key.toPEM(/* private = */ true))
-  }
-
-  csr.publicKey = keys.public
-
   const altNames = domains.map(domain => {
     return {type: DNS, value: domain}
   })
@@ -62,9 +69,52 @@ function csrAsPem (domains, key) {
     }]
   }])
 
-  csr.sign(keys.private, forge.md.sha256.create())
+  // (Setting the attributes has forge encode the extension values.)
+  const extensions = csr.attributes[0].extensions
+
+  // CertificationRequestInfo (RFC 2986 § 4.1).
+  const publicKeyDer = crypto.createPublicKey(key.toPEM(/* private = */ false)).export({ type: 'spki', format: 'der' })
+  const certificationRequestInfo = asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+    // Version.
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.INTEGER, false, asn1.integerToDer(0).getBytes()),
+    // Subject (empty).
+    pki.distinguishedNameToAsn1(csr.subject),
+    // Subject public key info.
+    asn1.fromDer(publicKeyDer.toString('binary')),
+    // Attributes: a single extension request.
+    asn1.create(asn1.Class.CONTEXT_SPECIFIC, 0, true, [
+      asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OID, false, asn1.oidToDer(pki.oids.extensionRequest).getBytes()),
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SET, true, [
+          asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, extensions.map(pki.certificateExtensionToAsn1))
+        ])
+      ])
+    ])
+  ])
+
+  // Sign it (RFC 2986 § 4.2).
+  const signatureAlgorithm = signatureAlgorithms[key.kty === 'RSA' ? 'RSA' : key.crv]
+  const privateKey = crypto.createPrivateKey(key.toPEM(/* private = */ true))
+  const signature = crypto.sign(
+    signatureAlgorithm.hash,
+    Buffer.from(asn1.toDer(certificationRequestInfo).getBytes(), 'binary'),
+    privateKey
+  )
 
-  const pem = forge.pki.certificationRequestToPem(csr)
+  const certificationRequest = asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+    certificationRequestInfo,
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+      asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OID, false, asn1.oidToDer(signatureAlgorithm.oid).getBytes()),
+      ...(signatureAlgorithm.hasNullParameters ? [asn1.create(asn1.Class.UNIVERSAL, asn1.Type.NULL, false, '')] : [])
+    ]),
+    // (The leading zero byte is the number of unused bits in the bit string.)
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.BITSTRING, false, String.fromCharCode(0x00) + signature.toString('binary'))
+  ])
+
+  const pem = forge.pem.encode({
+    type: 'CERTIFICATE REQUEST',
+    body: asn1.toDer(certificationRequest).getBytes()
+  })
   return pem
 }
 
@@ -0,0 +1,69 @@
+///////////////////////////////////////////////////////////////////////////////
+//
+// ACME TLS-ALPN-01 validation certificate
+//
+// Given a domain and the key authorisation for its TLS-ALPN-01 challenge,
+// returns a self-signed certificate for the domain that carries the critical
+// id-pe-acmeIdentifier extension with the SHA-256 digest of the key
+// authorisation, along with its private key.
+//
+// See RFC 8737 § 3 (TLS with Application-Layer Protocol Negotiation (TLS ALPN) Challenge).
+//
+// Copyright © 2020 Aral Balkan, Small Technology Foundation.
+// License: AGPLv3 or later.
+//
+////////////////////////////////////////////////////////////////////////////////
+import crypto from 'crypto'
+import forge from 'node-forge'
+
+const DNS = 2 // The ANS.1 type for DNS name.
+const ID_PE_ACME_IDENTIFIER = '1.3.6.1.5.5.7.1.31' // RFC 8737 § 6.1
+
+/**
+ * Return a TLS-ALPN-01 validation certificate and its private key in PEM format.
+ *
+ * @param {String} domain           Domain being validated.
+ * @param {String} keyAuthorisation Key authorisation for the challenge (RFC 8555 § 8.1).
+ * @returns {{key: String, cert: String}} Private key and self-signed certificate in PEM format.
+ */
+export default function (domain, keyAuthorisation) {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', {
+    modulusLength: 2048,
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+  })
+
+  const certificate = forge.pki.createCertificate()
+  certificate.publicKey = forge.pki.publicKeyFromPem(publicKey)
+
+  // Prefix with 01 to ensure the serial number is a positive integer.
+  certificate.serialNumber = `01${crypto.randomBytes(8).toString('hex')}`
+
+  // The validation certificate is only used during the handshake with the ACME server so it
+  // doesn’t need to be valid for long.
+  certificate.validity.notBefore = new Date()
+  certificate.validity.notAfter = new Date(Date.now() + 7 /* days */ * 24 * 60 * 60 * 1000)
+
+  const subject = [{ name: 'commonName', value: domain }]
+  certificate.setSubject(subject)
+  certificate.setIssuer(subject)
+
+  // Authorization ::= OCTET STRING (SIZE (32)) containing the SHA-256 digest of the key authorisation.
+  const keyAuthorisationDigest = crypto.createHash('sha256').update(keyAuthorisation).digest('binary')
+
+  certificate.setExtensions([{
+    name: 'subjectAltName',
+    altNames: [{ type: DNS, value: domain }]
+  }, {
+    id: ID_PE_ACME_IDENTIFIER,
+    critical: true,
+    value: forge.asn1.create(forge.asn1.Class.UNIVERSAL, forge.asn1.Type.OCTETSTRING, false, keyAuthorisationDigest)
+  }])
+
+  certificate.sign(forge.pki.privateKeyFromPem(privateKey), forge.md.sha256.create())
+
+  return {
+    key: privateKey,
+    cert: forge.pki.certificateToPem(certificate)
+  }
+}
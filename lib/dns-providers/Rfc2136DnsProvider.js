@@ -0,0 +1,398 @@
+/**
+ * DNS provider adapter that sets and removes the DNS-01 challenge TXT records using
+ * RFC 2136 (Dynamic Updates in the Domain Name System) messages sent over UDP, optionally
+ * authenticated with a TSIG key (RFC 8945).
+ *
+ * @module
+ * @copyright Copyright © 2020 Aral Balkan, Small Technology Foundation.
+ * @license AGPLv3 or later.
+ */
+
+import dns from 'dns'
+import dgram from 'dgram'
+import crypto from 'crypto'
+import util from 'util'
+import log from '../util/log.js'
+import Throws from '../util/Throws.js'
+import waitFor from '../util/waitFor.js'
+
+const throws = new Throws({
+  [Symbol.for('Rfc2136DnsProvider.recordNotInZoneError')]:
+    (name, zone) => `Cannot update record ${name} as it is not in zone ${zone}`,
+
+  [Symbol.for('Rfc2136DnsProvider.unsupportedTsigAlgorithmError')]:
+    algorithm => `Unsupported TSIG algorithm ${algorithm} (supported algorithms are ${Object.keys(TSIG_ALGORITHMS).join(', ')})`,
+
+  [Symbol.for('Rfc2136DnsProvider.timeoutError')]:
+    (server, port, timeout) => `DNS server at ${server}:${port} did not respond to update within ${timeout}ms`,
+
+  [Symbol.for('Rfc2136DnsProvider.updateFailedError')]:
+    (name, responseCode) => `DNS update for ${name} failed (${RESPONSE_CODES[responseCode] || responseCode})`,
+
+  [Symbol.for('Rfc2136DnsProvider.propagationTimeoutError')]:
+    (name, nameservers, timeout) => `TXT record ${name} was not served by ${nameservers.join(', ')} within ${timeout}ms`
+})
+
+// See RFC 2136 § 1.3 and the IANA DNS parameters registry.
+const OPCODE_UPDATE = 5
+const TYPE_SOA      = 6
+const TYPE_TXT      = 16
+const TYPE_TSIG     = 250
+const CLASS_IN      = 1
+const CLASS_NONE    = 254
+const CLASS_ANY     = 255
+
+const RESPONSE_CODES = [
+  'NOERROR', 'FORMERR', 'SERVFAIL', 'NXDOMAIN', 'NOTIMP', 'REFUSED', 'YXDOMAIN', 'YXRRSET', 'NXRRSET', 'NOTAUTH', 'NOTZONE'
+]
+
+// Maps TSIG algorithm names (RFC 8945 § 6) to Node.js HMAC digest names.
+const TSIG_ALGORITHMS = {
+  'hmac-sha1'  : 'sha1',
+  'hmac-sha256': 'sha256',
+  'hmac-sha384': 'sha384',
+  'hmac-sha512': 'sha512'
+}
+
+/**
+ * Encodes a domain name in DNS wire format (RFC 1035 § 3.1), in lower case.
+ *
+ * @param {String} name
+ * @returns {Buffer}
+ */
+function encodeName (name) {
+  const labels = name.toLowerCase().replace(/\.$/, '').split('.').filter(label => label !== '')
+  return Buffer.concat([
+    ...labels.map(label => {
+      const labelBuffer = Buffer.from(label, 'ascii')
+      return Buffer.concat([Buffer.from([labelBuffer.length]), labelBuffer])
+    }),
+    Buffer.from([0])
+  ])
+}
+
+function uint16 (value) {
+  const buffer = Buffer.alloc(2)
+  buffer.writeUInt16BE(value)
+  return buffer
+}
+
+function uint32 (value) {
+  const buffer = Buffer.alloc(4)
+  buffer.writeUInt32BE(value)
+  return buffer
+}
+
+function uint48 (value) {
+  const buffer = Buffer.alloc(6)
+  buffer.writeUIntBE(value, 0, 6)
+  return buffer
+}
+
+/**
+ * Encodes a TXT record’s RDATA (RFC 1035 § 3.3.14): one or more length-prefixed
+ * character strings of at most 255 octets each.
+ *
+ * @param {String} value
+ * @returns {Buffer}
+ */
+function encodeTxtData (value) {
+  const valueBuffer = Buffer.from(value, 'utf-8')
+  const characterStrings = []
+  for (let offset = 0; offset < valueBuffer.length || offset === 0; offset += 255) {
+    const chunk = valueBuffer.subarray(offset, offset + 255)
+    characterStrings.push(Buffer.from([chunk.length]), chunk)
+  }
+  return Buffer.concat(characterStrings)
+}
+
+/**
+ * Sets and removes TXT records on an authoritative DNS server using RFC 2136 dynamic updates.
+ *
+ * @alias module:lib/dns-providers/Rfc2136DnsProvider
+ */
+export default class Rfc2136DnsProvider {
+  /**
+   * Creates an instance of Rfc2136DnsProvider.
+   *
+   * @param {Object}   options
+   * @param {String}   options.server                          Address of the primary DNS server for the zone.
+   * @param {Number}   [options.port=53]                       Port the DNS server listens on.
+   * @param {String}   options.zone                            Zone to update (e.g., example.com).
+   * @param {Number}   [options.ttl=60]                        Time to live (in seconds) of the records we add.
+   * @param {Number}   [options.timeout=5000]                  How long to wait for a response (in milliseconds).
+   * @param {Object}   [options.tsig]                          TSIG key to authenticate updates with, if any.
+   * @param {String}   options.tsig.name                       Name of the TSIG key.
+   * @param {String}   options.tsig.secret                     Base64-encoded TSIG key secret.
+   * @param {String}   [options.tsig.algorithm=hmac-sha256]    TSIG algorithm.
+   * @param {String[]} [options.nameservers]                   Addresses (with optional ports, e.g., 192.0.2.54:5353) of
+   *                                                           the authoritative servers that must serve added records
+   *                                                           before they are used for validation (e.g., secondaries or
+   *                                                           anycast addresses). Defaults to the primary server.
+   * @param {Number}   [options.propagationTimeout=120000]     How long to wait for added records to be served by all
+   *                                                           the nameservers (in milliseconds).
+   * @param {Number}   [options.propagationCheckInterval=2000] How often to check whether they are (in milliseconds).
+   */
+  constructor (options = throws.ifMissing()) {
+    throws.ifUndefinedOrNull(options.server, 'options.server')
+    throws.ifUndefinedOrNull(options.zone, 'options.zone')
+
+    this.#server  = options.server
+    this.#port    = options.port || 53
+    this.#zone    = options.zone.toLowerCase().replace(/\.$/, '')
+    this.#ttl     = options.ttl === undefined ? 60 : options.ttl
+    this.#timeout = options.timeout || 5000
+
+    // (IPv6 addresses must be in brackets when followed by a port.)
+    const primaryNameserver = this.#server.includes(':') ? `[${this.#server}]` : this.#server
+    this.#nameservers = options.nameservers || [`${primaryNameserver}:${this.#port}`]
+    this.#propagationTimeout = options.propagationTimeout === undefined ? 120000 : options.propagationTimeout
+    this.#propagationCheckInterval = options.propagationCheckInterval || 2000
+
+    if (options.tsig) {
+      throws.ifUndefinedOrNull(options.tsig.name, 'options.tsig.name')
+      throws.ifUndefinedOrNull(options.tsig.secret, 'options.tsig.secret')
+      const algorithm = options.tsig.algorithm || 'hmac-sha256'
+      throws.if(TSIG_ALGORITHMS[algorithm] === undefined, Symbol.for('Rfc2136DnsProvider.unsupportedTsigAlgorithmError'), algorithm)
+      this.#tsig = {
+        name: options.tsig.name,
+        secret: Buffer.from(options.tsig.secret, 'base64'),
+        algorithm
+      }
+    }
+  }
+
+  /**
+   * Adds a TXT record with the passed value to the passed name.
+   *
+   * @category async
+   * @param {String} name  Fully-qualified record name.
+   * @param {String} value Record value.
+   * @returns {Promise} Fulfils once the DNS server has confirmed the update and all the nameservers serve the record.
+   */
+  async setTxtRecord (name = throws.ifMissing(), value = throws.ifMissing()) {
+    log(`   📝    ❨auto-encrypt❩ Adding TXT record ${name} via RFC 2136 update to ${this.#server}:${this.#port}.`)
+    await this.update(name, CLASS_IN, this.#ttl, value)
+    await this.waitForRecordToBeServed(name, value)
+  }
+
+  /**
+   * Removes the TXT record with the passed value from the passed name. Other TXT records at the same name
+   * (e.g., for another authorisation of the same identifier) are left untouched.
+   *
+   * @category async
+   * @param {String} name  Fully-qualified record name.
+   * @param {String} value Record value.
+   * @returns {Promise} Fulfils once the DNS server has confirmed the update.
+   */
+  async removeTxtRecord (name = throws.ifMissing(), value = throws.ifMissing()) {
+    log(`   🚮    ❨auto-encrypt❩ Removing TXT record ${name} via RFC 2136 update to ${this.#server}:${this.#port}.`)
+    // Delete an RR from an RRset (RFC 2136 § 2.5.4): class NONE, TTL zero.
+    await this.update(name, CLASS_NONE, 0, value)
+  }
+
+  //
+  // Private.
+  //
+
+  #server  = null
+  #port    = null
+  #zone    = null
+  #ttl     = null
+  #timeout = null
+  #tsig    = null
+
+  #nameservers              = null
+  #propagationTimeout       = null
+  #propagationCheckInterval = null
+
+  /**
+   * Waits until all the nameservers serve the TXT record with the passed value. (The CA validates the challenge
+   * as soon as we tell it to, so the record must not only be on the primary; see RFC 8555 § 8.4.)
+   *
+   * @access private
+   * @category async
+   */
+  async waitForRecordToBeServed (name, value) {
+    const startTime = Date.now()
+    let nameserversToCheck = this.#nameservers
+
+    while (true) {
+      const results = await Promise.all(nameserversToCheck.map(async nameserver => {
+        return { nameserver, isServing: await this.isServing(nameserver, name, value) }
+      }))
+      nameserversToCheck = results.filter(result => !result.isServing).map(result => result.nameserver)
+
+      if (nameserversToCheck.length === 0) {
+        log(`   📡    ❨auto-encrypt❩ TXT record ${name} is being served by ${this.#nameservers.join(', ')}.`)
+        return
+      }
+
+      if (Date.now() - startTime + this.#propagationCheckInterval > this.#propagationTimeout) {
+        throws.error(Symbol.for('Rfc2136DnsProvider.propagationTimeoutError'), name, nameserversToCheck, this.#propagationTimeout)
+      }
+
+      log(`   ⌚    ❨auto-encrypt❩ Waiting for TXT record ${name} to be served by ${nameserversToCheck.join(', ')}…`)
+      await waitFor(this.#propagationCheckInterval)
+    }
+  }
+
+  /**
+   * Returns whether the passed nameserver serves the TXT record with the passed value.
+   *
+   * @access private
+   * @category async
+   * @returns {Promise<Boolean>}
+   */
+  async isServing (nameserver, name, value) {
+    const resolver = new dns.promises.Resolver({ timeout: this.#timeout, tries: 1 })
+    resolver.setServers([nameserver])
+    try {
+      // Long TXT values are split into several character strings.
+      const records = await resolver.resolveTxt(name)
+      return records.some(characterStrings => characterStrings.join('') === value)
+    } catch (error) {
+      // The record does not exist (yet) or the nameserver is not answering; either way, it is not being served.
+      return false
+    }
+  }
+
+  /**
+   * Creates, sends, and checks the response to an update message.
+   *
+   * @access private
+   * @category async
+   */
+  async update (name, recordClass, ttl, value) {
+    const recordName = name.toLowerCase().replace(/\.$/, '')
+    throws.if(
+      recordName !== this.#zone && !recordName.endsWith(`.${this.#zone}`),
+      Symbol.for('Rfc2136DnsProvider.recordNotInZoneError'), name, this.#zone
+    )
+
+    const message = this.createUpdateMessage(recordName, recordClass, ttl, value)
+    const response = await this.send(message)
+
+    const responseCode = response.readUInt16BE(2) & 0x000f
+    if (responseCode !== 0) {
+      throws.error(Symbol.for('Rfc2136DnsProvider.updateFailedError'), name, responseCode)
+    }
+  }
+
+  /**
+   * Creates an RFC 2136 update message with one update RR and, if a TSIG key is configured, signs it.
+   *
+   * @access private
+   * @returns {Buffer}
+   */
+  createUpdateMessage (name, recordClass, ttl, value) {
+    const id = crypto.randomBytes(2).readUInt16BE()
+    const txtData = encodeTxtData(value)
+
+    const header = Buffer.concat([
+      uint16(id),
+      uint16(OPCODE_UPDATE << 11),
+      uint16(1), // ZOCOUNT
+      uint16(0), // PRCOUNT
+      uint16(1), // UPCOUNT
+      uint16(0)  // ADCOUNT (updated when signing)
+    ])
+
+    const zoneSection = Buffer.concat([encodeName(this.#zone), uint16(TYPE_SOA), uint16(CLASS_IN)])
+
+    const updateSection = Buffer.concat([
+      encodeName(name),
+      uint16(TYPE_TXT),
+      uint16(recordClass),
+      uint32(ttl),
+      uint16(txtData.length),
+      txtData
+    ])
+
+    const message = Buffer.concat([header, zoneSection, updateSection])
+
+    return this.#tsig === null ? message : this.sign(message, id)
+  }
+
+  /**
+   * Appends a TSIG resource record to the passed message. See RFC 8945 § 4.
+   *
+   * @access private
+   * @returns {Buffer}
+   */
+  sign (message, id) {
+    const keyName = encodeName(this.#tsig.name)
+    const algorithmName = encodeName(this.#tsig.algorithm)
+    const timeSigned = uint48(Math.floor(Date.now() / 1000))
+    const fudge = uint16(300)
+    const error = uint16(0)
+    const otherLength = uint16(0)
+
+    // The MAC covers the unsigned message followed by the TSIG variables (RFC 8945 § 4.3.3).
+    const mac = crypto.createHmac(TSIG_ALGORITHMS[this.#tsig.algorithm], this.#tsig.secret)
+      .update(message)
+      .update(Buffer.concat([keyName, uint16(CLASS_ANY), uint32(0), algorithmName, timeSigned, fudge, error, otherLength]))
+      .digest()
+
+    const tsigData = Buffer.concat([
+      algorithmName, timeSigned, fudge, uint16(mac.length), mac, uint16(id), error, otherLength
+    ])
+
+    const tsigRecord = Buffer.concat([
+      keyName, uint16(TYPE_TSIG), uint16(CLASS_ANY), uint32(0), uint16(tsigData.length), tsigData
+    ])
+
+    const signedMessage = Buffer.concat([message, tsigRecord])
+    signedMessage.writeUInt16BE(1, 10) // ADCOUNT
+    return signedMessage
+  }
+
+  /**
+   * Sends the passed message to the DNS server over UDP and returns its response.
+   * (Note: we check the response code but do not verify the TSIG on responses.)
+   *
+   * @access private
+   * @category async
+   * @returns {Promise<Buffer>}
+   */
+  async send (message) {
+    const socket = dgram.createSocket(this.#server.includes(':') ? 'udp6' : 'udp4')
+    const id = message.readUInt16BE(0)
+
+    try {
+      return await new Promise((resolve, reject) => {
+        const timeoutId = setTimeout(() => {
+          reject(throws.createError(Symbol.for('Rfc2136DnsProvider.timeoutError'), this.#server, this.#port, this.#timeout))
+        }, this.#timeout)
+
+        socket.on('error', error => {
+          clearTimeout(timeoutId)
+          reject(error)
+        })
+
+        socket.on('message', response => {
+          // Ignore anything that is not a response to our message.
+          if (response.length < 12 || response.readUInt16BE(0) !== id || (response[2] & 0x80) === 0) {
+            return
+          }
+          clearTimeout(timeoutId)
+          resolve(response)
+        })
+
+        socket.send(message, this.#port, this.#server)
+      })
+    } finally {
+      socket.close()
+    }
+  }
+
+  // Custom object description for console output (for debugging).
+  [util.inspect.custom] () {
+    return `# RFC 2136 DNS Provider
+
+    Server: ${this.#server}:${this.#port}
+    Zone  : ${this.#zone}
+    TSIG  : ${this.#tsig === null ? 'none' : `${this.#tsig.name} (${this.#tsig.algorithm})`}
+    Checks: ${this.#nameservers.join(', ')}
+  `}
+}
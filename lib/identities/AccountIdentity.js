@@ -7,6 +7,9 @@
 //
 // ~/.small-tech.org/auto-encrypt/account.pem
 //
+// New account keys are of the configured account key type (RSA 2048 by
+// default).
+//
 // Copyright © 2020 Aral Balkan, Small Technology Foundation.
 // License: AGPLv3 or later.
 //
@@ -18,6 +21,6 @@ const throws = new Throws()
 
 export default class AccountIdentity extends Identity {
   constructor (configuration = throws.ifMissing()) {
-    super(configuration, 'accountIdentityPath')
+    super(configuration, 'accountIdentity', configuration.accountKeyType)
   }
 }
@@ -8,6 +8,8 @@ const throws = new Throws()
  *
  * ~/.small-tech.org/auto-encrypt/certificate-identity.pem
  *
+ * New certificate identities use the configured certificate key type.
+ *
  * @class CertificateIdentity
  * @extends {Identity}
  * @copyright Aral Balkan, Small Technology Foundation
@@ -21,6 +23,6 @@ export default class CertificateIdentity extends Identity {
    * @memberof CertificateIdentity
    */
   constructor (configuration = throws.ifMissing()) {
-    super(configuration, 'certificateIdentityPath')
+    super(configuration, 'certificateIdentity', configuration.certificateKeyType)
   }
 }
@@ -14,12 +14,18 @@ import { fileURLToPath } from 'url'
 
 const __dirname = fileURLToPath(new URL('.', import.meta.url))
 
+// Each staging server instance calls this so make sure we only patch once per process.
+let isPatched = false
+
 /**
  * Monkey patches the TLS module to accept the Let’s Encrypt staging certificate.
  *
  * @alias module:lib/MonkeyPatchTls
  */
 export default function monkeyPatchTLS () {
+  if (isPatched) return
+  isPatched = true
+
   const originalCreateSecureContext = tls.createSecureContext
 
   let pem = fs
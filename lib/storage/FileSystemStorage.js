@@ -0,0 +1,296 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+// FileSystemStorage
+//
+// The default storage backend. Stores values as files under a root directory
+// (by default, ~/.small-tech.org/auto-encrypt) with keys mapped to relative
+// file paths (e.g., production/account.json).
+//
+// Writes are atomic (we write to a temporary file and rename it) and locks
+// are lock files that are created exclusively so that they also work across
+// processes (e.g., cluster workers). A lock is stale, and is broken, if the
+// process holding it is no longer running on this machine or if its holder
+// has not refreshed it within the stale lock age (e.g., because the process
+// died on another machine sharing the settings directory).
+//
+// Files are only readable and writable by the owner (0600) and directories
+// are only accessible by the owner (0700) as they contain private keys.
+//
+// See typedefs/lib/Storage.js for the storage interface.
+//
+// Copyright © 2020 Aral Balkan, Small Technology Foundation.
+// License: AGPLv3 or later.
+//
+////////////////////////////////////////////////////////////////////////////////
+
+import os from 'os'
+import path from 'path'
+import crypto from 'crypto'
+import fs from 'fs'
+import fsPromises from 'fs/promises'
+import log from '../util/log.js'
+import Throws from '../util/Throws.js'
+
+const throws = new Throws({
+  [Symbol.for('FileSystemStorage.lockTimeoutError')]:
+    (name, timeout) => `Timed out after ${timeout}ms waiting for lock ${name}`
+})
+
+const LOCK_FILE_EXTENSION = '.lock'
+const TEMPORARY_FILE_EXTENSION = '.tmp'
+const FILE_MODE = 0o600
+const DIRECTORY_MODE = 0o700
+
+function isProcessRunning (pid) {
+  try {
+    // Signal 0 only checks whether we could signal the process.
+    process.kill(pid, 0)
+    return true
+  } catch (error) {
+    // EPERM means that the process exists but belongs to someone else.
+    return error.code === 'EPERM'
+  }
+}
+
+export default class FileSystemStorage {
+  // Resolved root path → result of the permission check (see checkPermissionsOnceSync()).
+  static #permissionChecks = new Map()
+
+  #rootPath = null
+  #lockTimeout = null
+  #lockRetryInterval = null
+  #staleLockAge = null
+
+  /**
+   * Creates a file system storage backend.
+   *
+   * @param {String} rootPath                        Directory to store files in.
+   * @param {Object} [options]
+   * @param {Number} [options.lockTimeout=600000]   Time (in ms) to wait for a lock before giving up. (Long enough
+   *                                                 for another process to provision a certificate.)
+   * @param {Number} [options.lockRetryInterval=100] Time (in ms) between attempts to acquire a lock.
+   * @param {Number} [options.staleLockAge=120000]   Time (in ms) after which a lock that has not been refreshed by
+   *                                                 its holder is considered stale. Held locks are refreshed at a
+   *                                                 quarter of this interval.
+   */
+  constructor (rootPath = throws.ifMissing(), { lockTimeout = 600000, lockRetryInterval = 100, staleLockAge = 120000 } = {}) {
+    this.#rootPath = rootPath
+    this.#lockTimeout = lockTimeout
+    this.#lockRetryInterval = lockRetryInterval
+    this.#staleLockAge = staleLockAge
+  }
+
+  get rootPath () { return this.#rootPath }
+  set rootPath (value) { throws.error(Symbol.for('ReadOnlyAccessorError'), 'rootPath') }
+
+  /**
+   * Returns the file path that the passed key is stored at.
+   *
+   * @param {String} key
+   * @returns {String}
+   */
+  pathFor (key = throws.ifMissing()) {
+    return path.join(this.#rootPath, ...key.split('/'))
+  }
+
+  async get (key = throws.ifMissing()) {
+    try {
+      return await fsPromises.readFile(this.pathFor(key), 'utf-8')
+    } catch (error) {
+      if (error.code === 'ENOENT') return null
+      throw error
+    }
+  }
+
+  async put (key = throws.ifMissing(), value = throws.ifMissing()) {
+    const filePath = this.pathFor(key)
+    const temporaryFilePath = `${filePath}.${crypto.randomBytes(6).toString('hex')}${TEMPORARY_FILE_EXTENSION}`
+
+    await fsPromises.mkdir(path.dirname(filePath), { recursive: true, mode: DIRECTORY_MODE })
+    await fsPromises.writeFile(temporaryFilePath, value, { encoding: 'utf-8', mode: FILE_MODE })
+    await fsPromises.rename(temporaryFilePath, filePath)
+  }
+
+  async delete (key = throws.ifMissing()) {
+    await fsPromises.rm(this.pathFor(key), { force: true })
+  }
+
+  async list (prefix = '') {
+    const keys = []
+
+    const addKeysIn = async (directoryPath, keyPrefix) => {
+      let entries
+      try {
+        entries = await fsPromises.readdir(directoryPath, { withFileTypes: true })
+      } catch (error) {
+        if (error.code === 'ENOENT') return
+        throw error
+      }
+      for (const entry of entries) {
+        const key = `${keyPrefix}${entry.name}`
+        if (entry.isDirectory()) {
+          await addKeysIn(path.join(directoryPath, entry.name), `${key}/`)
+        } else if (!entry.name.endsWith(LOCK_FILE_EXTENSION) && !entry.name.endsWith(TEMPORARY_FILE_EXTENSION)) {
+          keys.push(key)
+        }
+      }
+    }
+
+    await addKeysIn(this.#rootPath, '')
+    return keys.filter(key => key.startsWith(prefix)).sort()
+  }
+
+  async lock (name = throws.ifMissing()) {
+    const lockFilePath = `${this.pathFor(name)}${LOCK_FILE_EXTENSION}`
+    await fsPromises.mkdir(path.dirname(lockFilePath), { recursive: true, mode: DIRECTORY_MODE })
+
+    const holder = JSON.stringify({ pid: process.pid, hostname: os.hostname() })
+    const giveUpTime = Date.now() + this.#lockTimeout
+    while (true) {
+      try {
+        // The wx flag fails if the file exists so only one process can create the lock file.
+        await fsPromises.writeFile(lockFilePath, holder, { flag: 'wx', mode: FILE_MODE })
+        break
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error
+        if (await this.breakLockIfStale(lockFilePath)) continue
+        if (Date.now() >= giveUpTime) {
+          throws.error(Symbol.for('FileSystemStorage.lockTimeoutError'), name, this.#lockTimeout)
+        }
+        await new Promise(resolve => setTimeout(resolve, this.#lockRetryInterval))
+      }
+    }
+
+    // Keep the lock fresh for as long as we hold it so that others don’t consider it stale.
+    const refreshIntervalId = setInterval(() => {
+      const now = new Date()
+      fsPromises.utimes(lockFilePath, now, now).catch(() => {})
+    }, this.#staleLockAge / 4)
+    refreshIntervalId.unref()
+
+    return async () => {
+      clearInterval(refreshIntervalId)
+      await fsPromises.rm(lockFilePath, { force: true })
+    }
+  }
+
+  //
+  // Private.
+  //
+
+  /**
+   * Removes the lock file at the passed path if its holder is no longer running on this machine or if it
+   * has not been refreshed within the stale lock age. (The caller then tries to take the lock, which only
+   * succeeds for one contender as lock files are created exclusively.)
+   *
+   * @access private
+   * @param {String} lockFilePath
+   * @returns {Promise<Boolean>} Fulfils with true if the lock was stale and has been broken.
+   */
+  async breakLockIfStale (lockFilePath) {
+    let holder, stats
+    try {
+      holder = await fsPromises.readFile(lockFilePath, 'utf-8')
+      stats = await fsPromises.stat(lockFilePath)
+    } catch (error) {
+      // The lock was released in the meantime.
+      if (error.code === 'ENOENT') return true
+      throw error
+    }
+
+    let holderDetails = null
+    try { holderDetails = JSON.parse(holder) } catch (error) { /* Lock is being written or is corrupt. */ }
+
+    const holderHasDied = holderDetails !== null && holderDetails.hostname === os.hostname() && !isProcessRunning(holderDetails.pid)
+    const holderHasStoppedRefreshing = Date.now() - stats.mtimeMs > this.#staleLockAge
+    if (!holderHasDied && !holderHasStoppedRefreshing) {
+      return false
+    }
+
+    // Atomically move the lock file to a tombstone of our own. If another contender broke the stale lock first,
+    // the rename fails (there is nothing to move) or moves the fresh lock that a contender has taken since.
+    const tombstonePath = `${lockFilePath}.${crypto.randomBytes(6).toString('hex')}${TEMPORARY_FILE_EXTENSION}`
+    try {
+      await fsPromises.rename(lockFilePath, tombstonePath)
+    } catch (error) {
+      if (error.code === 'ENOENT') return true
+      throw error
+    }
+
+    const tombstoneStats = await fsPromises.stat(tombstonePath)
+    const isStaleLock = tombstoneStats.ino === stats.ino
+      && tombstoneStats.mtimeMs === stats.mtimeMs
+      && (await fsPromises.readFile(tombstonePath, 'utf-8')) === holder
+
+    if (!isStaleLock) {
+      // We moved a fresh lock; put it back. (Linking, unlike renaming, never replaces a lock that has been taken
+      // in the meantime.)
+      try {
+        await fsPromises.link(tombstonePath, lockFilePath)
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error
+      }
+      await fsPromises.rm(tombstonePath, { force: true })
+      return false
+    }
+
+    await fsPromises.rm(tombstonePath, { force: true })
+    log(`   🔓    ❨auto-encrypt❩ Broke stale lock ${lockFilePath} (held by ${holder}).`)
+    return true
+  }
+
+  /**
+   * Checks the ownership and permissions of the root path and everything under it. (Synchronous as it is
+   * called during configuration.)
+   *
+   * Always returns empty lists on platforms without POSIX user IDs (i.e., Windows).
+   *
+   * @returns {{ownedByAnotherUser: String[], accessibleByOthers: String[]}} Paths owned by a user other than the
+   *   current one and paths that are readable, writable, or executable by group or others.
+   */
+  checkPermissionsSync () {
+    const result = { ownedByAnotherUser: [], accessibleByOthers: [] }
+    if (typeof process.getuid !== 'function') {
+      return result
+    }
+
+    const userId = process.getuid()
+    const check = entryPath => {
+      let stats
+      try {
+        stats = fs.lstatSync(entryPath)
+      } catch (error) {
+        if (error.code === 'ENOENT') return
+        throw error
+      }
+      if (stats.uid !== userId) {
+        result.ownedByAnotherUser.push(entryPath)
+      }
+      if ((stats.mode & 0o077) !== 0 && !stats.isSymbolicLink()) {
+        result.accessibleByOthers.push(entryPath)
+      }
+      if (stats.isDirectory()) {
+        fs.readdirSync(entryPath).forEach(entryName => check(path.join(entryPath, entryName)))
+      }
+    }
+
+    check(this.#rootPath)
+    return result
+  }
+
+  /**
+   * Checks the ownership and permissions of the root path and everything under it (see checkPermissionsSync())
+   * the first time it is called for the root path in this process and returns that result from then on. (Use
+   * this when creating configurations, e.g., for on-demand server names during the SNI callback, so that the
+   * event loop is not blocked by a walk of the whole settings directory every time.)
+   *
+   * @returns {{ownedByAnotherUser: String[], accessibleByOthers: String[]}}
+   */
+  checkPermissionsOnceSync () {
+    const resolvedRootPath = path.resolve(this.#rootPath)
+    if (!FileSystemStorage.#permissionChecks.has(resolvedRootPath)) {
+      FileSystemStorage.#permissionChecks.set(resolvedRootPath, this.checkPermissionsSync())
+    }
+    return FileSystemStorage.#permissionChecks.get(resolvedRootPath)
+  }
+}
@@ -67,6 +67,8 @@ export class MockServer {
 export async function httpServerWithResponse (mockResponse) {
   return new Promise((resolve, reject) => {
     const server = http.createServer((request, response) => {
+      // (Don’t keep connections alive so that they don’t outlive the server if another one is started on the same port.)
+      response.setHeader('Connection', 'close')
       response.statusCode = mockResponse.statusCode
       response.end(mockResponse.body)
     })
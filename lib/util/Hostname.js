@@ -0,0 +1,43 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+// Hostname
+//
+// Helpers for working with the domains we provision certificates for:
+// recognising and validating wildcard domains (e.g., *.example.com) and
+// matching server names (e.g., from SNI) against them.
+//
+// Copyright © 2020 Aral Balkan, Small Technology Foundation.
+// License: AGPLv3 or later.
+//
+////////////////////////////////////////////////////////////////////////////////
+
+export default class Hostname {
+
+  // Is the passed domain a wildcard domain (e.g., *.example.com)?
+  static isWildcard (domain) {
+    return domain.startsWith('*.')
+  }
+
+  // A wildcard is only valid as the complete leftmost label and may not cover a top-level domain.
+  // (See RFC 8555 § 7.1.3 and RFC 6125 § 6.4.3.)
+  static isValidWildcard (domain) {
+    const labels = domain.split('.')
+    return labels[0] === '*' && labels.length >= 3 && !labels.slice(1).some(label => label === '' || label.includes('*'))
+  }
+
+  // Does the passed server name (e.g., from SNI) match the passed domain? Wildcard domains match
+  // any single-label subdomain (so *.example.com matches www.example.com but neither example.com
+  // nor a.b.example.com).
+  static matches (serverName, domain) {
+    serverName = serverName.toLowerCase()
+    domain = domain.toLowerCase()
+
+    if (!this.isWildcard(domain)) {
+      return serverName === domain
+    }
+
+    const suffix = domain.slice(1) // e.g., .example.com
+    const subdomainLabel = serverName.slice(0, -suffix.length)
+    return serverName.endsWith(suffix) && subdomainLabel !== '' && !subdomainLabel.includes('.')
+  }
+}
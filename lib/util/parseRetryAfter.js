@@ -0,0 +1,15 @@
+// Returns the number of milliseconds to wait for, given the value of a Retry-After header (either a number of
+// seconds or an HTTP date), or null if there is no header or it is invalid. (See RFC 7231 § 7.1.3.)
+export default function parseRetryAfter (retryAfterHeader) {
+  if (retryAfterHeader === undefined || retryAfterHeader === null) {
+    return null
+  }
+
+  const retryAfterHeaderValue = `${retryAfterHeader}`.trim()
+  if (/^\d+$/.test(retryAfterHeaderValue)) {
+    return parseInt(retryAfterHeaderValue) * 1000
+  }
+
+  const retryAfterDate = Date.parse(retryAfterHeaderValue)
+  return isNaN(retryAfterDate) ? null : Math.max(retryAfterDate - Date.now(), 0)
+}
@@ -57,26 +57,83 @@ test('Auto Encrypt', async t => {
 
   const hostname = os.hostname()
   const expectedProductionServerDetails = dehydrate(`
-    # AutoEncrypt (static class)
+    # AutoEncrypt (instance)
 
     - Using Let’s Encrypt production server.
     - Managing TLS for ${hostname}, www.${hostname} (default domains).
+    - Using 1 certificate.
     - Settings stored at default settings path.
     - Listener is set.
   `)
 
-  const productionServerDetails = dehydrate(util.inspect(AutoEncrypt))
+  t.strictEquals(server0.autoEncrypt instanceof AutoEncrypt, true, 'server has its own Auto Encrypt instance')
+
+  const productionServerDetails = dehydrate(util.inspect(server0.autoEncrypt))
 
   t.strictEquals(productionServerDetails, expectedProductionServerDetails, 'creating server with listener as only argument works as expected')
   // t.strictEquals('the actual thing', 'the expected thing', 'shocking intentional error example')
 
   AutoEncrypt.shutdown()
 
-  // Attempt to instantiate static AutoEncrypt class should throw.
+  // Attempt to instantiate AutoEncrypt directly (instead of via createServer()) should throw.
   t.ok(throwsErrorOfType(
     () => { new AutoEncrypt() },
-    Symbol.for('StaticClassCannotBeInstantiatedError')
-  ), 'attempt to instantiate AutoEncrypt static class throws as expected')
+    Symbol.for('AutoEncrypt.mustBeCreatedViaCreateServerError')
+  ), 'attempt to instantiate AutoEncrypt directly throws as expected')
+
+  // Each server gets an independent Auto Encrypt instance.
+  const independentServerA = AutoEncrypt.createServer({ domains: ['a.example.com'] })
+  const independentServerB = AutoEncrypt.createServer({ domains: ['b.example.com'] })
+  t.notEqual(independentServerA.autoEncrypt, independentServerB.autoEncrypt, 'each server has its own Auto Encrypt instance')
+  t.notEqual(independentServerA.autoEncrypt.certificates[0], independentServerB.autoEncrypt.certificates[0], 'each server has its own certificate')
+  t.notEqual(independentServerA.autoEncrypt.ocspCache, independentServerB.autoEncrypt.ocspCache, 'each server has its own OCSP cache')
+  t.deepEquals(independentServerB.autoEncrypt.domains, ['b.example.com'], 'server configurations are independent')
+  independentServerA.autoEncrypt.shutdown()
+  independentServerB.autoEncrypt.shutdown()
+
+  // Domain groups each get their own certificate (and any domain outside a group gets its own certificate too).
+  const multipleCertificateServer = AutoEncrypt.createServer({
+    domains: [['c.example.com', 'www.c.example.com'], 'd.example.com']
+  })
+  const multipleCertificateAutoEncrypt = multipleCertificateServer.autoEncrypt
+  t.strictEquals(multipleCertificateAutoEncrypt.certificates.length, 2, 'each domain group gets its own certificate')
+  t.deepEquals(multipleCertificateAutoEncrypt.domains, ['c.example.com', 'www.c.example.com', 'd.example.com'], 'all domains from all groups are managed')
+  t.notEqual(
+    multipleCertificateAutoEncrypt.certificates[0].configuration.certificateDirectoryPath,
+    multipleCertificateAutoEncrypt.certificates[1].configuration.certificateDirectoryPath,
+    'each certificate has its own directory'
+  )
+
+  // Domains can be added and removed at runtime.
+  t.strictEquals(await multipleCertificateAutoEncrypt.addDomain('f.example.com'), false, 'certificate for added domain is not provisioned while server is not listening')
+  t.strictEquals(multipleCertificateAutoEncrypt.certificates.length, 3, 'added domain gets its own certificate')
+  t.ok(multipleCertificateAutoEncrypt.domains.includes('f.example.com'), 'added domain is managed')
+
+  const retiredCertificate = multipleCertificateAutoEncrypt.certificates[1]
+  t.ok(multipleCertificateAutoEncrypt.removeDomain('d.example.com'), 'removing managed domain succeeds')
+  t.notOk(multipleCertificateAutoEncrypt.certificates.includes(retiredCertificate), 'certificate no longer needed is retired')
+  t.notOk(multipleCertificateAutoEncrypt.domains.includes('d.example.com'), 'removed domain is no longer managed')
+  t.notOk(multipleCertificateAutoEncrypt.removeDomain('d.example.com'), 'removing unmanaged domain returns false')
+
+  // Removing a domain from a group retires the group’s certificate and gives the remaining domains a new one.
+  const groupCertificate = multipleCertificateAutoEncrypt.certificates[0]
+  t.ok(multipleCertificateAutoEncrypt.removeDomain('www.c.example.com'), 'removing domain from group succeeds')
+  t.notOk(multipleCertificateAutoEncrypt.certificates.includes(groupCertificate), 'certificate of group is retired')
+  t.deepEquals(multipleCertificateAutoEncrypt.domainGroups, [['c.example.com'], ['f.example.com']], 'removed domain is no longer in its group')
+  const replacementCertificate = multipleCertificateAutoEncrypt.certificates.find(certificate => certificate.configuration.domains.includes('c.example.com'))
+  t.deepEquals(replacementCertificate.configuration.domains, ['c.example.com'], 'remaining domains of group get a new certificate without the removed domain')
+
+  multipleCertificateAutoEncrypt.shutdown()
+
+  t.ok(throwsErrorOfType(
+    () => AutoEncrypt.createServer({ domains: ['g.example.com'], onDemand: {} }),
+    Symbol.for('OnDemandPolicy.isAllowedMustBeAFunctionError')
+  ), 'on-demand TLS without isAllowed() function throws')
+
+  t.ok(throwsErrorOfType(
+    () => AutoEncrypt.createServer({ domains: [['e.example.com'], ['e.example.com', 'www.e.example.com']] }),
+    Symbol.for('CertificateRouter.duplicateDomainError')
+  ), 'domain in more than one group throws')
 
   const testSettingsPath = createTestSettingsPath()
 
@@ -93,13 +150,14 @@ test('Auto Encrypt', async t => {
 
   // Test inspection string.
   const expectedInspectionString = dehydrate(`
-  # AutoEncrypt (static class)
+  # AutoEncrypt (instance)
     - Using Let’s Encrypt ${isPebble ? 'pebble' : 'staging'} server.
     - Managing TLS for ${isPebble ? 'localhost, pebble (default domains)' : `${hostname}`}.
+    - Using 1 certificate.
     - Settings stored at ${path.join(os.homedir(), '.small-tech.org', 'auto-encrypt', 'test')}.
     - Listener is set.
   `)
-  t.strictEquals(dehydrate(util.inspect(AutoEncrypt)), expectedInspectionString, 'inspection string is as expected')
+  t.strictEquals(dehydrate(util.inspect(server1.autoEncrypt)), expectedInspectionString, 'inspection string is as expected')
 
   await new Promise ((resolve, reject) => {
     server1.listen(443, () => {
@@ -266,6 +324,7 @@ test('Auto Encrypt', async t => {
 
     const certificate = new Certificate(configuration)
     certificate.stopCheckingForRenewal()
+    await certificate.load()
     const certificatePem = certificate.pem
     const certificateDetails = certificate.parseDetails(certificatePem)
 
@@ -330,9 +389,9 @@ test('Auto Encrypt', async t => {
           })
         }
       }
-      AutoEncrypt.addOcspStapling(mockHttpsServer)
+      server2.autoEncrypt.addOcspStapling(mockHttpsServer)
     })
-    AutoEncrypt.clearOcspCacheTimers()
+    server2.autoEncrypt.clearOcspCacheTimers()
   }
 
   t.end()
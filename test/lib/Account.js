@@ -8,6 +8,7 @@ import Configuration from '../../lib/Configuration.js'
 import Directory from '../../lib/Directory.js'
 import AccountIdentity from '../../lib/identities/AccountIdentity.js'
 import AcmeRequest from '../../lib/AcmeRequest.js'
+import NewAccountRequest from '../../lib/acme-requests/NewAccountRequest.js'
 import LetsEncryptServer from '../../lib/LetsEncryptServer.js'
 import Pebble from '@small-tech/node-pebble'
 
@@ -34,18 +35,18 @@ async function setup() {
     server,
     settingsPath: customSettingsPath
   })
-  const accountIdentity = new AccountIdentity(configuration)
+  const accountIdentity = await AccountIdentity.getInstanceAsync(configuration)
   const directory = await Directory.getInstanceAsync(configuration)
 
   AcmeRequest.initialise(directory, accountIdentity)
 
-  return configuration
+  return { configuration, accountIdentity }
 }
 
 test('Account', async t => {
-  t.plan(6)
+  t.plan(17)
 
-  const configuration = await setup()
+  const { configuration, accountIdentity } = await setup()
 
   //
   // Test first access of account (account creation).
@@ -83,5 +84,61 @@ test('Account', async t => {
 
   t.strictEquals(accountFromDisk.kid, account.kid, 'second access onwards, account is returned from disk')
 
+  //
+  // Test account key rollover (RFC 8555 § 7.3.5).
+  //
+
+  AcmeRequest.account = account
+  const oldThumbprint = accountIdentity.thumbprint
+  await account.rollOverKey()
+
+  t.notEquals(accountIdentity.thumbprint, oldThumbprint, 'account key is replaced in memory after rollover')
+
+  const accountIdentityFromDisk = await AccountIdentity.getInstanceAsync(configuration)
+  t.strictEquals(accountIdentityFromDisk.thumbprint, accountIdentity.thumbprint, 'new account key is saved after rollover')
+
+  // Looking up the account using the new key should find the same account.
+  const { kid } = await (new NewAccountRequest()).execute()
+  t.strictEquals(kid, account.kid, 'account is found using the new key')
+
+  //
+  // Test contacts.
+  //
+
+  t.deepEquals(
+    Account.contactUrlsFor(['aral@small-tech.org', 'mailto:hello@small-tech.org']),
+    ['mailto:aral@small-tech.org', 'mailto:hello@small-tech.org'],
+    'email addresses are converted to mailto: URLs'
+  )
+
+  t.ok(throwsErrorOfType(
+    () => Account.contactUrlsFor(['not an email address']),
+    Symbol.for('Account.invalidContactError')
+  ), 'invalid contact throws')
+
+  t.deepEquals(account.contact, [], 'account has no contacts by default')
+
+  await account.update({ contact: ['aral@small-tech.org'] })
+  t.deepEquals(account.contact, ['mailto:aral@small-tech.org'], 'account contacts are updated')
+  t.deepEquals(JSON.parse(fs.readFileSync(configuration.accountPath, 'utf-8')).contact, ['mailto:aral@small-tech.org'], 'updated contacts are saved')
+
+  // Configured contacts are synced to the existing account.
+  const contactConfiguration = new Configuration({
+    domains: configuration.domains,
+    server: configuration.server,
+    settingsPath: path.dirname(configuration.settingsPath),
+    contact: ['hello@small-tech.org']
+  })
+  const syncedAccount = await Account.getInstanceAsync(contactConfiguration)
+  t.deepEquals(syncedAccount.contact, ['mailto:hello@small-tech.org'], 'account is updated with configured contacts')
+
+  //
+  // Test deactivation.
+  //
+
+  await syncedAccount.deactivate()
+  t.notOk(fs.existsSync(configuration.accountPath), 'account details are removed after deactivation')
+  t.notOk(fs.existsSync(configuration.accountIdentityPath), 'account identity is removed after deactivation')
+
   t.end()
 })
@@ -0,0 +1,120 @@
+import test from 'tape'
+import moment from 'moment'
+import AcmeProblemError, {
+  CaaError,
+  DnsError,
+  RateLimitedError,
+  RejectedIdentifierError,
+  UnauthorizedError
+} from '../../lib/AcmeProblemError.js'
+import { symbolOfErrorThrownBy } from '../../lib/test-helpers/index.js'
+
+// A compound problem with per-identifier subproblems as in the example in RFC 8555 § 6.7.1 (Subproblems).
+const compoundProblem = {
+  type: 'urn:ietf:params:acme:error:malformed',
+  detail: 'Some of the identifiers requested were rejected',
+  status: 400,
+  subproblems: [
+    {
+      type: 'urn:ietf:params:acme:error:malformed',
+      detail: 'Invalid underscore in DNS name "_example.org"',
+      identifier: { type: 'dns', value: '_example.org' }
+    },
+    {
+      type: 'urn:ietf:params:acme:error:rejectedIdentifier',
+      detail: 'This CA will not issue for "example.net"',
+      identifier: { type: 'dns', value: 'example.net' }
+    },
+    {
+      type: 'urn:ietf:params:acme:error:caa',
+      detail: 'CAA record for example.com prevents issuance',
+      identifier: { type: 'dns', value: 'example.com' }
+    }
+  ]
+}
+
+test('AcmeProblemError', t => {
+  t.strictEquals(symbolOfErrorThrownBy(() => AcmeProblemError.forProblem()), Symbol.for('UndefinedOrNullError'), 'problem document is required')
+
+  //
+  // Error classes.
+  //
+
+  const dnsError = AcmeProblemError.forProblem({
+    type: 'urn:ietf:params:acme:error:dns',
+    detail: 'DNS problem: NXDOMAIN looking up A for example.com',
+    status: 400
+  })
+  t.ok(dnsError instanceof DnsError, 'dns problem results in DnsError')
+  t.ok(dnsError instanceof AcmeProblemError, 'DnsError is an AcmeProblemError')
+  t.ok(dnsError instanceof Error, 'AcmeProblemError is an Error')
+  t.strictEquals(dnsError.name, 'DnsError', 'error name is the class name')
+  t.strictEquals(dnsError.symbol, Symbol.for('AcmeRequest.requestError'), 'problem errors have the ACME request error symbol')
+  t.strictEquals(dnsError.type, 'urn:ietf:params:acme:error:dns', 'error has the problem type')
+  t.strictEquals(dnsError.acmeType, 'dns', 'error has the ACME problem type without its prefix')
+  t.strictEquals(dnsError.status, 400, 'error has the problem status')
+  t.strictEquals(dnsError.detail, 'DNS problem: NXDOMAIN looking up A for example.com', 'error has the problem detail')
+  t.strictEquals(dnsError.identifier, null, 'error without an identifier has null identifier')
+  t.deepEquals(dnsError.subproblems, [], 'error without subproblems has no subproblems')
+  t.strictEquals(dnsError.message, '(400 urn:ietf:params:acme:error:dns DNS problem: NXDOMAIN looking up A for example.com)', 'error message is as expected')
+
+  const unauthorizedError = AcmeProblemError.forProblem({
+    type: 'urn:ietf:params:acme:error:unauthorized',
+    detail: 'Invalid response from http://example.com/.well-known/acme-challenge/token',
+    status: 403,
+    identifier: { type: 'dns', value: 'example.com' }
+  })
+  t.ok(unauthorizedError instanceof UnauthorizedError, 'unauthorized problem results in UnauthorizedError')
+  t.deepEquals(unauthorizedError.identifier, { type: 'dns', value: 'example.com' }, 'error has the problem identifier')
+
+  const unknownError = AcmeProblemError.forProblem({ type: 'about:blank', detail: 'Not Found', status: 404 })
+  t.strictEquals(unknownError.constructor, AcmeProblemError, 'problem that is not an ACME problem type results in AcmeProblemError')
+  t.strictEquals(unknownError.acmeType, null, 'problem that is not an ACME problem type has no ACME type')
+
+  const unexpectedError = AcmeProblemError.forProblem({ status: -1, type: 'Unexpected error', detail: '' })
+  t.strictEquals(unexpectedError.constructor, AcmeProblemError, 'unexpected error results in AcmeProblemError')
+
+  const errorClasses = AcmeProblemError.errorClasses
+  t.strictEquals(Object.keys(errorClasses).length, 25, 'there is an error class for every ACME problem type (and the base class)')
+  t.strictEquals(errorClasses.CaaError, CaaError, 'error classes are keyed by name')
+
+  //
+  // Subproblems (RFC 8555 § 6.7.1).
+  //
+
+  const compoundError = AcmeProblemError.forProblem(compoundProblem)
+  t.deepEquals(compoundError.problem, compoundProblem, 'error has the full problem document')
+  t.strictEquals(compoundError.subproblems.length, 3, 'error has the subproblems')
+  t.ok(compoundError.subproblems[1] instanceof RejectedIdentifierError, 'subproblems are typed errors')
+  t.ok(compoundError.subproblems[2] instanceof CaaError, 'subproblems are typed errors')
+  t.deepEquals(
+    compoundError.subproblems.map(subproblem => subproblem.identifier.value),
+    ['_example.org', 'example.net', 'example.com'],
+    'subproblems have their identifiers'
+  )
+  t.strictEquals(compoundError.subproblems[2].status, null, 'subproblem without a status has null status')
+  t.ok(compoundError.message.includes('[example.com: caa CAA record for example.com prevents issuance]'), 'error message includes the subproblems')
+
+  //
+  // Rate limiting.
+  //
+
+  const rateLimitedProblem = {
+    type: 'urn:ietf:params:acme:error:rateLimited',
+    detail: 'Too many certificates already issued',
+    status: 429
+  }
+
+  const rateLimitedError = AcmeProblemError.forProblem(rateLimitedProblem)
+  t.ok(rateLimitedError instanceof RateLimitedError, 'rateLimited problem results in RateLimitedError')
+  t.strictEquals(rateLimitedError.retryDate, null, 'rate limited error without retry date has null retry date')
+
+  const retryDate = moment().add(1, 'hour')
+  const rateLimitedErrorWithRetryDate = new RateLimitedError(rateLimitedProblem, retryDate)
+  t.ok(rateLimitedErrorWithRetryDate instanceof AcmeProblemError, 'RateLimitedError is an AcmeProblemError')
+  t.strictEquals(rateLimitedErrorWithRetryDate.symbol, Symbol.for('AcmeRequest.rateLimitedError'), 'rate limited error has its own symbol')
+  t.strictEquals(rateLimitedErrorWithRetryDate.retryDate, retryDate, 'rate limited error has the retry date')
+  t.ok(rateLimitedErrorWithRetryDate.message.includes(retryDate.toISOString()), 'rate limited error message includes the retry date')
+
+  t.end()
+})
@@ -1,7 +1,9 @@
 import os from 'os'
 import fs from 'fs'
 import path from 'path'
+import http from 'http'
 import test from 'tape'
+import moment from 'moment'
 import jose from 'jose'
 import AcmeRequest from '../../lib/AcmeRequest.js'
 import Configuration from '../../lib/Configuration.js'
@@ -9,6 +11,7 @@ import Directory from '../../lib/Directory.js'
 import Account from '../../lib/Account.js'
 import AccountIdentity from '../../lib/identities/AccountIdentity.js'
 import LetsEncryptServer from '../../lib/LetsEncryptServer.js'
+import { RateLimitedError, RejectedIdentifierError, CaaError } from '../../lib/AcmeProblemError.js'
 import { httpServerWithResponse, throwsErrorOfType, throwsErrorOfTypeAsync } from '../../lib/test-helpers/index.js'
 import Pebble from '@small-tech/node-pebble'
 
@@ -34,7 +37,7 @@ async function setup() {
     server: new LetsEncryptServer(letsEncryptServerType),
     settingsPath: customSettingsPath
   })
-  const accountIdentity = new AccountIdentity(configuration)
+  const accountIdentity = await AccountIdentity.getInstanceAsync(configuration)
   const directory = await Directory.getInstanceAsync(configuration)
 
   AcmeRequest.uninitialise()
@@ -42,8 +45,22 @@ async function setup() {
   return { configuration, accountIdentity, directory }
 }
 
+// Starts a server that responds with the passed responses (in order) and counts the requests it receives.
+// (Connections are not kept alive so that they don’t outlive the server; the tests start several on the same port.)
+async function serverWithResponses (responses) {
+  let numberOfRequests = 0
+  const server = http.createServer((request, response) => {
+    numberOfRequests++
+    const { statusCode, headers, body } = responses.shift()
+    response.writeHead(statusCode, Object.assign({ 'Replay-Nonce': 'dummyNonce', 'Connection': 'close' }, headers))
+    response.end(body)
+  })
+  await new Promise(resolve => server.listen(1234, resolve))
+  return { server, numberOfRequests: () => numberOfRequests }
+}
+
 test('AcmeRequest', async t => {
-  t.plan(13)
+  t.plan(29)
 
   const { configuration, accountIdentity, directory } = await setup()
 
@@ -95,6 +112,7 @@ test('AcmeRequest', async t => {
   t.strictEquals(JSON.stringify(httpsHeaders), JSON.stringify(expectedHttpsHeaders), 'https headers should be as expected')
 
   t.strictEquals(protectedHeader.kid, account.kid, 'account kid should be in protected header by default')
+  t.strictEquals(protectedHeader.alg, accountIdentity.jwsAlgorithm, 'algorithm in protected header is derived from the account key')
 
   //
   // Test JSON Web Signature.
@@ -156,7 +174,132 @@ test('AcmeRequest', async t => {
     t.strictEquals(error.symbol, Symbol.for('AcmeRequest.requestError'), 'unexpected server response code should throw')
   }
 
-  server.close()
+  await new Promise(resolve => server.close(resolve))
+
+  //
+  // Test unsupported signature algorithm (RFC 8555 § 6.2).
+  //
+  server = await httpServerWithResponse({statusCode: 400, body: JSON.stringify({
+    type: 'urn:ietf:params:acme:error:badSignatureAlgorithm',
+    detail: 'JWS signature algorithm not supported',
+    status: 400,
+    algorithms: ['ES256']
+  })})
+
+  try {
+    await (new AcmeRequest())._execute(preparedRequest, /* parseResponseBodyAsJSON */ true)
+    t.fail()
+  } catch (error) {
+    t.strictEquals(error.symbol, Symbol.for('AcmeRequest.unsupportedSignatureAlgorithmError'), 'unsupported signature algorithm error from server should throw')
+  }
+
+  await new Promise(resolve => server.close(resolve))
+
+  //
+  // Test typed problem errors with subproblems (RFC 8555 § 6.7).
+  //
+  server = await httpServerWithResponse({statusCode: 400, body: JSON.stringify({
+    type: 'urn:ietf:params:acme:error:rejectedIdentifier',
+    detail: 'Cannot issue for "example.net" or "example.com"',
+    status: 400,
+    subproblems: [
+      {
+        type: 'urn:ietf:params:acme:error:rejectedIdentifier',
+        detail: 'Domain name is on the blocklist',
+        identifier: { type: 'dns', value: 'example.net' }
+      },
+      {
+        type: 'urn:ietf:params:acme:error:caa',
+        detail: 'CAA record prevents issuance',
+        identifier: { type: 'dns', value: 'example.com' }
+      }
+    ]
+  })})
+
+  try {
+    await (new AcmeRequest())._execute(preparedRequest, /* parseResponseBodyAsJSON */ true)
+    t.fail()
+  } catch (error) {
+    t.ok(error instanceof RejectedIdentifierError, 'problem document results in error of the class for its type')
+    t.strictEquals(error.symbol, Symbol.for('AcmeRequest.requestError'), 'problem error has the ACME request error symbol')
+    t.ok(
+      error.subproblems[1] instanceof CaaError && error.subproblems[1].identifier.value === 'example.com',
+      'problem error has typed subproblems with their identifiers'
+    )
+  }
+
+  await new Promise(resolve => server.close(resolve))
+
+  //
+  // Test rate limiting and temporary unavailability (RFC 8555 § 6.6).
+  //
+
+  const rateLimitedProblem = JSON.stringify({
+    type: 'urn:ietf:params:acme:error:rateLimited',
+    detail: 'Too many requests',
+    status: 429
+  })
+  const { server: rateLimitingServer, numberOfRequests } = await serverWithResponses([
+    { statusCode: 429, headers: { 'Retry-After': '1' }, body: rateLimitedProblem },
+    { statusCode: 200, body: JSON.stringify({ ok: true }) },
+    { statusCode: 429, headers: { 'Retry-After': '3600' }, body: rateLimitedProblem },
+    { statusCode: 429, body: rateLimitedProblem },
+    { statusCode: 503, headers: { 'Retry-After': '1' }, body: '' },
+    { statusCode: 503, headers: { 'Retry-After': '1' }, body: '' },
+    { statusCode: 503, headers: { 'Retry-After': '1' }, body: '' }
+  ])
+
+  const retriedResponse = await (new AcmeRequest())._execute(preparedRequest, /* parseResponseBodyAsJSON */ true)
+  t.deepEquals(retriedResponse.body, { ok: true }, 'rate limited request is retried after the Retry-After period')
+  t.strictEquals(numberOfRequests(), 2, 'rate limited request is retried once')
+
+  let rateLimitedError = null
+  try {
+    await (new AcmeRequest())._execute(preparedRequest, /* parseResponseBodyAsJSON */ true)
+  } catch (error) {
+    rateLimitedError = error
+  }
+  t.ok(rateLimitedError instanceof RateLimitedError, 'rate limited request with long Retry-After period throws RateLimitedError')
+  t.strictEquals(rateLimitedError.symbol, Symbol.for('AcmeRequest.rateLimitedError'), 'rate limited error has the expected symbol')
+  t.ok(Math.abs(rateLimitedError.retryDate.diff(moment().add(1, 'hour'))) < 5000, 'rate limited error has the time the rate limit resets')
+  t.strictEquals(rateLimitedError.problem.type, 'urn:ietf:params:acme:error:rateLimited', 'rate limited error has the problem document')
+  t.strictEquals(numberOfRequests(), 3, 'rate limited request with long Retry-After period is not retried')
+
+  try {
+    await (new AcmeRequest())._execute(preparedRequest, /* parseResponseBodyAsJSON */ true)
+  } catch (error) {
+    rateLimitedError = error
+  }
+  t.strictEquals(rateLimitedError.retryDate, null, 'rate limited error without Retry-After header has no reset time')
+
+  try {
+    await (new AcmeRequest())._execute(preparedRequest, /* parseResponseBodyAsJSON */ true)
+  } catch (error) {
+    rateLimitedError = error
+  }
+  t.ok(rateLimitedError instanceof RateLimitedError, 'unavailable server with Retry-After throws RateLimitedError after the maximum number of attempts')
+  t.strictEquals(numberOfRequests(), 4 + AcmeRequest.retryPolicy.maximumAttempts, 'request to unavailable server is tried the maximum number of times')
+
+  await new Promise(resolve => rateLimitingServer.close(resolve))
+
+  //
+  // Test errors without a response (e.g., network errors).
+  //
+  const requestToClosedPort = await (new AcmeRequest()).prepare(
+    /* command =      */ 'custom-command',
+    /* payload =      */ {aPayload: true},
+    /* useKid =       */ true,
+    /* successCodes = */ [200],
+    /* url =          */ 'http://localhost:1235',
+    /* nonce =        */ 'dummyNonce'
+  )
+
+  try {
+    await (new AcmeRequest())._execute(requestToClosedPort, /* parseResponseBodyAsJSON */ true)
+    t.fail()
+  } catch (error) {
+    t.strictEquals(error.code, 'ECONNREFUSED', 'error without a response is rethrown as it is')
+  }
 
   //
   // Test: parseBodyAsJSON = false
@@ -167,7 +310,7 @@ test('AcmeRequest', async t => {
   response = await (new AcmeRequest()).execute('custom-command', {aPayload: true}, true, [200], 'http://localhost:1234', false)
   t.strictEquals(response.body, 'not json', 'body is not JSON as expected')
 
-  server.close()
+  await new Promise(resolve => server.close(resolve))
 
   t.end()
 })
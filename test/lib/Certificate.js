@@ -8,7 +8,8 @@ import test from 'tape'
 import Certificate from '../../lib/Certificate.js'
 import Configuration from '../../lib/Configuration.js'
 import LetsEncryptServer from '../../lib/LetsEncryptServer.js'
-import { dehydrate, timeItAsync, symbolOfErrorThrownBy } from '../../lib/test-helpers/index.js'
+import { dehydrate, timeItAsync, symbolOfErrorThrownBy, symbolOfErrorThrownByAsync } from '../../lib/test-helpers/index.js'
+import waitFor from '../../lib/util/waitFor.js'
 import Pebble from '@small-tech/node-pebble'
 import HttpServer from '../../lib/HttpServer.js'
 
@@ -92,6 +93,7 @@ test('Certificate', async t => {
   certificate.stopCheckingForRenewal()
 
   const certificate2 = new Certificate(configuration)
+  await certificate2.load()
   const actualCertificate2State = dehydrate(util.inspect(certificate2))
 
   t.pass('subsequent certificate instantiation succeeds')
@@ -113,6 +115,17 @@ test('Certificate', async t => {
   await certificate2.checkForRenewal()
   t.notStrictEquals(certificate.serialNumber, certificate2.serialNumber, 'certificate is renewed correctly when necessary')
 
+  //
+  // Test hot reload of a certificate changed in storage by someone else (here, the renewal by certificate2).
+  //
+
+  const serialNumberBeforeReload = certificate.serialNumber
+  t.true(await certificate.reloadIfChangedInStorage(), 'certificate changed in storage is reloaded')
+  t.strictEquals(certificate.serialNumber, certificate2.serialNumber, 'reloaded certificate is the one in storage')
+  t.notStrictEquals(certificate.serialNumber, serialNumberBeforeReload, 'serial number changes on reload')
+  t.ok((await certificate.getSecureContext()) instanceof tls.SecureContext, 'secure context is rebuilt on reload')
+  t.false(await certificate.reloadIfChangedInStorage(), 'unchanged certificate is not reloaded')
+
   //
   // Test failed certificate update recovery.
   //
@@ -141,7 +154,7 @@ test('Certificate', async t => {
   fs.writeFileSync(oldCertificatePath, 'dummy old certificate', 'utf-8')
   fs.writeFileSync(oldCertificateIdentityPath, 'dummy old certificate identity', 'utf-8')
 
-  certificate2.attemptToRecoverFromFailedRenewalAttemptIfNecessary()
+  await certificate2.attemptToRecoverFromFailedRenewalAttemptIfNecessary()
 
   t.ok(fs.existsSync(certificateIdentityPath), 'active certificate identity found after failed renewal recovery')
   t.ok(fs.existsSync(certificatePath), 'active certificate identity found after failed renewal recovery')
@@ -158,7 +171,7 @@ test('Certificate', async t => {
   fs.rmSync(certificatePath, {recursive: true, force: true})
   fs.rmSync(certificateIdentityPath, {recursive: true, force: true})
 
-  certificate2.attemptToRecoverFromFailedRenewalAttemptIfNecessary()
+  await certificate2.attemptToRecoverFromFailedRenewalAttemptIfNecessary()
 
   t.ok(fs.existsSync(certificateIdentityPath), 'active certificate identity found after failed renewal recovery')
   t.ok(fs.existsSync(certificatePath), 'active certificate identity found after failed renewal recovery')
@@ -173,7 +186,7 @@ test('Certificate', async t => {
   fs.copyFileSync(certificatePath, oldCertificatePath)
   fs.renameSync(certificateIdentityPath, oldCertificateIdentityPath)
 
-  certificate2.attemptToRecoverFromFailedRenewalAttemptIfNecessary()
+  await certificate2.attemptToRecoverFromFailedRenewalAttemptIfNecessary()
 
   t.ok(fs.existsSync(certificateIdentityPath), 'active certificate identity found after failed renewal recovery')
   t.ok(fs.existsSync(certificatePath), 'active certificate identity found after failed renewal recovery')
@@ -188,7 +201,7 @@ test('Certificate', async t => {
   fs.copyFileSync(certificateIdentityPath, oldCertificateIdentityPath)
   fs.renameSync(certificatePath, oldCertificatePath)
 
-  certificate2.attemptToRecoverFromFailedRenewalAttemptIfNecessary()
+  await certificate2.attemptToRecoverFromFailedRenewalAttemptIfNecessary()
 
   t.ok(fs.existsSync(certificateIdentityPath), 'active certificate identity found after failed renewal recovery')
   t.ok(fs.existsSync(certificatePath), 'active certificate identity found after failed renewal recovery')
@@ -202,10 +215,53 @@ test('Certificate', async t => {
   t.strictEquals(originalCertificate, fs.readFileSync(certificatePath, 'utf-8'), 'certificate from after recovery matches certificate from before')
   t.strictEquals(originalCertificateIdentity, fs.readFileSync(certificateIdentityPath, 'utf-8'), 'certificate identity from after recovery matches certificate identity from before')
 
+  //
+  // Test that a failed renewal restores the previous certificate right away and schedules a retry.
+  //
+
+  const serialNumberBeforeFailedRenewal = certificate2.serialNumber
+  const renewalFailedEvents = []
+  certificate2.on(Certificate.RENEWAL_FAILED, details => renewalFailedEvents.push(details))
+
+  const actualCreateSecureContextMethod = certificate2.createSecureContext.bind(certificate2)
+  certificate2.createSecureContext = async () => {
+    fs.writeFileSync(certificateIdentityPath, 'dummy new certificate identity', 'utf-8')
+    throw new Error('Dummy renewal error')
+  }
+
+  let renewalError = null
+  try {
+    await certificate2.renewCertificate()
+  } catch (error) {
+    renewalError = error
+  }
+  t.strictEquals(renewalError && renewalError.message, 'Dummy renewal error', 'failed renewal rejects with the renewal error')
+  certificate2.createSecureContext = actualCreateSecureContextMethod
+
+  t.strictEquals(certificate2.serialNumber, serialNumberBeforeFailedRenewal, 'certificate is still served after failed renewal')
+  t.strictEquals(originalCertificate, fs.readFileSync(certificatePath, 'utf-8'), 'certificate is restored after failed renewal')
+  t.strictEquals(originalCertificateIdentity, fs.readFileSync(certificateIdentityPath, 'utf-8'), 'certificate identity is restored after failed renewal')
+  t.notOk(fs.existsSync(oldCertificatePath), 'old certificate is removed after failed renewal')
+  t.notOk(fs.existsSync(oldCertificateIdentityPath), 'old certificate identity is removed after failed renewal')
+  t.strictEquals(renewalFailedEvents.length, 1, 'renewal failed event is emitted')
+  t.strictEquals(renewalFailedEvents[0].attempt, 1, 'renewal failed event has the attempt number')
+  t.strictEquals(renewalFailedEvents[0].error.message, 'Dummy renewal error', 'renewal failed event has the error')
+  t.strictEquals(certificate2.__renewalTimeoutId._destroyed, false, 'renewal is retried after failed renewal')
+
+  certificate2.stopCheckingForRenewal()
+  certificate2.removeAllListeners(Certificate.RENEWAL_FAILED)
+
+  // Test renewal retry backoff.
+  ;[1, 2, 3, 10].forEach(attempt => {
+    const maximumDelay = Math.min(Certificate.renewalRetry.initialDelay * 2 ** (attempt - 1), Certificate.renewalRetry.maximumDelay)
+    const delay = Certificate.renewalRetryDelayFor(attempt)
+    t.ok(delay >= maximumDelay / 2 && delay <= maximumDelay, `renewal retry delay for attempt ${attempt} backs off exponentially (with jitter)`)
+  })
+
   //
   // Test that read-only setters are read-only.
   //
-  const a = ['key', 'serialNumber', 'issuer', 'subject', 'alternativeNames', 'issueDate', 'expiryDate', 'renewalDate']
+  const a = ['key', 'serialNumber', 'issuer', 'subject', 'alternativeNames', 'issueDate', 'expiryDate', 'renewalDate', 'configuration']
   a.forEach(readOnlySetter => {
     t.strictEquals(
       symbolOfErrorThrownBy(() => { certificate2[readOnlySetter] = 'dummy value' }),
@@ -221,12 +277,47 @@ test('Certificate', async t => {
   certificate2.stopCheckingForRenewal()
 
   // Test startCheckingForRenewal method.
-  t.strictEquals(certificate2.__checkForRenewalIntervalId._destroyed, true, 'renewal checks are stopped as expected')
+  t.strictEquals(certificate2.__renewalTimeoutId._destroyed, true, 'renewal checks are stopped as expected')
   certificate2.startCheckingForRenewal()
-  t.strictEquals(certificate2.__checkForRenewalIntervalId._destroyed, false, 'renewal checks are started as expected')
+  t.strictEquals(certificate2.__renewalTimeoutId._destroyed, false, 'renewal checks are started as expected')
 
   certificate2.stopCheckingForRenewal()
 
+  // Test renewal date calculation (the default renewal setting is after two thirds of the lifetime with 5% jitter).
+  const issueDate = moment('2026-01-01T00:00:00Z')
+  const expiryDate = issueDate.clone().add(90, 'days')
+  t.ok(
+    certificate2.renewalDateFor(issueDate, expiryDate, /* withJitter = */ false).isSame(expiryDate.clone().subtract(30, 'days')),
+    'by default, 90-day certificates are renewed 30 days before expiry (without jitter)'
+  )
+  const renewalDateWithJitter = certificate2.renewalDateFor(issueDate, expiryDate)
+  t.ok(
+    renewalDateWithJitter.isSameOrBefore(expiryDate.clone().subtract(30, 'days'))
+      && renewalDateWithJitter.isSameOrAfter(expiryDate.clone().subtract(34.5 * 24, 'hours')),
+    'jitter moves the renewal date up to 4.5 days earlier for 90-day certificates'
+  )
+  const shortLivedExpiryDate = issueDate.clone().add(6, 'days')
+  t.ok(
+    certificate2.renewalDateFor(issueDate, shortLivedExpiryDate, /* withJitter = */ false).isSame(issueDate.clone().add(4, 'days')),
+    'short-lived certificates are renewed after two thirds of their lifetime'
+  )
+
+  // Jitter never moves renewal past the configured number of days before expiry (or before halfway through the
+  // lifetime).
+  const largeJitterSettingsPath = path.join(os.homedir(), '.small-tech.org', 'auto-encrypt', 'test-large-jitter')
+  fs.rmSync(largeJitterSettingsPath, {recursive: true, force: true})
+  const largeJitterCertificate = new Certificate(new Configuration({
+    domains: configuration.domains,
+    server: configuration.server,
+    settingsPath: largeJitterSettingsPath,
+    renewal: { daysBeforeExpiry: 30, jitter: 100 }
+  }))
+  const largeJitterRenewalDates = Array.from({ length: 100 }, () => largeJitterCertificate.renewalDateFor(issueDate, expiryDate))
+  t.ok(
+    largeJitterRenewalDates.every(renewalDate => renewalDate.isSameOrBefore(expiryDate.clone().subtract(30, 'days')) && renewalDate.isSameOrAfter(issueDate.clone().add(45, 'days'))),
+    'jitter moves the renewal date earlier than the configured days before expiry but not before halfway through the lifetime'
+  )
+
   // Test that also check now option works with start checking for renewal method.
   const actualCheckForRenewalMethod = certificate2.checkForRenewal.bind(certificate2)
   let checkForRenewalCalled = false
@@ -238,5 +329,56 @@ test('Certificate', async t => {
   certificate2.checkForRenewal = actualCheckForRenewalMethod
   certificate2.stopCheckingForRenewal()
 
+  //
+  // Test revocation.
+  //
+
+  t.strictEquals(
+    await symbolOfErrorThrownByAsync(() => certificate2.revoke({ reason: 2 })),
+    Symbol.for('Certificate.unsupportedRevocationReasonError'),
+    'revoking with an unsupported reason throws'
+  )
+
+  const revokedSerialNumber = `${certificate2.serialNumber}`
+  await certificate2.revoke({ reason: Certificate.revocationReason.KEY_COMPROMISE, signWithCertificateKey: true, reissue: true })
+  certificate2.stopCheckingForRenewal()
+
+  const revocations = JSON.parse(fs.readFileSync(configuration.storage.pathFor(configuration.revocationsStorageKey), 'utf-8'))
+  t.strictEquals(revocations.length, 1, 'revocation is recorded')
+  t.strictEquals(revocations[0].serialNumber, revokedSerialNumber, 'serial number of revoked certificate is recorded')
+  t.strictEquals(revocations[0].reason, Certificate.revocationReason.KEY_COMPROMISE, 'revocation reason is recorded')
+  t.notStrictEquals(`${certificate2.serialNumber}`, revokedSerialNumber, 'certificate is reissued after revocation')
+  t.notStrictEquals(certificate2.identity.privatePEM, originalCertificateIdentity, 'reissued certificate has a new key')
+
+  //
+  // Test dual (ECDSA and RSA) certificates.
+  //
+
+  const dualSettingsPath = path.join(os.homedir(), '.small-tech.org', 'auto-encrypt', 'test-dual')
+  fs.rmSync(dualSettingsPath, {recursive: true, force: true})
+
+  const dualConfiguration = new Configuration({
+    domains: configuration.domains,
+    server: configuration.server,
+    settingsPath: dualSettingsPath,
+    certificateKeyType: ['ec256', 'rsa2048']
+  })
+  const dualCertificate = new Certificate(dualConfiguration)
+
+  t.ok((await dualCertificate.getSecureContext()) instanceof tls.SecureContext, 'secure context is returned for dual certificates')
+  t.strictEquals(dualCertificate.identity.key.kty, 'EC', 'primary certificate has an ECDSA key')
+
+  // The additional certificate is provisioned in the background after the first hit.
+  for (let attempt = 0; attempt < 60 && !dualCertificate.additionalCertificate.isProvisioned; attempt++) {
+    await waitFor(500)
+  }
+  t.true(dualCertificate.additionalCertificate.isProvisioned, 'additional certificate is provisioned in the background')
+  t.strictEquals(dualCertificate.additionalCertificate.identity.key.kty, 'RSA', 'additional certificate has an RSA key')
+  t.notStrictEquals(dualCertificate.additionalCertificate.serialNumber, dualCertificate.serialNumber, 'primary and additional certificates are separate certificates')
+  t.ok(fs.existsSync(path.join(dualConfiguration.certificateDirectoryPath, 'certificate-rsa2048.pem')), 'additional certificate is stored alongside the primary one')
+
+  dualCertificate.stopCheckingForRenewal()
+  t.strictEquals(dualCertificate.additionalCertificate.__renewalTimeoutId._destroyed, true, 'stopping renewal checks also stops them for the additional certificate')
+
   t.end()
 })
@@ -0,0 +1,54 @@
+import test from 'tape'
+import CertificateRouter from '../../lib/CertificateRouter.js'
+import { throwsErrorOfType } from '../../lib/test-helpers/index.js'
+
+test('CertificateRouter', t => {
+  t.plan(15)
+
+  // Any object will do as a certificate for routing purposes.
+  const exampleCertificate = { name: 'example' }
+  const wildcardCertificate = { name: 'wildcard' }
+  const blogCertificate = { name: 'blog' }
+
+  const router = new CertificateRouter()
+  router.add(['example.com', 'www.example.com'], exampleCertificate)
+  router.add(['*.example.com'], wildcardCertificate)
+  router.add(['blog.example.org'], blogCertificate)
+
+  t.strictEquals(router.certificateFor('example.com'), exampleCertificate, 'exact domain is routed to its certificate')
+  t.strictEquals(router.certificateFor('WWW.Example.com'), exampleCertificate, 'routing is case insensitive')
+  t.strictEquals(router.certificateFor('shop.example.com'), wildcardCertificate, 'subdomain is routed to the wildcard certificate')
+  t.strictEquals(router.certificateFor('blog.example.org'), blogCertificate, 'each group is routed to its own certificate')
+  t.strictEquals(router.certificateFor('a.b.example.com'), null, 'unsupported domain is not routed')
+
+  t.deepEquals(router.certificates, [exampleCertificate, wildcardCertificate, blogCertificate], 'certificates are listed in the order they were added')
+
+  t.ok(router.has('*.example.com'), 'router knows which domains it has')
+
+  t.ok(throwsErrorOfType(
+    () => router.add(['Example.com'], {}),
+    Symbol.for('CertificateRouter.duplicateDomainError')
+  ), 'adding a domain that is already routed throws')
+
+  t.ok(throwsErrorOfType(
+    () => router.ensureCanAdd(['new.example.org', 'new.example.org']),
+    Symbol.for('CertificateRouter.duplicateDomainError')
+  ), 'repeating a domain within a group throws')
+
+  t.strictEquals(router.certificates.length, 3, 'failed additions do not add certificates')
+
+  //
+  // Removal.
+  //
+
+  t.strictEquals(router.remove('www.example.com'), exampleCertificate, 'removing a domain returns its certificate')
+  t.strictEquals(router.certificateFor('www.example.com'), wildcardCertificate, 'removed exact domain falls back to the wildcard certificate')
+  t.ok(router.certificates.includes(exampleCertificate), 'certificate still in use by another domain is kept')
+
+  router.remove('example.com')
+  t.notOk(router.certificates.includes(exampleCertificate), 'certificate no longer in use by any domain is removed')
+
+  t.strictEquals(router.remove('example.com'), null, 'removing a domain that is not routed returns null')
+
+  t.end()
+})
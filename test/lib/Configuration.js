@@ -8,7 +8,7 @@ import Configuration from '../../lib/Configuration.js'
 import { throwsErrorOfType, dehydrate } from '../../lib/test-helpers/index.js'
 
 test('Configuration', async t => {
-  t.plan(35)
+  t.plan(103)
 
   const letsEncryptStagingServer = new LetsEncryptServer(LetsEncryptServer.type.STAGING)
 
@@ -48,6 +48,130 @@ test('Configuration', async t => {
     Symbol.for('Configuration.domainsArrayIsNotAnArrayOfStringsError')
   ), 'domains must be an array of string or else it throws')
 
+  t.ok(throwsErrorOfType(
+    () => { new Configuration({domains: ['dev.ar.al'], server: letsEncryptStagingServer, settingsPath: null, challengeType: 'tls-sni-01'}) },
+    Symbol.for('Configuration.unsupportedChallengeTypeError')
+  ), 'unsupported challenge type throws')
+
+  t.ok(throwsErrorOfType(
+    () => { new Configuration({domains: ['dev.ar.al'], server: letsEncryptStagingServer, settingsPath: null, challengeType: 'dns-01'}) },
+    Symbol.for('Configuration.dnsProviderRequiredError')
+  ), 'DNS-01 challenge type without a DNS provider throws')
+
+  t.ok(throwsErrorOfType(
+    () => { new Configuration({domains: ['dev.ar.al'], server: letsEncryptStagingServer, settingsPath: null, certificateKeyType: 'dsa1024'}) },
+    Symbol.for('Configuration.unsupportedCertificateKeyTypeError')
+  ), 'unsupported certificate key type throws')
+
+  t.ok(throwsErrorOfType(
+    () => { new Configuration({domains: ['dev.ar.al'], server: letsEncryptStagingServer, settingsPath: null, certificateKeyType: 'ed25519'}) },
+    Symbol.for('Configuration.unsupportedCertificateKeyTypeError')
+  ), 'Ed25519 certificate key type throws (account keys only)')
+
+  t.ok(throwsErrorOfType(
+    () => { new Configuration({domains: ['dev.ar.al'], server: letsEncryptStagingServer, settingsPath: null, accountKeyType: 'dsa1024'}) },
+    Symbol.for('Configuration.unsupportedAccountKeyTypeError')
+  ), 'unsupported account key type throws')
+
+  t.strictEquals(
+    (new Configuration({domains: ['dev.ar.al'], server: letsEncryptStagingServer, settingsPath: null})).accountKeyType,
+    'rsa2048',
+    'account key type defaults to rsa2048'
+  )
+
+  t.deepEquals(
+    (new Configuration({domains: ['dev.ar.al'], server: letsEncryptStagingServer, settingsPath: null, contact: ['aral@small-tech.org', 'mailto:hello@small-tech.org']})).contact,
+    ['mailto:aral@small-tech.org', 'mailto:hello@small-tech.org'],
+    'contacts are mailto: URLs'
+  )
+
+  t.strictEquals(
+    (new Configuration({domains: ['dev.ar.al'], server: letsEncryptStagingServer, settingsPath: null})).contact,
+    null,
+    'contacts are null if not configured'
+  )
+
+  ;['not an email address', ['aral@small-tech.org,hello@small-tech.org']].forEach(contact => {
+    t.ok(throwsErrorOfType(
+      () => { new Configuration({domains: ['dev.ar.al'], server: letsEncryptStagingServer, settingsPath: null, contact}) },
+      Symbol.for('Account.invalidContactError')
+    ), `invalid contact (${contact}) throws`)
+  })
+
+  t.deepEquals(
+    (new Configuration({domains: ['dev.ar.al'], server: letsEncryptStagingServer, settingsPath: null, eabKid: 'kid-1', eabHmacKey: 'c2VjcmV0LWhtYWMta2V5'})).externalAccountBinding,
+    { kid: 'kid-1', hmacKey: 'c2VjcmV0LWhtYWMta2V5' },
+    'external account binding is set as expected'
+  )
+
+  ;[{ eabKid: 'kid-1' }, { eabHmacKey: 'c2VjcmV0LWhtYWMta2V5' }, { eabKid: 'kid-1', eabHmacKey: 'not base64url!' }].forEach(externalAccountBinding => {
+    t.ok(throwsErrorOfType(
+      () => { new Configuration(Object.assign({domains: ['dev.ar.al'], server: letsEncryptStagingServer, settingsPath: null}, externalAccountBinding)) },
+      Symbol.for('Configuration.invalidExternalAccountBindingError')
+    ), `incomplete or invalid external account binding (${Object.keys(externalAccountBinding).join(', ')}) throws`)
+  })
+
+  t.deepEquals(
+    (new Configuration({domains: ['dev.ar.al'], server: letsEncryptStagingServer, settingsPath: null})).renewal,
+    { fractionOfLifetime: 2/3, jitter: 0.05 },
+    'renewal defaults to after two thirds of the certificate’s lifetime with jitter'
+  )
+
+  t.deepEquals(
+    (new Configuration({domains: ['dev.ar.al'], server: letsEncryptStagingServer, settingsPath: null, renewal: { daysBeforeExpiry: 10 }})).renewal,
+    { daysBeforeExpiry: 10, jitter: 0 },
+    'renewal is set as expected (without jitter by default)'
+  )
+
+  ;[
+    {},
+    { daysBeforeExpiry: 0 },
+    { fractionOfLifetime: 1 },
+    { daysBeforeExpiry: 30, fractionOfLifetime: 0.5 },
+    { fractionOfLifetime: 0.5, jitter: 0.5 },
+    { daysBeforeExpiry: 30, jitter: -1 }
+  ].forEach(renewal => {
+    t.ok(throwsErrorOfType(
+      () => { new Configuration({domains: ['dev.ar.al'], server: letsEncryptStagingServer, settingsPath: null, renewal}) },
+      Symbol.for('Configuration.invalidRenewalError')
+    ), `invalid renewal (${JSON.stringify(renewal)}) throws`)
+  })
+
+  t.strictEquals(
+    (new Configuration({domains: ['dev.ar.al'], server: letsEncryptStagingServer, settingsPath: null, accountKeyType: 'ed25519'})).accountKeyType,
+    'ed25519',
+    'account key type is set as expected'
+  )
+
+  t.strictEquals(
+    (new Configuration({domains: ['dev.ar.al'], server: letsEncryptStagingServer, settingsPath: null, certificateKeyType: 'ec256'})).certificateKeyType,
+    'ec256',
+    'certificate key type is set as expected'
+  )
+
+  ;[['ec256', 'ec384'], ['rsa2048', 'rsa4096'], ['ec256', 'rsa2048', 'rsa4096']].forEach(certificateKeyType => {
+    t.ok(throwsErrorOfType(
+      () => { new Configuration({domains: ['dev.ar.al'], server: letsEncryptStagingServer, settingsPath: null, certificateKeyType}) },
+      Symbol.for('Configuration.invalidCertificateKeyTypesError')
+    ), `certificate key types ${certificateKeyType.join(', ')} throw (dual certificates need one ECDSA and one RSA key type)`)
+  })
+
+  const dualCertificateConfiguration = new Configuration({domains: ['dev.ar.al'], server: letsEncryptStagingServer, settingsPath: null, certificateKeyType: ['ec256', 'rsa2048']})
+  const additionalCertificateConfiguration = dualCertificateConfiguration.forAdditionalCertificate()
+  t.strictEquals(dualCertificateConfiguration.certificateKeyType, 'ec256', 'first certificate key type is the primary one')
+  t.strictEquals(additionalCertificateConfiguration.certificateKeyType, 'rsa2048', 'additional certificate configuration has the additional key type')
+  t.strictEquals(additionalCertificateConfiguration.certificateStorageKey, 'staging/dev.ar.al/certificate-rsa2048.pem', 'additional certificate has its own storage key')
+  t.strictEquals(additionalCertificateConfiguration.certificateIdentityStorageKey, 'staging/dev.ar.al/certificate-identity-rsa2048.pem', 'additional certificate identity has its own storage key')
+  t.strictEquals(additionalCertificateConfiguration.revocationsStorageKey, 'staging/dev.ar.al/revocations-rsa2048.json', 'additional certificate has its own revocations storage key')
+  t.strictEquals(additionalCertificateConfiguration.forAdditionalCertificate(), null, 'additional certificate configuration has no additional certificate')
+
+  const dnsProvider = { setTxtRecord: async () => {}, removeTxtRecord: async () => {} }
+  t.strictEquals(
+    (new Configuration({domains: ['dev.ar.al'], server: letsEncryptStagingServer, settingsPath: null, dnsProvider})).challengeType,
+    'dns-01',
+    'challenge type defaults to DNS-01 when a DNS provider is passed'
+  )
+
   //
   // Test staging configuration with custom settings path.
   //
@@ -68,6 +192,7 @@ test('Configuration', async t => {
   t.strictEquals(configuration.settingsPath, expectedCustomStagingSettingsPath, 'settings path set as expected')
 
   t.true(fs.existsSync(expectedCustomStagingSettingsPath), 'settings path is created as expected')
+  t.strictEquals(fs.statSync(expectedCustomStagingSettingsPath).mode & 0o777, 0o700, 'settings path is only accessible by its owner')
 
   //
   // Certificate directory path.
@@ -79,6 +204,43 @@ test('Configuration', async t => {
 
   t.true(fs.existsSync(expectedCertificateDirectoryPath), 'certificate directory path created as expected')
 
+  //
+  // Storage.
+  //
+
+  t.strictEquals(configuration.storage.rootPath, customSettingsPath, 'default storage is file system storage in the root settings path')
+  t.strictEquals(configuration.accountStorageKey, 'staging/account.json', 'account storage key is as expected')
+  t.strictEquals(configuration.certificateStorageKey, 'staging/dev.ar.al/certificate.pem', 'certificate storage key is as expected')
+  t.strictEquals(configuration.revocationsStorageKey, 'staging/dev.ar.al/revocations.json', 'revocations storage key is as expected')
+  t.strictEquals(configuration.storage.pathFor(configuration.certificateIdentityStorageKey), configuration.certificateIdentityPath, 'storage keys map to the configuration paths')
+
+  t.ok(throwsErrorOfType(
+    () => { new Configuration({ domains: ['dev.ar.al'], server: letsEncryptStagingServer, settingsPath: customSettingsPath, storage: { get: () => {} } }) },
+    Symbol.for('Configuration.invalidStorageError')
+  ), 'storage without the storage interface methods throws')
+
+  const customStorage = { get: async () => null, put: async () => {}, delete: async () => {}, list: async () => [], lock: async () => async () => {} }
+  const customStorageSettingsPath = path.join(customSettingsPath, 'custom-storage')
+  const customStorageConfiguration = new Configuration({ domains: ['dev.ar.al'], server: letsEncryptStagingServer, settingsPath: customStorageSettingsPath, storage: customStorage })
+  t.false(fs.existsSync(customStorageConfiguration.settingsPath), 'settings path is not created when using custom storage')
+
+  //
+  // Key encryption.
+  //
+
+  t.strictEquals(configuration.keyEncryption, null, 'private keys are not encrypted by default')
+
+  const keyEncryptionConfigurationWith = keyEncryption => new Configuration({ domains: ['dev.ar.al'], server: letsEncryptStagingServer, settingsPath: customSettingsPath, keyEncryption })
+  t.strictEquals(keyEncryptionConfigurationWith({ passphrase: 'correct horse battery staple' }).keyEncryption.passphrase, 'correct horse battery staple', 'passphrase key encryption is accepted')
+  t.true(Buffer.isBuffer(keyEncryptionConfigurationWith({ key: Buffer.alloc(32) }).keyEncryption.key), 'key-encryption key is accepted')
+
+  ;[{}, { passphrase: '' }, { key: Buffer.alloc(16) }, { key: 'not a buffer' }, { passphrase: 'secret', key: Buffer.alloc(32) }].forEach(keyEncryption => {
+    t.ok(throwsErrorOfType(
+      () => keyEncryptionConfigurationWith(keyEncryption),
+      Symbol.for('Configuration.invalidKeyEncryptionError')
+    ), `invalid key encryption ${util.inspect(keyEncryption)} throws`)
+  })
+
   //
   // Inspection string.
   //
@@ -99,7 +261,15 @@ test('Configuration', async t => {
   .accountIdentityPath     : Path to private key for LE account      ${os.homedir()}/.small-tech.org/auto-encrypt/test/staging/account-identity.pem
   .certificateDirectoryPath: Path to certificate directory           ${os.homedir()}/.small-tech.org/auto-encrypt/test/staging/dev.ar.al
   .certificatePath         : Path to certificate file                ${os.homedir()}/.small-tech.org/auto-encrypt/test/staging/dev.ar.al/certificate.pem
-  .certificateIdentityPath : Path to private key for certificate     ${os.homedir()}/.small-tech.org/auto-encrypt/test/staging/dev.ar.al/certificate-identity.pem`)
+  .certificateIdentityPath : Path to private key for certificate     ${os.homedir()}/.small-tech.org/auto-encrypt/test/staging/dev.ar.al/certificate-identity.pem
+  .challengeType           : Challenge type for authorisations       http-01
+  .certificateKeyType      : Type of key for certificates            rsa2048
+  .accountKeyType          : Type of key for the account             rsa2048
+  .contact                 : Account contacts                        not configured
+  .externalAccountBinding  : External account binding key ID         none
+  .renewal                 : When to renew certificates              after 66.67% of lifetime (jitter: 5%)
+  .storage                 : Storage backend                         FileSystemStorage
+  .keyEncryption           : Private key encryption at rest          none`)
 
   t.strictEquals(dehydrate(util.inspect(configuration)), dehydratedExpectedInspectionString, 'the inspection string is as expected')
 
@@ -159,6 +329,26 @@ test('Configuration', async t => {
 
   t.true(fs.existsSync(configuration.certificateDirectoryPath), 'certificate directory path created as expected for two domains')
 
+  //
+  // Test wildcard domains.
+  //
+
+  t.ok(throwsErrorOfType(
+    () => { new Configuration({ domains: ['*.ar.al'], server: letsEncryptStagingServer, settingsPath: customSettingsPath }) },
+    Symbol.for('Configuration.wildcardDomainRequiresDnsProviderError')
+  ), 'wildcard domain without a DNS provider throws')
+
+  const wildcardDnsProvider = { setTxtRecord: async () => {}, removeTxtRecord: async () => {} }
+
+  t.ok(throwsErrorOfType(
+    () => { new Configuration({ domains: ['ar.*.al'], server: letsEncryptStagingServer, settingsPath: customSettingsPath, dnsProvider: wildcardDnsProvider }) },
+    Symbol.for('Configuration.invalidWildcardDomainError')
+  ), 'wildcard that is not the leftmost label throws')
+
+  configuration = new Configuration({ domains: ['*.ar.al', 'ar.al'], server: letsEncryptStagingServer, settingsPath: customSettingsPath, dnsProvider: wildcardDnsProvider })
+
+  t.strictEquals(configuration.certificateDirectoryPath, path.join(expectedCustomStagingSettingsPath, '_wildcard_.ar.al--and--ar.al'), 'wildcard label is written as _wildcard_ in certificate directory path')
+
   //
   // Check the production path with custom settings path.
   //
@@ -197,7 +387,7 @@ test('Configuration', async t => {
   // Attempting to directly set a configuration property should throw.
   //
 
-  ;['server', 'domains', 'settingsPath', 'accountPath', 'accountIdentityPath', 'certificatePath', 'certificateDirectoryPath', 'certificateIdentityPath'].forEach(setter => {
+  ;['server', 'domains', 'settingsPath', 'accountPath', 'accountIdentityPath', 'certificatePath', 'certificateDirectoryPath', 'certificateIdentityPath', 'challengeType', 'dnsProvider', 'storage', 'keyEncryption', 'certificateKeyType', 'additionalCertificateKeyType', 'accountKeyType', 'contact', 'externalAccountBinding', 'renewal', 'accountStorageKey', 'accountIdentityStorageKey', 'certificateStorageKey', 'certificateIdentityStorageKey', 'revocationsStorageKey'].forEach(setter => {
     t.ok(throwsErrorOfType(
       () => { configuration[setter] = true },
       Symbol.for('ReadOnlyAccessorError')
@@ -106,5 +106,38 @@ test('Directory', async t => {
 
   t.strictEquals(actualShapeOfDirectory, expectedShapeOfDirectory, 'the inspection string is as expected')
 
+  //
+  // External account binding.
+  //
+
+  t.strictEquals(directory.externalAccountRequired, false, 'server does not require external account binding')
+
+  // Simulate a server that requires external account binding.
+  const getUrls = Directory.prototype.getUrls
+  Directory.prototype.getUrls = async function () {
+    await getUrls.call(this)
+    this.directory.meta.externalAccountRequired = true
+  }
+
+  t.strictEquals(
+    await symbolOfErrorThrownByAsync(() => Directory.getInstanceAsync(configuration)),
+    Symbol.for('Directory.externalAccountBindingRequiredError'),
+    'server that requires external account binding throws if there is no binding'
+  )
+
+  const configurationWithExternalAccountBinding = new Configuration({
+    domains: configuration.domains,
+    server: configuration.server,
+    settingsPath: path.dirname(configuration.settingsPath),
+    eabKid: 'kid-1',
+    eabHmacKey: Buffer.alloc(32, 1).toString('base64url')
+  })
+  t.true(
+    (await Directory.getInstanceAsync(configurationWithExternalAccountBinding)).externalAccountRequired,
+    'server that requires external account binding does not throw if there is a binding'
+  )
+
+  Directory.prototype.getUrls = getUrls
+
   t.end()
 })
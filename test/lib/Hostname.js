@@ -0,0 +1,23 @@
+import test from 'tape'
+import Hostname from '../../lib/util/Hostname.js'
+
+test('Hostname', t => {
+  t.plan(12)
+
+  t.true(Hostname.isWildcard('*.example.com'), 'wildcard domain is detected')
+  t.false(Hostname.isWildcard('www.example.com'), 'regular domain is not a wildcard')
+
+  t.true(Hostname.isValidWildcard('*.example.com'), 'wildcard as leftmost label is valid')
+  t.false(Hostname.isValidWildcard('*.com'), 'wildcard for a top-level domain is invalid')
+  t.false(Hostname.isValidWildcard('*.*.example.com'), 'multiple wildcards are invalid')
+  t.false(Hostname.isValidWildcard('w*.example.com'), 'partial-label wildcard is invalid')
+
+  t.true(Hostname.matches('example.com', 'example.com'), 'exact match matches')
+  t.true(Hostname.matches('WWW.Example.com', 'www.example.com'), 'matches are case insensitive')
+  t.true(Hostname.matches('www.example.com', '*.example.com'), 'wildcard matches single-label subdomain')
+  t.false(Hostname.matches('example.com', '*.example.com'), 'wildcard does not match the apex domain')
+  t.false(Hostname.matches('a.b.example.com', '*.example.com'), 'wildcard does not match multi-label subdomains')
+  t.false(Hostname.matches('www.example.org', '*.example.com'), 'wildcard does not match other domains')
+
+  t.end()
+})
@@ -27,7 +27,7 @@ function setup() {
   })
 }
 
-test('Identity', t => {
+test('Identity', async t => {
 
   const configuration = setup()
 
@@ -49,9 +49,18 @@ test('Identity', t => {
     'throws when second argument is missing'
   )
 
-  // Incorrect second argument should throw
+  // Incorrect second argument should throw. (Identities must be instantiated via the async factory method.)
+  class UnknownIdentity extends Identity {
+    constructor (configuration) { super(configuration, 'unknownPathKey') }
+  }
+  let unknownIdentityErrorSymbol = null
+  try {
+    await UnknownIdentity.getInstanceAsync(configuration)
+  } catch (error) {
+    unknownIdentityErrorSymbol = error.symbol
+  }
   t.strictEquals(
-    symbolOfErrorThrownBy(() => new Identity(configuration, 'unknownPathKey')),
+    unknownIdentityErrorSymbol,
     Symbol.for('UnsupportedIdentityType'),
     'throws when identity file path is unknown (unsupported identity type)'
   )
@@ -0,0 +1,52 @@
+import os from 'os'
+import path from 'path'
+import test from 'tape'
+import LetsEncryptServer from '../../lib/LetsEncryptServer.js'
+import Configuration from '../../lib/Configuration.js'
+import { symbolOfErrorThrownBy } from '../../lib/test-helpers/index.js'
+
+test('LetsEncryptServer', t => {
+  const productionServer = new LetsEncryptServer(LetsEncryptServer.type.PRODUCTION)
+  t.strictEquals(productionServer.name, 'production', 'production server name is as expected')
+  t.strictEquals(productionServer.endpoint, 'https://acme-v02.api.letsencrypt.org/directory', 'production server endpoint is as expected')
+
+  //
+  // Custom servers.
+  //
+
+  const directoryUrl = 'https://ca.internal/acme/acme/directory'
+  const customServer = new LetsEncryptServer(LetsEncryptServer.type.CUSTOM, { name: 'step-ca', directoryUrl })
+  t.strictEquals(customServer.type, LetsEncryptServer.type.CUSTOM, 'custom server type is as expected')
+  t.strictEquals(customServer.name, 'step-ca', 'custom server name is as expected')
+  t.strictEquals(customServer.endpoint, directoryUrl, 'custom server endpoint is the directory URL')
+
+  t.strictEquals(
+    symbolOfErrorThrownBy(() => new LetsEncryptServer(LetsEncryptServer.type.CUSTOM)),
+    Symbol.for('UndefinedOrNullError'),
+    'custom server without a name and directory URL throws'
+  )
+
+  ;['../elsewhere', 'staging', '', undefined].forEach(name => {
+    t.strictEquals(
+      symbolOfErrorThrownBy(() => new LetsEncryptServer(LetsEncryptServer.type.CUSTOM, { name, directoryUrl })),
+      Symbol.for('LetsEncryptServer.invalidCustomServerNameError'),
+      `invalid custom server name (${name}) throws`
+    )
+  })
+
+  ;['ftp://ca.internal/directory', 'not a url', undefined].forEach(invalidDirectoryUrl => {
+    t.strictEquals(
+      symbolOfErrorThrownBy(() => new LetsEncryptServer(LetsEncryptServer.type.CUSTOM, { name: 'step-ca', directoryUrl: invalidDirectoryUrl })),
+      Symbol.for('LetsEncryptServer.invalidCustomServerDirectoryUrlError'),
+      `invalid custom server directory URL (${invalidDirectoryUrl}) throws`
+    )
+  })
+
+  // Custom servers keep the same settings layout as the built-in ones.
+  const customSettingsPath = path.join(os.homedir(), '.small-tech.org', 'auto-encrypt', 'test')
+  const configuration = new Configuration({ domains: ['dev.ar.al'], server: customServer, settingsPath: customSettingsPath })
+  t.strictEquals(configuration.settingsPath, path.join(customSettingsPath, 'step-ca'), 'custom server name is the settings subfolder')
+  t.strictEquals(configuration.certificateStorageKey, 'step-ca/dev.ar.al/certificate.pem', 'custom server storage keys are as expected')
+
+  t.end()
+})
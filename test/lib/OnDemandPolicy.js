@@ -0,0 +1,75 @@
+import test from 'tape'
+import OnDemandPolicy from '../../lib/OnDemandPolicy.js'
+import { throwsErrorOfType } from '../../lib/test-helpers/index.js'
+
+test('OnDemandPolicy', async t => {
+  t.ok(throwsErrorOfType(
+    () => { new OnDemandPolicy({}) },
+    Symbol.for('OnDemandPolicy.isAllowedMustBeAFunctionError')
+  ), 'policy without isAllowed() function throws')
+
+  //
+  // Server name validation.
+  //
+
+  t.ok(OnDemandPolicy.isValidServerName('www.example.com'), 'hostname is a valid server name')
+  t.notOk(OnDemandPolicy.isValidServerName('localhost'), 'single-label name is not a valid server name')
+  t.notOk(OnDemandPolicy.isValidServerName('192.0.2.1'), 'IP address is not a valid server name')
+  t.notOk(OnDemandPolicy.isValidServerName('-bad.example.com'), 'label starting with a hyphen is not valid')
+  t.notOk(OnDemandPolicy.isValidServerName('bad_name.example.com'), 'label with an underscore is not valid')
+
+  //
+  // Decisions.
+  //
+
+  const askedAbout = []
+  const policy = new OnDemandPolicy({
+    isAllowed: async serverName => {
+      askedAbout.push(serverName)
+      if (serverName === 'broken.example.com') throw new Error('database is down')
+      return serverName.endsWith('.example.com')
+    },
+    maximumCertificatesPerHour: 2,
+    negativeCacheDuration: 50,
+    provisioningTimeout: 50
+  })
+
+  const concurrentDecisions = await Promise.all([policy.allows('a.example.com'), policy.allows('A.example.com')])
+  t.deepEquals(concurrentDecisions, [true, true], 'allowed server name is approved')
+  t.deepEquals(askedAbout, ['a.example.com'], 'concurrent requests for the same server name ask isAllowed() once')
+
+  t.false(await policy.allows('evil.example.org'), 'server name that is not allowed is refused')
+  t.false(await policy.allows('evil.example.org'), 'refused server name is refused again')
+  t.strictEquals(askedAbout.filter(name => name === 'evil.example.org').length, 1, 'refused server name is served from the negative cache')
+
+  t.false(await policy.allows('broken.example.com'), 'server name is refused when isAllowed() fails')
+
+  t.false(await policy.allows('not a hostname'), 'invalid server name is refused')
+  t.false(askedAbout.includes('not a hostname'), 'isAllowed() is not asked about invalid server names')
+
+  // Negative cache entries expire.
+  await new Promise(resolve => setTimeout(resolve, 60))
+  await policy.allows('evil.example.org')
+  t.strictEquals(askedAbout.filter(name => name === 'evil.example.org').length, 2, 'isAllowed() is asked again once refusal expires')
+
+  // Rate limiting.
+  t.true(await policy.allows('b.example.com'), 'approvals within the rate limit succeed')
+  t.false(await policy.allows('c.example.com'), 'approvals over the rate limit are refused')
+  t.false(askedAbout.includes('c.example.com'), 'isAllowed() is not asked while the rate limit is reached')
+
+  // Explicit refusal.
+  policy.refuse('b.example.com')
+  t.false(await policy.allows('b.example.com'), 'explicitly refused server name is refused')
+
+  // Provisioning timeout.
+  t.strictEquals(await policy.withinProvisioningTimeout('a.example.com', Promise.resolve('secure context')), 'secure context', 'provisioning within the timeout fulfils')
+
+  try {
+    await policy.withinProvisioningTimeout('a.example.com', new Promise(() => {}))
+    t.fail('provisioning that takes longer than the timeout should reject')
+  } catch (error) {
+    t.strictEquals(error.symbol, Symbol.for('OnDemandPolicy.provisioningTimeoutError'), 'provisioning that takes longer than the timeout rejects')
+  }
+
+  t.end()
+})
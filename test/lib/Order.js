@@ -47,7 +47,7 @@ async function setup() {
   })
 
   const directory = await Directory.getInstanceAsync(configuration)
-  const accountIdentity = new AccountIdentity(configuration)
+  const accountIdentity = await AccountIdentity.getInstanceAsync(configuration)
   AcmeRequest.initialise(directory, accountIdentity)
   const account = await Account.getInstanceAsync(configuration)
   AcmeRequest.account = account
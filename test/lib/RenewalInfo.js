@@ -0,0 +1,115 @@
+import http from 'http'
+import util from 'util'
+import test from 'tape'
+import moment from 'moment'
+import RenewalInfo from '../../lib/RenewalInfo.js'
+import acmeTlsAlpnCertificate from '../../lib/acmeTlsAlpnCertificate.js'
+import { symbolOfErrorThrownBy, symbolOfErrorThrownByAsync, dehydrate } from '../../lib/test-helpers/index.js'
+
+// A certificate with the authority key identifier and serial number from the example in draft-ietf-acme-ari.
+const certificatePem = `-----BEGIN CERTIFICATE-----
+MIIBbTCCARSgAwIBAgIFAIdlQyEwCgYIKoZIzj0EAwIwDTELMAkGA1UEAwwCY2Ew
+IBcNMjYxMDE5MTEzNjQ0WhgPMjEyNjA5MjUxMTM2NDRaMBQxEjAQBgNVBAMMCWxv
+Y2FsaG9zdDBZMBMGByqGSM49AgEGCCqGSM49AwEHA0IABAoD/Yl9bczrl18qq2PZ
+jSE6gwK69kr+7XRxv9v40ACp7eKhmbBmdKcWrpLkI1lkYNLs54ABOK2EM+bhM9Wo
+TY2jWDBWMBQGA1UdEQQNMAuCCWxvY2FsaG9zdDAfBgNVHSMEGDAWgBRpiFtrh0ZA
+QeGze4R7oK4s3gHI1DAdBgNVHQ4EFgQUS2yphwCxpCTn6CZMvtrkcQ2dJRUwCgYI
+KoZIzj0EAwIDRwAwRAIgCvnJbuRjnqwbEvj5KZtNHjvMCe44lFhieW9LG3AuKRwC
+IFx/AVcnA3JGsdLiZhKQ5ZMFMOPiwR8na9gAihisaNHX
+-----END CERTIFICATE-----
+`
+const certificateIdentifier = 'aYhba4dGQEHhs3uEe6CuLN4ByNQ.AIdlQyE'
+
+// Starts a server that responds to renewal information requests with the responses in the passed list (in
+// order) and records the paths that were requested.
+async function renewalInfoServer (responses) {
+  const requestedPaths = []
+  const server = http.createServer((request, response) => {
+    requestedPaths.push(request.url)
+    const { body, headers } = responses.shift()
+    response.writeHead(200, Object.assign({ 'Content-Type': 'application/json' }, headers))
+    response.end(JSON.stringify(body))
+  })
+  await new Promise(resolve => server.listen(1234, resolve))
+  return { server, requestedPaths }
+}
+
+test('certificate identifier', t => {
+  t.strictEquals(RenewalInfo.certificateIdentifierFor(certificatePem), certificateIdentifier, 'certificate identifier is as expected')
+
+  const { cert } = acmeTlsAlpnCertificate('localhost', 'dummy-key-authorisation')
+  t.strictEquals(
+    symbolOfErrorThrownBy(() => RenewalInfo.certificateIdentifierFor(cert)),
+    Symbol.for('RenewalInfo.noAuthorityKeyIdentifierError'),
+    'attempting to get the identifier of a certificate without an authority key identifier throws'
+  )
+
+  t.end()
+})
+
+test('Retry-After', t => {
+  const oneHour = 60 * 60 * 1000
+
+  t.strictEquals(RenewalInfo.retryAfterFor(undefined), RenewalInfo.defaultRetryAfter, 'default is used if there is no Retry-After header')
+  t.strictEquals(RenewalInfo.retryAfterFor('not a date'), RenewalInfo.defaultRetryAfter, 'default is used if the Retry-After header is invalid')
+  t.strictEquals(RenewalInfo.retryAfterFor('3600'), oneHour, 'Retry-After in seconds is honoured')
+  t.strictEquals(RenewalInfo.retryAfterFor('1'), RenewalInfo.minimumRetryAfter, 'Retry-After is at least the minimum')
+  t.strictEquals(RenewalInfo.retryAfterFor(`${7 * 24 * 60 * 60}`), RenewalInfo.maximumRetryAfter, 'Retry-After is at most the maximum')
+
+  const retryAfterForHttpDate = RenewalInfo.retryAfterFor(new Date(Date.now() + 2 * oneHour).toUTCString())
+  t.ok(Math.abs(retryAfterForHttpDate - 2 * oneHour) < 5000, 'Retry-After as an HTTP date is honoured')
+
+  t.end()
+})
+
+test('RenewalInfo', async t => {
+  t.strictEquals(
+    await symbolOfErrorThrownByAsync(() => RenewalInfo.getInstanceAsync()),
+    Symbol.for('UndefinedOrNullError'),
+    'attempting to get renewal information without arguments throws'
+  )
+
+  t.strictEquals(
+    symbolOfErrorThrownBy(() => new RenewalInfo({})),
+    Symbol.for('MustBeInstantiatedViaAsyncFactoryMethodError'),
+    'attempting to instantiate RenewalInfo directly throws'
+  )
+
+  const start = '2021-01-03T00:00:00Z'
+  const end = '2021-01-07T00:00:00Z'
+  const explanationURL = 'https://acme.example.com/docs/ari'
+
+  const { server, requestedPaths } = await renewalInfoServer([
+    { body: { suggestedWindow: { start, end }, explanationURL }, headers: { 'Retry-After': '21600' } },
+    { body: { suggestedWindow: { start: end, end: start } } }
+  ])
+
+  const renewalInfo = await RenewalInfo.getInstanceAsync('http://localhost:1234/renewal-info/', certificatePem)
+
+  t.strictEquals(requestedPaths[0], `/renewal-info/${certificateIdentifier}`, 'renewal information is requested for the certificate identifier')
+  t.ok(renewalInfo.suggestedWindowStart.isSame(moment(start)), 'suggested window start is as expected')
+  t.ok(renewalInfo.suggestedWindowEnd.isSame(moment(end)), 'suggested window end is as expected')
+  t.strictEquals(renewalInfo.retryAfter, 6 * 60 * 60 * 1000, 'Retry-After is as expected')
+  t.strictEquals(renewalInfo.explanationUrl, explanationURL, 'explanation URL is as expected')
+
+  const randomTime = renewalInfo.randomTimeInSuggestedWindow()
+  t.ok(randomTime.isSameOrAfter(moment(start)) && randomTime.isBefore(moment(end)), 'random time is within the suggested window')
+
+  t.strictEquals(dehydrate(util.inspect(renewalInfo)), dehydrate(`
+    # RenewalInfo
+
+    - Suggested window start: 2021-01-03T00:00:00.000Z
+    - Suggested window end  : 2021-01-07T00:00:00.000Z
+    - Retry after (ms)      : 21600000
+    - Explanation URL       : https://acme.example.com/docs/ari
+  `), 'the inspection string is as expected')
+
+  t.strictEquals(
+    await symbolOfErrorThrownByAsync(() => RenewalInfo.getInstanceAsync('http://localhost:1234/renewal-info', certificatePem)),
+    Symbol.for('RenewalInfo.invalidSuggestedWindowError'),
+    'a suggested window that ends before it starts throws'
+  )
+
+  server.close()
+  t.end()
+})
@@ -0,0 +1,124 @@
+import tls from 'tls'
+import https from 'https'
+import crypto from 'crypto'
+import test from 'tape'
+import TlsAlpnChallengeResponder from '../../lib/TlsAlpnChallengeResponder.js'
+import acmeTlsAlpnCertificate from '../../lib/acmeTlsAlpnCertificate.js'
+import { throwsErrorOfType } from '../../lib/test-helpers/index.js'
+
+test('TlsAlpnChallengeResponder', async t => {
+  t.ok(throwsErrorOfType(
+    () => { new TlsAlpnChallengeResponder() },
+    Symbol.for('StaticClassCannotBeInstantiatedError')
+  ), 'attempt to instantiate static class throws')
+
+  //
+  // ALPN protocols.
+  //
+
+  // (Node calls the callbacks with the TLS socket of the handshake as this.)
+  const alpnProtocolFor = (options, protocols) => options.ALPNCallback.call({}, { servername: 'localhost', protocols })
+
+  const defaultOptions = { SNICallback: () => {} }
+  TlsAlpnChallengeResponder.addCallbacksTo(defaultOptions)
+  t.strictEquals(defaultOptions.ALPNProtocols, undefined, 'ALPN protocol list is replaced by the ALPN callback')
+  t.strictEquals(alpnProtocolFor(defaultOptions, ['h2', 'http/1.1']), 'http/1.1', 'default https protocol is selected')
+  t.strictEquals(alpnProtocolFor(defaultOptions, ['acme-tls/1']), undefined, 'acme-tls/1 is not selected without a pending challenge')
+
+  const customOptions = { ALPNProtocols: ['h2', 'http/1.1'], SNICallback: () => {} }
+  TlsAlpnChallengeResponder.addCallbacksTo(customOptions)
+  t.strictEquals(alpnProtocolFor(customOptions, ['http/1.1', 'h2']), 'h2', 'custom protocols are selected in order of preference')
+
+  //
+  // Validation handshake.
+  //
+
+  t.strictEquals(TlsAlpnChallengeResponder.secureContextFor({}, 'localhost'), null, 'no secure context without a pending challenge')
+
+  let validationRequests = 0
+  const keyAuthorisation = 'a-token.a-thumbprint'
+  TlsAlpnChallengeResponder.addResponder('localhost', keyAuthorisation, () => { validationRequests++ })
+
+  // (The regular certificate is served to everyone else by the existing SNI callback, as in index.js.)
+  const regularCertificate = acmeTlsAlpnCertificate('localhost', 'not-a-key-authorisation')
+  const regularSecureContext = tls.createSecureContext(regularCertificate)
+  const options = {
+    SNICallback: (serverName, callback) => {
+      callback(null, regularSecureContext)
+    }
+  }
+  TlsAlpnChallengeResponder.addCallbacksTo(options)
+
+  const server = https.createServer(options)
+  await new Promise(resolve => server.listen(0, resolve))
+
+  // Connects and returns the negotiated ALPN protocol and the server’s certificate.
+  const handshake = (ALPNProtocols, maxVersion = 'TLSv1.3') => new Promise((resolve, reject) => {
+    const socket = tls.connect({
+      port: server.address().port,
+      servername: 'localhost',
+      ALPNProtocols,
+      maxVersion,
+      rejectUnauthorized: false
+    }, () => {
+      const result = { alpnProtocol: socket.alpnProtocol, certificate: socket.getPeerX509Certificate() }
+      socket.end()
+      resolve(result)
+    })
+    socket.on('error', reject)
+  })
+
+  const validationHandshake = await handshake(['acme-tls/1'])
+  const validationCertificate = validationHandshake.certificate
+
+  t.strictEquals(validationHandshake.alpnProtocol, 'acme-tls/1', 'acme-tls/1 protocol is negotiated')
+  t.strictEquals(validationRequests, 1, 'validation request callback is called')
+  t.strictEquals(validationCertificate.subjectAltName, 'DNS:localhost', 'validation certificate is for the domain')
+
+  // The id-pe-acmeIdentifier extension (1.3.6.1.5.5.7.1.31) is critical and contains the DER-encoded
+  // SHA-256 digest of the key authorisation (RFC 8737 § 3).
+  const expectedExtension = Buffer.concat([
+    Buffer.from('06082b0601050507011f0101ff04220420', 'hex'),
+    crypto.createHash('sha256').update(keyAuthorisation).digest()
+  ])
+  t.ok(validationCertificate.raw.includes(expectedExtension), 'validation certificate has the critical acmeIdentifier extension')
+
+  // Regular visitors get the regular certificate while the challenge is pending.
+  const regularFingerprint = new crypto.X509Certificate(regularCertificate.cert).fingerprint256
+
+  const handshakeWithoutAlpn = await handshake(undefined)
+  t.strictEquals(handshakeWithoutAlpn.alpnProtocol, false, 'no protocol is negotiated for handshake without ALPN')
+  t.strictEquals(handshakeWithoutAlpn.certificate.fingerprint256, regularFingerprint, 'handshake without ALPN gets the regular certificate')
+
+  const httpsHandshake = await handshake(['http/1.1'])
+  t.strictEquals(httpsHandshake.alpnProtocol, 'http/1.1', 'http/1.1 is negotiated for regular https handshake')
+  t.strictEquals(httpsHandshake.certificate.fingerprint256, regularFingerprint, 'regular https handshake gets the regular certificate')
+
+  t.strictEquals(validationRequests, 1, 'regular handshakes are not treated as validation requests')
+
+  // With TLS 1.2, Node calls the SNI callback before the ALPN callback so the regular certificate has already been
+  // chosen when we find out that this is a validation handshake. It must fail (instead of getting the regular
+  // certificate) and must not affect the next handshake.
+  try {
+    await handshake(['acme-tls/1'], 'TLSv1.2')
+    t.fail('TLS 1.2 validation handshake should fail')
+  } catch (error) {
+    t.strictEquals(error.code, 'ERR_SSL_TLSV1_ALERT_NO_APPLICATION_PROTOCOL', 'TLS 1.2 validation handshake is rejected')
+  }
+  t.strictEquals(validationRequests, 1, 'TLS 1.2 validation handshake is not answered')
+
+  const tls12HttpsHandshake = await handshake(['http/1.1'], 'TLSv1.2')
+  t.strictEquals(tls12HttpsHandshake.certificate.fingerprint256, regularFingerprint, 'regular TLS 1.2 https handshake after TLS 1.2 validation handshake gets the regular certificate')
+
+  const tls12HandshakeWithoutAlpn = await handshake(undefined, 'TLSv1.2')
+  t.strictEquals(tls12HandshakeWithoutAlpn.certificate.fingerprint256, regularFingerprint, 'TLS 1.2 handshake without ALPN gets the regular certificate')
+
+  t.strictEquals(validationRequests, 1, 'TLS 1.2 handshakes are not treated as validation requests')
+
+  TlsAlpnChallengeResponder.removeResponder('localhost')
+  t.strictEquals(TlsAlpnChallengeResponder.secureContextFor({}, 'localhost'), null, 'no secure context once responder is removed')
+
+  await new Promise(resolve => server.close(resolve))
+
+  t.end()
+})
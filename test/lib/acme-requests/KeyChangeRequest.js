@@ -0,0 +1,87 @@
+import os from 'os'
+import fs from 'fs'
+import path from 'path'
+import http from 'http'
+import test from 'tape'
+import jose from 'jose'
+import AcmeRequest from '../../../lib/AcmeRequest.js'
+import Identity from '../../../lib/Identity.js'
+import AccountIdentity from '../../../lib/identities/AccountIdentity.js'
+import Configuration from '../../../lib/Configuration.js'
+import LetsEncryptServer from '../../../lib/LetsEncryptServer.js'
+
+import KeyChangeRequest from '../../../lib/acme-requests/KeyChangeRequest.js'
+
+async function setup() {
+  const customSettingsPath = path.join(os.homedir(), '.small-tech.org', 'auto-encrypt', 'test')
+  fs.rmSync(customSettingsPath, { recursive: true, force: true })
+
+  const configuration = new Configuration({
+    domains: ['localhost', 'pebble'],
+    server: new LetsEncryptServer(LetsEncryptServer.type.PEBBLE),
+    settingsPath: customSettingsPath
+  })
+  const accountIdentity = await AccountIdentity.getInstanceAsync(configuration)
+
+  // (We use a local server instead of an ACME server.)
+  const directory = { keyChangeUrl: 'http://localhost:1234' }
+  AcmeRequest.uninitialise()
+  AcmeRequest.initialise(directory, accountIdentity)
+  AcmeRequest.account = { kid: 'https://localhost:14000/my-account/1' }
+
+  return { accountIdentity, directory }
+}
+
+test('Key Change Request', async t => {
+  const { accountIdentity, directory } = await setup()
+  const newKey = Identity.generateKey(Identity.keyType.EC_256)
+
+  const keyChangeRequest = new KeyChangeRequest()
+  const keyChangeJws = keyChangeRequest.keyChangeJws(newKey)
+
+  //
+  // Inner JWS (RFC 8555 § 7.3.5).
+  //
+
+  const innerProtectedHeader = JSON.parse(Buffer.from(keyChangeJws.protected, 'base64').toString('utf-8'))
+  t.strictEquals(innerProtectedHeader.alg, 'ES256', 'inner JWS algorithm is that of the new key')
+  t.deepEquals(innerProtectedHeader.jwk, newKey.toJWK(), 'inner JWS has the new public key as its JWK')
+  t.strictEquals(innerProtectedHeader.url, directory.keyChangeUrl, 'inner JWS URL is the key change URL')
+  t.strictEquals(innerProtectedHeader.nonce, undefined, 'inner JWS has no nonce')
+
+  const innerPayload = jose.JWS.verify(keyChangeJws, jose.JWK.asKey(innerProtectedHeader.jwk))
+  t.strictEquals(innerPayload.account, AcmeRequest.account.kid, 'inner JWS payload has the account URL')
+  t.deepEquals(innerPayload.oldKey, accountIdentity.publicJWK, 'inner JWS payload has the old public key')
+
+  //
+  // Outer JWS.
+  //
+
+  const { protectedHeader, signedRequest } = await keyChangeRequest.prepare('keyChange', keyChangeJws, /* useKid = */ true, [200], null, 'dummyNonce')
+  t.strictEquals(protectedHeader.url, directory.keyChangeUrl, 'outer JWS URL is the key change URL')
+  t.strictEquals(protectedHeader.kid, AcmeRequest.account.kid, 'outer JWS uses the account URL as its key ID')
+  t.deepEquals(jose.JWS.verify(signedRequest, accountIdentity.key), keyChangeJws, 'outer JWS is signed with the old key and has the inner JWS as its payload')
+
+  //
+  // Execution. (The CA may respond with an empty body; e.g., Pebble does.)
+  //
+
+  const server = http.createServer((request, response) => {
+    request.resume()
+    request.on('end', () => response.end())
+  })
+  await new Promise(resolve => server.listen(1234, resolve))
+
+  AcmeRequest.nonce.set('dummyNonce')
+  let error = null
+  try {
+    await keyChangeRequest.execute(newKey)
+  } catch (_error) {
+    error = _error
+  }
+  t.strictEquals(error, null, 'key change with empty response body succeeds')
+
+  await new Promise(resolve => server.close(resolve))
+  AcmeRequest.uninitialise()
+  t.end()
+})
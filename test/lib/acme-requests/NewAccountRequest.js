@@ -1,7 +1,57 @@
+import os from 'os'
+import fs from 'fs'
+import path from 'path'
 import test from 'tape'
+import jose from 'jose'
+import AcmeRequest from '../../../lib/AcmeRequest.js'
+import AccountIdentity from '../../../lib/identities/AccountIdentity.js'
+import Configuration from '../../../lib/Configuration.js'
+import LetsEncryptServer from '../../../lib/LetsEncryptServer.js'
+
 import NewAccountRequest from '../../../lib/acme-requests/NewAccountRequest.js'
 
+async function setup() {
+  const customSettingsPath = path.join(os.homedir(), '.small-tech.org', 'auto-encrypt', 'test')
+  fs.rmSync(customSettingsPath, { recursive: true, force: true })
+
+  const configuration = new Configuration({
+    domains: ['localhost', 'pebble'],
+    server: new LetsEncryptServer(LetsEncryptServer.type.PEBBLE),
+    settingsPath: customSettingsPath,
+    eabKid: 'kid-1',
+    eabHmacKey: Buffer.alloc(32, 1).toString('base64url')
+  })
+  const accountIdentity = await AccountIdentity.getInstanceAsync(configuration)
+
+  // (The binding is only created, not sent, so we don’t need an ACME server.)
+  const directory = { newAccountUrl: 'https://localhost:14000/sign-me-up' }
+  AcmeRequest.uninitialise()
+  AcmeRequest.initialise(directory, accountIdentity)
+
+  return { configuration, accountIdentity, directory }
+}
+
 test('New Account Request', async t => {
-  t.pass('(no unit-specific tests)')
+  const { configuration, accountIdentity, directory } = await setup()
+
+  //
+  // External account binding (RFC 8555 § 7.3.4).
+  //
+
+  const externalAccountBindingJws = (new NewAccountRequest()).externalAccountBindingJws(configuration.externalAccountBinding)
+  const protectedHeader = JSON.parse(Buffer.from(externalAccountBindingJws.protected, 'base64').toString('utf-8'))
+
+  t.strictEquals(protectedHeader.alg, 'HS256', 'external account binding is signed with HMAC SHA-256')
+  t.strictEquals(protectedHeader.kid, 'kid-1', 'external account binding has the key ID from the CA')
+  t.strictEquals(protectedHeader.url, directory.newAccountUrl, 'external account binding URL is the newAccount URL')
+
+  const hmacKey = jose.JWK.asKey({ kty: 'oct', k: configuration.externalAccountBinding.hmacKey })
+  t.deepEquals(
+    jose.JWS.verify(externalAccountBindingJws, hmacKey),
+    accountIdentity.publicJWK,
+    'external account binding is the account public key signed with the HMAC key'
+  )
+
+  AcmeRequest.uninitialise()
   t.end()
 })
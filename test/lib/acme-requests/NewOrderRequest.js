@@ -1,6 +1,7 @@
 import os from 'os'
 import fs from 'fs'
 import path from 'path'
+import http from 'http'
 import test from 'tape'
 import Directory from '../../../lib/Directory.js'
 import Account from '../../../lib/Account.js'
@@ -41,7 +42,7 @@ async function setup() {
   })
   const directory = await Directory.getInstanceAsync(configuration)
 
-  const accountIdentity = new AccountIdentity(configuration)
+  const accountIdentity = await AccountIdentity.getInstanceAsync(configuration)
   AcmeRequest.initialise(directory, accountIdentity)
   const account = await Account.getInstanceAsync(configuration)
   AcmeRequest.account = account
@@ -58,5 +59,41 @@ test('New Order Request', async t => {
     'attempting to execute new order request without configuration argument throws as expected'
   )
 
+  //
+  // Replacing a certificate (draft-ietf-acme-ari § 5). (We use a local server that records the requests
+  // it receives instead of the ACME server.)
+  //
+
+  const requestBodies = []
+  const server = http.createServer((request, response) => {
+    const chunks = []
+    request.on('data', chunk => chunks.push(chunk))
+    request.on('end', () => {
+      const signedRequest = JSON.parse(Buffer.concat(chunks).toString('utf-8'))
+      requestBodies.push(JSON.parse(Buffer.from(signedRequest.payload, 'base64').toString('utf-8')))
+      response.statusCode = 201
+      response.setHeader('Content-Type', 'application/json')
+      response.end(JSON.stringify({ status: 'pending' }))
+    })
+  })
+  await new Promise(resolve => server.listen(1234, resolve))
+
+  const { accountIdentity, account } = AcmeRequest
+  AcmeRequest.uninitialise()
+  AcmeRequest.initialise({ newOrderUrl: 'http://localhost:1234' }, accountIdentity)
+  AcmeRequest.account = account
+
+  AcmeRequest.nonce.set('dummyNonce')
+  await (new NewOrderRequest()).execute(configuration)
+  AcmeRequest.nonce.set('dummyNonce')
+  await (new NewOrderRequest()).execute(configuration, 'aYhba4dGQEHhs3uEe6CuLN4ByNQ.AIdlQyE')
+
+  t.strictEquals(requestBodies[0].replaces, undefined, 'new order does not have the replaces field by default')
+  t.strictEquals(requestBodies[1].replaces, 'aYhba4dGQEHhs3uEe6CuLN4ByNQ.AIdlQyE', 'new order has the identifier of the certificate it replaces')
+  t.deepEquals(requestBodies[1].identifiers, configuration.domains.map(domain => ({ type: 'dns', value: domain })), 'replacement order has the identifiers')
+
+  await new Promise(resolve => server.close(resolve))
+  AcmeRequest.uninitialise()
+
   t.end()
 })
@@ -0,0 +1,100 @@
+import os from 'os'
+import fs from 'fs'
+import path from 'path'
+import http from 'http'
+import crypto from 'crypto'
+import test from 'tape'
+import jose from 'jose'
+import AcmeRequest from '../../../lib/AcmeRequest.js'
+import AccountIdentity from '../../../lib/identities/AccountIdentity.js'
+import Configuration from '../../../lib/Configuration.js'
+import LetsEncryptServer from '../../../lib/LetsEncryptServer.js'
+import acmeTlsAlpnCertificate from '../../../lib/acmeTlsAlpnCertificate.js'
+
+import RevokeCertificateRequest from '../../../lib/acme-requests/RevokeCertificateRequest.js'
+
+async function setup() {
+  const customSettingsPath = path.join(os.homedir(), '.small-tech.org', 'auto-encrypt', 'test')
+  fs.rmSync(customSettingsPath, { recursive: true, force: true })
+
+  const configuration = new Configuration({
+    domains: ['localhost', 'pebble'],
+    server: new LetsEncryptServer(LetsEncryptServer.type.PEBBLE),
+    settingsPath: customSettingsPath
+  })
+  const accountIdentity = await AccountIdentity.getInstanceAsync(configuration)
+
+  // (We use a local server that records the requests it receives instead of an ACME server.)
+  const directory = { revokeCertUrl: 'http://localhost:1234' }
+  AcmeRequest.uninitialise()
+  AcmeRequest.initialise(directory, accountIdentity)
+  AcmeRequest.account = { kid: 'https://localhost:14000/my-account/1' }
+
+  return { accountIdentity }
+}
+
+// Starts a server that responds with 200 OK and records the parsed bodies of the requests it receives.
+async function serverThatRecordsRequests () {
+  const requestBodies = []
+  const server = http.createServer((request, response) => {
+    const chunks = []
+    request.on('data', chunk => chunks.push(chunk))
+    request.on('end', () => {
+      requestBodies.push(JSON.parse(Buffer.concat(chunks).toString('utf-8')))
+      response.end()
+    })
+  })
+  await new Promise(resolve => server.listen(1234, resolve))
+  return { server, requestBodies }
+}
+
+test('Revoke Certificate Request', async t => {
+  const { accountIdentity } = await setup()
+  const { key, cert } = acmeTlsAlpnCertificate('localhost', 'dummy-key-authorisation')
+  const certificateDer = new crypto.X509Certificate(cert).raw.toString('base64url')
+  const { server, requestBodies } = await serverThatRecordsRequests()
+
+  //
+  // Signed with the account key.
+  //
+
+  AcmeRequest.nonce.set('dummyNonce')
+  await (new RevokeCertificateRequest()).execute(cert, /* reason = */ 4)
+  let signedRequest = requestBodies[0]
+
+  let protectedHeader = JSON.parse(Buffer.from(signedRequest.protected, 'base64').toString('utf-8'))
+  t.strictEquals(protectedHeader.kid, AcmeRequest.account.kid, 'request signed with the account key uses the account URL as its key ID')
+  t.deepEquals(
+    jose.JWS.verify(signedRequest, accountIdentity.key),
+    { certificate: certificateDer, reason: 4 },
+    'request is signed with the account key and has the certificate DER and reason as its payload'
+  )
+
+  //
+  // Signed with the certificate key.
+  //
+
+  const certificateKey = jose.JWK.asKey(key)
+  const certificateIdentity = {
+    key: certificateKey,
+    publicJWK: certificateKey.toJWK(),
+    jwsAlgorithm: 'RS256'
+  }
+
+  AcmeRequest.nonce.set('dummyNonce')
+  await (new RevokeCertificateRequest()).execute(cert, /* reason = */ 1, certificateIdentity)
+  signedRequest = requestBodies[1]
+
+  protectedHeader = JSON.parse(Buffer.from(signedRequest.protected, 'base64').toString('utf-8'))
+  t.strictEquals(protectedHeader.kid, undefined, 'request signed with the certificate key has no key ID')
+  t.deepEquals(protectedHeader.jwk, certificateKey.toJWK(), 'request signed with the certificate key has the certificate public key as its JWK')
+  t.deepEquals(
+    jose.JWS.verify(signedRequest, certificateKey),
+    { certificate: certificateDer, reason: 1 },
+    'request is signed with the certificate key'
+  )
+
+  server.close()
+  AcmeRequest.uninitialise()
+  t.end()
+})
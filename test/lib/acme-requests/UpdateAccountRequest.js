@@ -0,0 +1,60 @@
+import os from 'os'
+import fs from 'fs'
+import path from 'path'
+import http from 'http'
+import test from 'tape'
+import jose from 'jose'
+import AcmeRequest from '../../../lib/AcmeRequest.js'
+import AccountIdentity from '../../../lib/identities/AccountIdentity.js'
+import Configuration from '../../../lib/Configuration.js'
+import LetsEncryptServer from '../../../lib/LetsEncryptServer.js'
+
+import UpdateAccountRequest from '../../../lib/acme-requests/UpdateAccountRequest.js'
+
+async function setup() {
+  const customSettingsPath = path.join(os.homedir(), '.small-tech.org', 'auto-encrypt', 'test')
+  fs.rmSync(customSettingsPath, { recursive: true, force: true })
+
+  const configuration = new Configuration({
+    domains: ['localhost', 'pebble'],
+    server: new LetsEncryptServer(LetsEncryptServer.type.PEBBLE),
+    settingsPath: customSettingsPath
+  })
+  const accountIdentity = await AccountIdentity.getInstanceAsync(configuration)
+
+  // (We use a local server that echoes the account object back instead of an ACME server.)
+  AcmeRequest.uninitialise()
+  AcmeRequest.initialise({}, accountIdentity)
+  AcmeRequest.account = { kid: 'http://localhost:1234/my-account/1' }
+
+  return { accountIdentity }
+}
+
+test('Update Account Request', async t => {
+  const { accountIdentity } = await setup()
+
+  let requestUrl, signedRequest
+  const server = http.createServer((request, response) => {
+    const chunks = []
+    request.on('data', chunk => chunks.push(chunk))
+    request.on('end', () => {
+      requestUrl = request.url
+      signedRequest = JSON.parse(Buffer.concat(chunks).toString('utf-8'))
+      response.end(JSON.stringify(Object.assign({ status: 'valid' }, jose.JWS.verify(signedRequest, accountIdentity.key))))
+    })
+  })
+  await new Promise(resolve => server.listen(1234, resolve))
+
+  AcmeRequest.nonce.set('dummyNonce')
+  const account = await (new UpdateAccountRequest()).execute({ contact: ['mailto:aral@small-tech.org'] })
+
+  const protectedHeader = JSON.parse(Buffer.from(signedRequest.protected, 'base64').toString('utf-8'))
+  t.strictEquals(requestUrl, '/my-account/1', 'request is posted to the account URL')
+  t.strictEquals(protectedHeader.url, AcmeRequest.account.kid, 'protected header URL is the account URL')
+  t.strictEquals(protectedHeader.kid, AcmeRequest.account.kid, 'request uses the account URL as its key ID')
+  t.deepEquals(account.contact, ['mailto:aral@small-tech.org'], 'updated account object is returned')
+
+  server.close()
+  AcmeRequest.uninitialise()
+  t.end()
+})
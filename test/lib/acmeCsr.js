@@ -0,0 +1,55 @@
+import crypto from 'crypto'
+import jose from 'jose'
+import forge from 'node-forge'
+import test from 'tape'
+import acmeCsr from '../../lib/acmeCsr.js'
+
+const { asn1 } = forge
+
+test('acmeCsr', t => {
+  const domains = ['example.com', 'www.example.com']
+
+  const keyTypes = [
+    { description: 'RSA 2048', generationArguments: ['RSA', 2048], signatureAlgorithm: '1.2.840.113549.1.1.11', hash: 'sha256' },
+    { description: 'ECDSA P-256', generationArguments: ['EC', 'P-256'], signatureAlgorithm: '1.2.840.10045.4.3.2', hash: 'sha256' },
+    { description: 'ECDSA P-384', generationArguments: ['EC', 'P-384'], signatureAlgorithm: '1.2.840.10045.4.3.3', hash: 'sha384' }
+  ]
+
+  keyTypes.forEach(keyType => {
+    const key = jose.JWK.generateSync(...keyType.generationArguments)
+    const csr = acmeCsr(domains, key)
+
+    t.true(/^[A-Za-z0-9_-]+$/.test(csr), `${keyType.description}: CSR is base64url-encoded without PEM header or footer`)
+
+    // (ECDSA signatures are DER-encoded so stop forge from decoding the signature bit string as ASN.1.)
+    const certificationRequest = asn1.fromDer(Buffer.from(csr, 'base64url').toString('binary'), { decodeBitStrings: false })
+    const [certificationRequestInfo, signatureAlgorithm, signature] = certificationRequest.value
+
+    t.strictEquals(asn1.derToOid(signatureAlgorithm.value[0].value), keyType.signatureAlgorithm, `${keyType.description}: signature algorithm is as expected`)
+
+    const isSignatureValid = crypto.verify(
+      keyType.hash,
+      Buffer.from(asn1.toDer(certificationRequestInfo).getBytes(), 'binary'),
+      crypto.createPublicKey(key.toPEM(/* private = */ false)),
+      // (Skip the byte that holds the number of unused bits in the bit string.)
+      Buffer.from(signature.value, 'binary').slice(1)
+    )
+    t.true(isSignatureValid, `${keyType.description}: CSR is signed with the key`)
+
+    const csrPublicKey = crypto.createPublicKey({
+      key: Buffer.from(asn1.toDer(certificationRequestInfo.value[2]).getBytes(), 'binary'),
+      format: 'der',
+      type: 'spki'
+    })
+    t.strictEquals(
+      csrPublicKey.export({ type: 'spki', format: 'pem' }),
+      key.toPEM(/* private = */ false),
+      `${keyType.description}: CSR contains the public key`
+    )
+
+    const csrText = Buffer.from(csr, 'base64url').toString('binary')
+    t.true(domains.every(domain => csrText.includes(domain)), `${keyType.description}: CSR contains the domains`)
+  })
+
+  t.end()
+})
@@ -0,0 +1,259 @@
+import dgram from 'dgram'
+import crypto from 'crypto'
+import test from 'tape'
+import Rfc2136DnsProvider from '../../../lib/dns-providers/Rfc2136DnsProvider.js'
+import { symbolOfErrorThrownBy, symbolOfErrorThrownByAsync } from '../../../lib/test-helpers/index.js'
+
+//
+// A minimal stand-in for an authoritative DNS server that accepts RFC 2136 update messages.
+//
+
+function readName (message, offset) {
+  const labels = []
+  while (message[offset] !== 0) {
+    const length = message[offset]
+    labels.push(message.subarray(offset + 1, offset + 1 + length).toString('ascii'))
+    offset += length + 1
+  }
+  return { name: labels.join('.'), offset: offset + 1 }
+}
+
+function parseUpdateMessage (message) {
+  const header = {
+    id: message.readUInt16BE(0),
+    opcode: (message.readUInt16BE(2) >> 11) & 0x0f,
+    zoneCount: message.readUInt16BE(4),
+    prerequisiteCount: message.readUInt16BE(6),
+    updateCount: message.readUInt16BE(8),
+    additionalCount: message.readUInt16BE(10)
+  }
+
+  let { name: zone, offset } = readName(message, 12)
+  const zoneType = message.readUInt16BE(offset)
+  offset += 4
+
+  const record = readName(message, offset)
+  offset = record.offset
+  const type = message.readUInt16BE(offset)
+  const recordClass = message.readUInt16BE(offset + 2)
+  const ttl = message.readUInt32BE(offset + 4)
+  const dataLength = message.readUInt16BE(offset + 8)
+  const data = message.subarray(offset + 11, offset + 10 + dataLength).toString('utf-8')
+  offset += 10 + dataLength
+
+  const unsignedMessageLength = offset
+  let tsig = null
+  if (header.additionalCount === 1) {
+    const keyName = readName(message, offset)
+    offset = keyName.offset + 10 // type, class, TTL, RDLENGTH
+    const algorithm = readName(message, offset)
+    offset = algorithm.offset
+    const timeSigned = message.subarray(offset, offset + 6)
+    const fudge = message.subarray(offset + 6, offset + 8)
+    const macLength = message.readUInt16BE(offset + 8)
+    const mac = message.subarray(offset + 10, offset + 10 + macLength)
+    tsig = { keyName: keyName.name, algorithm: algorithm.name, timeSigned, fudge, mac, unsignedMessageLength }
+  }
+
+  return { header, zone, zoneType, name: record.name, type, recordClass, ttl, data, tsig }
+}
+
+// Creates a response to a TXT query with the records for the queried name (RFC 1035 § 4.1).
+function createQueryResponse (query, values) {
+  const { offset } = readName(query, 12)
+  const question = query.subarray(12, offset + 4)
+  const answers = values.map(value => {
+    const data = Buffer.concat([Buffer.from([Buffer.byteLength(value)]), Buffer.from(value)])
+    const answer = Buffer.alloc(12)
+    answer.writeUInt16BE(0xc00c, 0) // Pointer to the name in the question.
+    answer.writeUInt16BE(16, 2)     // TXT
+    answer.writeUInt16BE(1, 4)      // IN
+    answer.writeUInt32BE(60, 6)     // TTL
+    answer.writeUInt16BE(data.length, 10)
+    return Buffer.concat([answer, data])
+  })
+  const header = Buffer.alloc(12)
+  header.writeUInt16BE(query.readUInt16BE(0), 0)
+  header.writeUInt16BE(0x8400, 2) // Authoritative response.
+  header.writeUInt16BE(1, 4)
+  header.writeUInt16BE(answers.length, 6)
+  return Buffer.concat([header, question, ...answers])
+}
+
+// The stand-in also answers TXT queries for the records it has been sent (once isServing() says so).
+async function createDnsStandIn (responseCodeFor, isServing = () => true) {
+  const updates = []
+  const queries = []
+  const records = {}
+  const socket = dgram.createSocket('udp4')
+  socket.on('message', (message, remote) => {
+    if (((message.readUInt16BE(2) >> 11) & 0x0f) === 0) {
+      const { name } = readName(message, 12)
+      queries.push(name)
+      const values = isServing(queries.length) ? (records[name.toLowerCase()] || []) : []
+      socket.send(createQueryResponse(message, values), remote.port, remote.address)
+      return
+    }
+
+    const update = parseUpdateMessage(message)
+    updates.push({ update, message })
+    const responseCode = responseCodeFor(update, message)
+    if (responseCode === null) return // Simulate an unresponsive server.
+    if (responseCode === 0) {
+      const values = records[update.name] || []
+      records[update.name] = update.recordClass === 1 ? [...values, update.data] : values.filter(value => value !== update.data)
+    }
+    const response = Buffer.alloc(12)
+    response.writeUInt16BE(update.header.id, 0)
+    response.writeUInt16BE(0x8000 | (5 << 11) | responseCode, 2)
+    socket.send(response, remote.port, remote.address)
+  })
+  await new Promise(resolve => socket.bind(0, '127.0.0.1', resolve))
+  return { socket, updates, queries, port: socket.address().port }
+}
+
+test('Rfc2136DnsProvider', async t => {
+  //
+  // Argument validation.
+  //
+
+  t.strictEquals(
+    symbolOfErrorThrownBy(() => new Rfc2136DnsProvider()),
+    Symbol.for('UndefinedOrNullError'),
+    'missing options throws'
+  )
+
+  t.strictEquals(
+    symbolOfErrorThrownBy(() => new Rfc2136DnsProvider({ server: '127.0.0.1' })),
+    Symbol.for('UndefinedOrNullError'),
+    'missing zone throws'
+  )
+
+  t.strictEquals(
+    symbolOfErrorThrownBy(() => new Rfc2136DnsProvider({ server: '127.0.0.1', zone: 'example.com', tsig: { name: 'key', secret: 'c2VjcmV0', algorithm: 'hmac-md5' } })),
+    Symbol.for('Rfc2136DnsProvider.unsupportedTsigAlgorithmError'),
+    'unsupported TSIG algorithm throws'
+  )
+
+  //
+  // Adding and removing records.
+  //
+
+  const tsigSecret = crypto.randomBytes(32)
+  const standIn = await createDnsStandIn(() => 0)
+  const dnsProvider = new Rfc2136DnsProvider({
+    server: '127.0.0.1',
+    port: standIn.port,
+    zone: 'Example.com.',
+    tsig: { name: 'auto-encrypt-key', secret: tsigSecret.toString('base64') }
+  })
+
+  await dnsProvider.setTxtRecord('_acme-challenge.www.example.com', 'a-challenge-value')
+  t.deepEquals(standIn.queries, ['_acme-challenge.www.example.com'], 'added record is checked for on the primary server by default')
+
+  const { update: addition, message: additionMessage } = standIn.updates[0]
+  t.strictEquals(addition.header.opcode, 5, 'message is an update')
+  t.deepEquals(
+    [addition.header.zoneCount, addition.header.prerequisiteCount, addition.header.updateCount, addition.header.additionalCount],
+    [1, 0, 1, 1],
+    'section counts are as expected'
+  )
+  t.strictEquals(addition.zone, 'example.com', 'zone is normalised and set as expected')
+  t.strictEquals(addition.zoneType, 6, 'zone section type is SOA')
+  t.strictEquals(addition.name, '_acme-challenge.www.example.com', 'record name is as expected')
+  t.strictEquals(addition.type, 16, 'record type is TXT')
+  t.strictEquals(addition.recordClass, 1, 'record class is IN when adding')
+  t.strictEquals(addition.ttl, 60, 'default TTL is used when adding')
+  t.strictEquals(addition.data, 'a-challenge-value', 'record value is as expected')
+
+  // Verify the TSIG MAC the same way a DNS server would (RFC 8945 § 5.2).
+  const { tsig } = addition
+  const unsignedMessage = Buffer.from(additionMessage.subarray(0, tsig.unsignedMessageLength))
+  unsignedMessage.writeUInt16BE(0, 10)
+  const encode = name => Buffer.concat([...name.split('.').map(label => Buffer.concat([Buffer.from([label.length]), Buffer.from(label)])), Buffer.from([0])])
+  const expectedMac = crypto.createHmac('sha256', tsigSecret)
+    .update(unsignedMessage)
+    .update(Buffer.concat([encode('auto-encrypt-key'), Buffer.from([0, 255, 0, 0, 0, 0]), encode('hmac-sha256'), tsig.timeSigned, tsig.fudge, Buffer.from([0, 0, 0, 0])]))
+    .digest()
+  t.strictEquals(tsig.algorithm, 'hmac-sha256', 'default TSIG algorithm is hmac-sha256')
+  t.ok(expectedMac.equals(tsig.mac), 'TSIG MAC verifies')
+
+  await dnsProvider.removeTxtRecord('_acme-challenge.www.example.com', 'a-challenge-value')
+
+  const { update: removal } = standIn.updates[1]
+  t.strictEquals(removal.recordClass, 254, 'record class is NONE when removing (deletes only the matching record)')
+  t.strictEquals(removal.ttl, 0, 'TTL is zero when removing')
+  t.strictEquals(removal.data, 'a-challenge-value', 'removed record value is as expected')
+
+  t.strictEquals(
+    await symbolOfErrorThrownByAsync(() => dnsProvider.setTxtRecord('_acme-challenge.example.org', 'value')),
+    Symbol.for('Rfc2136DnsProvider.recordNotInZoneError'),
+    'record outside of zone throws'
+  )
+
+  standIn.socket.close()
+
+  //
+  // Waiting for added records to be served.
+  //
+
+  const propagatingStandIn = await createDnsStandIn(() => 0, numberOfQueries => numberOfQueries >= 3)
+  const propagatingDnsProvider = new Rfc2136DnsProvider({
+    server: '127.0.0.1',
+    port: propagatingStandIn.port,
+    zone: 'example.com',
+    nameservers: [`127.0.0.1:${propagatingStandIn.port}`],
+    propagationCheckInterval: 10
+  })
+
+  await propagatingDnsProvider.setTxtRecord('_acme-challenge.example.com', 'a-propagating-value')
+  t.strictEquals(propagatingStandIn.queries.length, 3, 'setting a record only fulfils once the record is being served')
+
+  const notServingStandIn = await createDnsStandIn(() => 0, () => false)
+  const notServingDnsProvider = new Rfc2136DnsProvider({
+    server: '127.0.0.1',
+    port: notServingStandIn.port,
+    zone: 'example.com',
+    propagationTimeout: 100,
+    propagationCheckInterval: 10
+  })
+
+  t.strictEquals(
+    await symbolOfErrorThrownByAsync(() => notServingDnsProvider.setTxtRecord('_acme-challenge.example.com', 'value')),
+    Symbol.for('Rfc2136DnsProvider.propagationTimeoutError'),
+    'record that is not served within the propagation timeout throws'
+  )
+
+  propagatingStandIn.socket.close()
+  notServingStandIn.socket.close()
+
+  //
+  // Failed updates.
+  //
+
+  const refusingStandIn = await createDnsStandIn(() => 5 /* REFUSED */)
+  const refusedDnsProvider = new Rfc2136DnsProvider({ server: '127.0.0.1', port: refusingStandIn.port, zone: 'example.com' })
+
+  t.strictEquals(refusingStandIn.updates.length, 0, 'no updates before the first call')
+  t.strictEquals(
+    await symbolOfErrorThrownByAsync(() => refusedDnsProvider.setTxtRecord('_acme-challenge.example.com', 'value')),
+    Symbol.for('Rfc2136DnsProvider.updateFailedError'),
+    'update refused by server throws'
+  )
+  t.strictEquals(refusingStandIn.updates[0].update.header.additionalCount, 0, 'unsigned update has no additional records')
+
+  refusingStandIn.socket.close()
+
+  const unresponsiveStandIn = await createDnsStandIn(() => null)
+  const timingOutDnsProvider = new Rfc2136DnsProvider({ server: '127.0.0.1', port: unresponsiveStandIn.port, zone: 'example.com', timeout: 100 })
+
+  t.strictEquals(
+    await symbolOfErrorThrownByAsync(() => timingOutDnsProvider.setTxtRecord('_acme-challenge.example.com', 'value')),
+    Symbol.for('Rfc2136DnsProvider.timeoutError'),
+    'unresponsive server times out'
+  )
+
+  unresponsiveStandIn.socket.close()
+
+  t.end()
+})
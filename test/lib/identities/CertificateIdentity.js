@@ -1,8 +1,25 @@
+import os from 'os'
+import fs from 'fs'
+import path from 'path'
 import test from 'tape'
 import CertificateIdentity from '../../../lib/identities/CertificateIdentity.js'
+import Configuration from '../../../lib/Configuration.js'
+import LetsEncryptServer from '../../../lib/LetsEncryptServer.js'
 import { symbolOfErrorThrownBy } from '../../../lib/test-helpers/index.js'
 
-test('Certificate Identity', t => {
+function setup (certificateKeyType) {
+  const customSettingsPath = path.join(os.homedir(), '.small-tech.org', 'auto-encrypt', 'test')
+  fs.rmSync(customSettingsPath, { recursive: true, force: true })
+
+  return new Configuration({
+    domains: ['localhost', 'pebble'],
+    server: new LetsEncryptServer(LetsEncryptServer.type.PEBBLE),
+    settingsPath: customSettingsPath,
+    certificateKeyType
+  })
+}
+
+test('Certificate Identity', async t => {
   t.strictEquals(
     symbolOfErrorThrownBy(() => new CertificateIdentity()),
     Symbol.for('UndefinedOrNullError'),
@@ -11,5 +28,26 @@ test('Certificate Identity', t => {
 
   // NB. Most of the common Identity superclass-related tests are in the AccountIdentity tests.
 
+  //
+  // Key types.
+  //
+
+  const expectedKeyDetails = {
+    rsa2048: { kty: 'RSA', length: 2048 },
+    rsa4096: { kty: 'RSA', length: 4096 },
+    ec256: { kty: 'EC', crv: 'P-256' },
+    ec384: { kty: 'EC', crv: 'P-384' }
+  }
+
+  for (const [keyType, { kty, length, crv }] of Object.entries(expectedKeyDetails)) {
+    const configuration = setup(keyType)
+    const certificateIdentity = await CertificateIdentity.getInstanceAsync(configuration)
+    t.strictEquals(certificateIdentity.key.kty, kty, `${keyType}: key type is as expected`)
+    t.strictEquals(kty === 'RSA' ? certificateIdentity.key.length : certificateIdentity.key.crv, kty === 'RSA' ? length : crv, `${keyType}: key size is as expected`)
+
+    const certificateIdentityFromStorage = await CertificateIdentity.getInstanceAsync(configuration)
+    t.strictEquals(certificateIdentityFromStorage.thumbprint, certificateIdentity.thumbprint, `${keyType}: key is loaded from storage`)
+  }
+
   t.end()
 })
@@ -0,0 +1,139 @@
+import os from 'os'
+import fs from 'fs'
+import fsPromises from 'fs/promises'
+import path from 'path'
+import test from 'tape'
+import FileSystemStorage from '../../../lib/storage/FileSystemStorage.js'
+import { symbolOfErrorThrownBy } from '../../../lib/test-helpers/index.js'
+
+test('FileSystemStorage', async t => {
+  const rootPath = fs.mkdtempSync(path.join(os.tmpdir(), 'auto-encrypt-storage-'))
+  const storage = new FileSystemStorage(rootPath, { lockTimeout: 300, lockRetryInterval: 10 })
+
+  t.strictEquals(storage.pathFor('production/example.com/certificate.pem'), path.join(rootPath, 'production', 'example.com', 'certificate.pem'), 'keys map to paths under the root path')
+  t.strictEquals(await storage.get('production/account.json'), null, 'missing key returns null')
+
+  await storage.put('production/account.json', '{"kid":"a"}')
+  t.strictEquals(await storage.get('production/account.json'), '{"kid":"a"}', 'value is stored')
+  t.strictEquals(fs.readFileSync(path.join(rootPath, 'production', 'account.json'), 'utf-8'), '{"kid":"a"}', 'value is stored in the file at the key’s path')
+
+  await storage.put('production/account.json', '{"kid":"b"}')
+  t.strictEquals(await storage.get('production/account.json'), '{"kid":"b"}', 'value is replaced')
+
+  await storage.put('production/example.com/certificate.pem', 'certificate')
+  await storage.put('staging/account.json', 'staging account')
+  t.deepEquals(await storage.list(), ['production/account.json', 'production/example.com/certificate.pem', 'staging/account.json'], 'all keys are listed')
+  t.deepEquals(await storage.list('production/'), ['production/account.json', 'production/example.com/certificate.pem'], 'keys are listed by prefix')
+
+  //
+  // Permissions.
+  //
+
+  const modeOf = filePath => fs.statSync(filePath).mode & 0o777
+  t.strictEquals(modeOf(storage.pathFor('production/example.com/certificate.pem')), 0o600, 'files are only accessible by their owner')
+  t.strictEquals(modeOf(path.join(rootPath, 'production', 'example.com')), 0o700, 'directories are only accessible by their owner')
+  t.deepEquals(storage.checkPermissionsSync(), { ownedByAnotherUser: [], accessibleByOthers: [] }, 'permission check passes for stored files')
+
+  fs.chmodSync(storage.pathFor('staging/account.json'), 0o644)
+  t.deepEquals(storage.checkPermissionsSync().accessibleByOthers, [storage.pathFor('staging/account.json')], 'permission check reports files accessible by others')
+
+  const checkedOnce = new FileSystemStorage(rootPath).checkPermissionsOnceSync()
+  fs.chmodSync(storage.pathFor('staging/account.json'), 0o600)
+  t.strictEquals(new FileSystemStorage(rootPath).checkPermissionsOnceSync(), checkedOnce, 'permissions are only checked once per root path')
+
+  await storage.delete('staging/account.json')
+  t.strictEquals(await storage.get('staging/account.json'), null, 'deleted key is gone')
+  await storage.delete('staging/account.json')
+  t.pass('deleting a missing key does not throw')
+
+  //
+  // Locks.
+  //
+
+  const events = []
+  const release = await storage.lock('production/example.com/provisioning')
+  t.deepEquals(await storage.list('production/example.com/'), ['production/example.com/certificate.pem'], 'lock files are not listed')
+
+  const secondLock = storage.lock('production/example.com/provisioning').then(secondRelease => {
+    events.push('second lock acquired')
+    return secondRelease
+  })
+  await new Promise(resolve => setTimeout(resolve, 50))
+  events.push('first lock released')
+  await release()
+
+  const secondRelease = await secondLock
+  t.deepEquals(events, ['first lock released', 'second lock acquired'], 'lock is exclusive until it is released')
+
+  let lockTimeoutErrorSymbol = null
+  try {
+    await storage.lock('production/example.com/provisioning')
+  } catch (error) {
+    lockTimeoutErrorSymbol = error.symbol
+  }
+  t.strictEquals(lockTimeoutErrorSymbol, Symbol.for('FileSystemStorage.lockTimeoutError'), 'waiting for a held lock times out')
+
+  await secondRelease()
+
+  // Stale locks are broken.
+  const lockFilePath = `${storage.pathFor('production/example.com/provisioning')}.lock`
+  const deadProcessId = 2 ** 22 + 1 // Above the maximum process ID on Linux so it cannot be running.
+
+  fs.writeFileSync(lockFilePath, JSON.stringify({ pid: deadProcessId, hostname: os.hostname() }))
+  const releaseAfterHolderDied = await storage.lock('production/example.com/provisioning')
+  t.strictEquals(JSON.parse(fs.readFileSync(lockFilePath, 'utf-8')).pid, process.pid, 'lock held by a process that is no longer running is broken')
+  await releaseAfterHolderDied()
+
+  fs.writeFileSync(lockFilePath, JSON.stringify({ pid: deadProcessId, hostname: 'another-machine' }))
+  const tenMinutesAgo = new Date(Date.now() - 10 * 60 * 1000)
+  fs.utimesSync(lockFilePath, tenMinutesAgo, tenMinutesAgo)
+  const releaseAfterHolderStoppedRefreshing = await storage.lock('production/example.com/provisioning')
+  t.strictEquals(JSON.parse(fs.readFileSync(lockFilePath, 'utf-8')).pid, process.pid, 'lock that has not been refreshed within the stale lock age is broken')
+  await releaseAfterHolderStoppedRefreshing()
+  t.false(fs.existsSync(lockFilePath), 'releasing the lock removes the lock file')
+
+  // When two contenders find the same stale lock, only one of them gets the lock. Here, the second contender only
+  // gets to move the lock out of the way after the first has broken the stale lock and taken the lock. (The stale
+  // lock has the same holder as the fresh one, as it would if this process had been blocked for a long time.)
+  const contenders = [
+    new FileSystemStorage(rootPath, { lockTimeout: 200, lockRetryInterval: 10 }),
+    new FileSystemStorage(rootPath, { lockTimeout: 200, lockRetryInterval: 10 })
+  ]
+  fs.writeFileSync(lockFilePath, JSON.stringify({ pid: process.pid, hostname: os.hostname() }))
+  fs.utimesSync(lockFilePath, tenMinutesAgo, tenMinutesAgo)
+
+  const holders = []
+  const rename = fsPromises.rename
+  let isFirstLockFileRename = true
+  fsPromises.rename = async (oldPath, newPath) => {
+    if (oldPath === lockFilePath && isFirstLockFileRename) {
+      isFirstLockFileRename = false
+      while (holders.length === 0) {
+        await new Promise(resolve => setTimeout(resolve, 1))
+      }
+    }
+    return await rename(oldPath, newPath)
+  }
+
+  const contendedLocks = await Promise.allSettled(contenders.map(async (contender, index) => {
+    const releaseContendedLock = await contender.lock('production/example.com/provisioning')
+    holders.push(index)
+    return releaseContendedLock
+  }))
+  fsPromises.rename = rename
+
+  t.strictEquals(holders.length, 1, 'only one of two contenders breaking the same stale lock gets the lock')
+  t.ok(fs.existsSync(lockFilePath), 'lock of contender that got the lock is kept')
+  await contendedLocks.find(contendedLock => contendedLock.status === 'fulfilled').value()
+  t.deepEquals(fs.readdirSync(path.dirname(lockFilePath)).filter(fileName => fileName.endsWith('.tmp')), [], 'no tombstones are left behind')
+
+  t.strictEquals(
+    symbolOfErrorThrownBy(() => { storage.rootPath = 'other' }),
+    Symbol.for('ReadOnlyAccessorError'),
+    'root path is read-only'
+  )
+
+  fs.rmSync(rootPath, { recursive: true, force: true })
+
+  t.end()
+})
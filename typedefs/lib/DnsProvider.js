@@ -0,0 +1,28 @@
+// These are types that are not explicitly defined in JavaScript but used by the DNS-01 challenge support.
+
+/**
+ * A DNS provider adapter. Pass an object that conforms to this interface as the dnsProvider option
+ * to AutoEncrypt.https.createServer() to have authorisations validated via the DNS-01 challenge
+ * (RFC 8555 § 8.4). See lib/dns-providers/ for the built-in adapters.
+ *
+ * @typedef {Object} DnsProvider
+ *
+ * @property {SetTxtRecord}    setTxtRecord    Adds a TXT record. Must only fulfil once the record is being served.
+ * @property {RemoveTxtRecord} removeTxtRecord Removes a TXT record previously added via setTxtRecord().
+ */
+
+/**
+ * @callback SetTxtRecord
+ * @param {String} name  Fully-qualified record name (e.g., _acme-challenge.example.com).
+ * @param {String} value Record value (the base64url-encoded SHA-256 digest of the key authorisation).
+ * @returns {Promise}
+ */
+
+/**
+ * @callback RemoveTxtRecord
+ * @param {String} name  Fully-qualified record name (e.g., _acme-challenge.example.com).
+ * @param {String} value Record value to remove (other values for the same name must be left intact).
+ * @returns {Promise}
+ */
+
+export default {}
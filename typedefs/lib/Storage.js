@@ -0,0 +1,55 @@
+// These are types that are not explicitly defined in JavaScript but used by the storage backend support.
+
+/**
+ * A storage backend for accounts, identities (private keys), and certificates. Pass an object that conforms
+ * to this interface as the storage option to AutoEncrypt.https.createServer() to keep Auto Encrypt’s state
+ * somewhere other than the local file system (e.g., a database or a volume shared by a fleet of servers).
+ * See lib/storage/FileSystemStorage.js for the default implementation.
+ *
+ * Keys are slash-separated paths relative to the settings root (e.g., production/account.json or
+ * production/example.com/certificate.pem) and values are strings.
+ *
+ * @typedef {Object} Storage
+ *
+ * @property {StorageGet}    get    Gets a value.
+ * @property {StoragePut}    put    Sets a value.
+ * @property {StorageDelete} delete Deletes a value.
+ * @property {StorageList}   list   Lists keys.
+ * @property {StorageLock}   lock   Acquires an exclusive lock.
+ */
+
+/**
+ * @callback StorageGet
+ * @param {String} key
+ * @returns {Promise<String|null>} Fulfils with the value or with null if there is no value for the key.
+ */
+
+/**
+ * @callback StoragePut
+ * @param {String} key
+ * @param {String} value Value to store. Must replace any existing value atomically.
+ * @returns {Promise}
+ */
+
+/**
+ * @callback StorageDelete
+ * @param {String} key Key to delete. Must not fail if there is no value for the key.
+ * @returns {Promise}
+ */
+
+/**
+ * @callback StorageList
+ * @param {String} [prefix=''] Only list keys that start with this prefix.
+ * @returns {Promise<String[]>}
+ */
+
+/**
+ * @callback StorageLock
+ * @param {String} name Name of the lock (a key).
+ * @returns {Promise<Function>} Fulfils with an async release function once the lock is held. Only one holder
+ *                              (across all processes using the same storage) may hold a lock at a time.
+ *                              Locks whose holder has died should eventually be broken so that a crashed
+ *                              process cannot block provisioning forever.
+ */
+
+export default {}